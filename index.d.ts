@@ -8,6 +8,7 @@ declare module "@putervision/grokjs" {
     mostCommon(n?: number): Array<[T, number]>;
     elements(): T[];
     subtract(other: Counter<T>): Counter<T>;
+    scale(factor: number, minCount?: number): this;
     toString(): string;
   }
 
@@ -29,39 +30,244 @@ declare module "@putervision/grokjs" {
 
   export interface NgramOptions {
     debug?: boolean;
+    sentenceBoundaries?: boolean;
+    vocabulary?: Vocabulary;
+    trieFrom?: number;
+    maxTrieNodes?: number;
+    storage?: NgramStorage;
+    halfLife?: number | null;
+    clock?: () => number;
+  }
+
+  export type NgramStorage = "map" | "trie";
+
+  export interface PackedNgramTrie {
+    tokens: string[];
+    structure: number[] | Uint32Array;
+    counts: number[] | Float64Array;
+  }
+
+  export interface NgramLevel extends Iterable<[string, Counter<string>]> {
+    readonly size: number;
+    get(key: string): Counter<string> | undefined;
+    has(key: string): boolean;
+    set(key: string, counter: Counter<string>): this;
+    delete(key: string): boolean;
+    clear(): void;
+    entries(): IterableIterator<[string, Counter<string>]>;
+    keys(): IterableIterator<string>;
+    values(): IterableIterator<Counter<string>>;
+    forEach(
+      callback: (counter: Counter<string>, key: string, level: NgramLevel) => void,
+      thisArg?: any
+    ): void;
+  }
+
+  export class NgramTrie {
+    constructor(minDepth?: number, vocabulary?: Vocabulary | null);
+    minDepth: number;
+    vocabulary: Vocabulary | null;
+    nodeCount: number;
+    getCounter(tokens: string[]): Counter<string> | undefined;
+    setCounter(tokens: string[], counter: Counter<string>): void;
+    addSequence(
+      tokens: string[],
+      start: number,
+      maxDepth: number,
+      skip?: (token: string) => boolean,
+      weight?: number,
+      from?: number
+    ): void;
+    delete(tokens: string[]): boolean;
+    entries(depth: number): Generator<[string[], Counter<string>], void, unknown>;
+    size(depth: number): number;
+    prune(depth: number, minCount: number): number;
+    clear(): void;
+    pack(options?: { typedArrays?: boolean }): PackedNgramTrie;
+    load(packed: PackedNgramTrie): void;
+    level(depth: number): NgramLevel;
+  }
+
+  export class PrefixTrie {
+    constructor();
+    size: number;
+    add(word: string, count?: number): void;
+    count(word: string): number;
+    completePrefix(prefix: string, k?: number): string[];
+    clear(): void;
+  }
+
+  export class ModelSchema {
+    static readonly CURRENT_VERSION: number;
+    static versionOf(state: Record<string, any> | null): number;
+    static migrate(state: Record<string, any>): Record<string, any>;
+  }
+
+  export class BinaryFormat {
+    static readonly FORMAT_VERSION: number;
+    static encode(state: Record<string, any>): ArrayBuffer;
+    static decode(data: ArrayBuffer | ArrayBufferView): Record<string, any>;
   }
 
   export class Ngram {
     constructor(maxN?: number, options?: NgramOptions);
     maxN: number;
-    ngrams: Array<Map<string, Counter>>;
+    ngrams: Array<NgramLevel>;
+    trie: NgramTrie | null;
+    maxTrieNodes: number;
+    storage: NgramStorage;
+    vocabulary: Vocabulary;
     tokenizer: Tokenizer;
+    options: NgramOptions;
+    sentenceBoundaries: boolean;
+    bosToken: string;
+    eosToken: string;
+    revision: number;
+    autoPrunes: number;
+    halfLife: number | null;
+    clock: () => number;
+    decayLandmark: number | null;
     tokenize(text: string): string[];
-    updateModel(tokens: string[]): void;
+    tokenizeContext(text: string): string[];
+    updateModel(tokens: string[], count?: number, from?: number): void;
+    decayWeight(): number;
+    applyDecay(now?: number): number;
+    pruneTrie(minCount?: number): number;
+    getCounter(contextTokens: string[]): Counter<string> | undefined;
+    contexts(length: number): Generator<[string[], Counter<string>], void, unknown>;
     predictNextWord(prefix: string): string[];
+    sequences(text: string): string[][];
     learn(text: string): void;
   }
 
+  export interface CountSource {
+    revision: number;
+    getCounter(contextTokens: string[]): Counter<string> | undefined;
+    contexts(length: number): Iterable<[string[], Counter<string>]>;
+  }
+
+  export class Smoothing {
+    constructor(name: string, options?: Record<string, any>);
+    name: string;
+    options: Record<string, any>;
+    probability(source: CountSource, word: string, contextTokens: string[]): number;
+  }
+
+  export class MleSmoothing extends Smoothing {
+    constructor(options?: { backoff?: boolean });
+    backoff: boolean;
+  }
+
+  export class AddKSmoothing extends Smoothing {
+    constructor(options?: { k?: number; vocabSize?: number });
+    k: number;
+    vocabSize: number | null;
+  }
+
+  export class StupidBackoffSmoothing extends Smoothing {
+    constructor(options?: { alpha?: number; epsilon?: number });
+    alpha: number;
+    epsilon: number;
+  }
+
+  export class KatzBackoffSmoothing extends Smoothing {
+    constructor(options?: { k?: number });
+    k: number;
+  }
+
+  export class InterpolatedSmoothing extends Smoothing {
+    constructor(options?: { lambda?: number; lambdas?: number[] });
+    lambda: number;
+    lambdas: number[];
+  }
+
+  export class KneserNeySmoothing extends Smoothing {
+    constructor(options?: { discounts?: [number, number, number] });
+    discounts: [number, number, number] | null;
+  }
+
+  export class WittenBellSmoothing extends Smoothing {
+    constructor();
+  }
+
+  export type SmoothingName =
+    "mle" | "add-k" | "stupid-backoff" | "katz" | "interpolated" | "kneser-ney" | "witten-bell";
+
+  export type SmoothingSpec =
+    SmoothingName | { name: SmoothingName; options?: Record<string, any> } | Smoothing;
+
   export interface LanguageModelOptions {
     debug?: boolean;
+    smoothing?: SmoothingSpec | null;
+    sentenceBoundaries?: boolean;
+    storage?: NgramStorage;
+    cache?: CacheOptions | boolean;
+    halfLife?: number | null;
+  }
+
+  export interface CacheOptions {
+    size?: number;
+    weight?: number;
+    order?: number;
+  }
+
+  export interface TrainOptions {
+    context?: string;
+  }
+
+  export interface FineTuneOptions {
+    decay?: number;
+  }
+
+  export interface PruneOptions {
+    minCount?: number;
+    maxContextsPerLevel?: number;
+    entropyThreshold?: number;
+  }
+
+  export interface PruneReport {
+    removedNgrams: number;
+    removedContexts: number;
+    removedWords: string[];
+    levels: Array<{ level: number; removedNgrams: number; removedContexts: number }>;
+    vocabularySize: number;
+  }
+
+  export interface RemovalReport {
+    removedNgrams: number;
+    removedContexts: number;
+    removedWords: string[];
   }
 
   export class LanguageModel {
-    constructor(ngram?: Ngram, maxN?: number);
+    constructor(ngram?: Ngram, maxN?: number, options?: LanguageModelOptions);
     ngram: Ngram;
     maxN: number;
     vocabulary: Set<string>;
     context: Record<string, any>;
-    train(text: string): void;
+    smoothing: Smoothing | null;
+    cache: { size: number; weight: number; order: number; clear(): void } | null;
+    prefixIndex: PrefixTrie;
+    setSmoothing(smoothing: SmoothingSpec | null): void;
+    setCache(options: CacheOptions | null): void;
+    train(text: string, options?: TrainOptions): void;
     predict(prefix: string, numPredictions?: number): string[];
     generateText(start: string, length?: number, options?: GenerationOptions): string;
     setContext(context: Record<string, any>): void;
     getVocabulary(): Set<string>;
     getVocabularySize(): number;
+    completePrefix(prefix: string, k?: number): string[];
     evaluate(testData: Array<{ input: string; reference: string }>): EvaluationResult;
     bleuPrecision(candidate: string[], reference: string[]): number;
-    exportState(): Record<string, any>;
+    exportState(options?: { typedArrays?: boolean }): Record<string, any>;
     importState(state: Record<string, any> | string): void;
+    prune(options?: PruneOptions): PruneReport;
+    untrain(text: string): RemovalReport;
+    forget(phrase: string): RemovalReport;
+    merge(other: LanguageModel, options?: { weight?: number }): this;
+    static combine(models: LanguageModel[], weights?: number[]): LanguageModel;
+    exportBinary(): ArrayBuffer;
+    importBinary(data: ArrayBuffer | ArrayBufferView): void;
     saveModel(path: string): void;
     loadModel(path: string): void;
     updateModel(newText: string): void;
@@ -69,7 +275,7 @@ declare module "@putervision/grokjs" {
     getProbability(word: string, context: string): number;
     tokenize(text: string): string[];
     detokenize(tokens: string[]): string;
-    fineTune(text: string, learningRate: number): void;
+    fineTune(text: string, learningRate?: number, options?: FineTuneOptions): void;
     getEmbeddings(word: string, dimensions?: number): number[];
     randomUnitVector(dimensions: number): number[];
     perplexity(text: string): number;
@@ -89,6 +295,69 @@ declare module "@putervision/grokjs" {
     ): Array<{ word: string; probability: number; ngramLevel: number }>;
   }
 
+  export interface PredictiveModel {
+    maxN: number;
+    predict(prefix: string, numPredictions?: number): string[];
+    getProbability(word: string, context: string): number;
+    tokenize(text: string): string[];
+  }
+
+  export interface MixtureFitOptions {
+    maxIterations?: number;
+    tolerance?: number;
+  }
+
+  export interface MixtureFitResult {
+    weights: number[];
+    iterations: number;
+    logLikelihood: number;
+    perplexity: number;
+  }
+
+  export class MixtureModel implements PredictiveModel {
+    constructor(models: PredictiveModel[], options?: { weights?: number[] });
+    models: PredictiveModel[];
+    weights: number[];
+    maxN: number;
+    readonly eosToken: string | null;
+    setWeights(weights: number[]): void;
+    getProbability(word: string, context: string): number;
+    predict(prefix: string, numPredictions?: number): string[];
+    predictWithConfidence(
+      prefix: string,
+      numPredictions?: number
+    ): Array<{ word: string; probability: number }>;
+    tokenize(text: string): string[];
+    perplexity(text: string): number;
+    generateText(start: string, length?: number, options?: GenerationOptions): string;
+    fitWeights(heldOut: string | string[], options?: MixtureFitOptions): MixtureFitResult;
+  }
+
+  export interface CharacterModelOptions {
+    smoothing?: Smoothing;
+    maxLength?: number;
+  }
+
+  export class CharacterModel {
+    constructor(order?: number, options?: CharacterModelOptions);
+    static readonly WORD_START: string;
+    static readonly WORD_END: string;
+    ngram: Ngram;
+    order: number;
+    smoothing: Smoothing;
+    maxLength: number;
+    learnWord(word: string, count?: number): void;
+    train(text: string): void;
+    completionProbability(prefix: string, word: string): number;
+    wordProbability(word: string): number;
+    complete(
+      prefix: string,
+      k?: number,
+      options?: { beamWidth?: number; includePrefix?: boolean }
+    ): Array<{ word: string; probability: number }>;
+    clear(): void;
+  }
+
   export interface NormalizerOptions {
     lowerCase?: boolean;
     stripAccents?: boolean;
@@ -130,10 +399,15 @@ declare module "@putervision/grokjs" {
     contextTotal(context: string): number;
     mostCommon(context: string, n?: number): Array<[string, number]>;
     allContexts(): string[];
+    revision: number;
+    getCounter(contextTokens: string[]): Counter<string> | undefined;
+    contexts(length: number): Generator<[string[], Counter<string>], void, unknown>;
   }
 
   export class ProbabilityDistribution {
-    constructor(freqDist?: FrequencyDistribution);
+    constructor(freqDist?: FrequencyDistribution, options?: { smoothing?: Smoothing });
+    smoothing: Smoothing;
+    probability(context: string, word: string, smoothing?: Smoothing): number;
     mle(context: string, word: string): number;
     laplace(context: string, word: string, k?: number, vocabSize?: number): number;
     stupidBackoff(context: string, word: string, alpha?: number): number;
@@ -158,6 +432,7 @@ declare module "@putervision/grokjs" {
 
   export class Corpus {
     constructor();
+    static splitSentences(text: string): string[];
     addDocument(doc: string): void;
     getSentences(): string[];
     getTokens(): string[];
@@ -202,7 +477,7 @@ declare module "@putervision/grokjs" {
   }
 
   export class EvaluationMetrics {
-    static perplexity(model: LanguageModel, text: string): number;
+    static perplexity(model: PredictiveModel, text: string): number;
     static bleu(candidate: string[], reference: string[], maxN?: number): number;
     static rougeL(candidate: string[], reference: string[]): number;
     static precisionRecallF1(
@@ -226,19 +501,25 @@ declare module "@putervision/grokjs" {
 
   export class InferenceEngine {
     static generate(
-      model: LanguageModel,
+      model: PredictiveModel,
       prompt: string,
       length?: number,
       options?: GenerationOptions
     ): string;
     static beamSearch(
-      model: LanguageModel,
+      model: PredictiveModel,
       prompt: string,
       length?: number,
       beamWidth?: number
     ): string;
+    static beamSearchWithConfidence(
+      model: PredictiveModel,
+      prompt: string,
+      length?: number,
+      beamWidth?: number
+    ): Array<{ text: string; words: string[]; probabilities: number[]; probability: number }>;
     static generateStream(
-      model: LanguageModel,
+      model: PredictiveModel,
       prompt: string,
       length?: number,
       options?: GenerationOptions
@@ -262,25 +543,139 @@ declare module "@putervision/grokjs" {
     deserialize(json: string): FactServer;
   }
 
+  export class StorageAdapter {
+    constructor(name: string);
+    name: string;
+    isAvailable(): boolean;
+    get(key: string): Promise<string | null>;
+    set(key: string, value: string): Promise<void>;
+    remove(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+  }
+
+  export class LocalStorageAdapter extends StorageAdapter {
+    constructor(options?: { storage?: any });
+    storage: any;
+  }
+
+  export interface IndexedDBStorageOptions {
+    databaseName?: string;
+    storeName?: string;
+    chunkSize?: number;
+    indexedDB?: any;
+  }
+
+  export class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(options?: IndexedDBStorageOptions);
+    databaseName: string;
+    storeName: string;
+    chunkSize: number;
+  }
+
+  export class MemoryStorageAdapter extends StorageAdapter {
+    constructor();
+    entries: Map<string, string>;
+  }
+
+  export interface EncryptionOptions {
+    passphrase?: string;
+    key?: any;
+    iterations?: number;
+    allowPlaintext?: boolean;
+    crypto?: any;
+  }
+
+  export class EncryptedStorageAdapter extends StorageAdapter {
+    constructor(adapter: StorageAdapter, options: EncryptionOptions);
+    adapter: StorageAdapter;
+    iterations: number;
+    allowPlaintext: boolean;
+    plaintextKeys: Set<string>;
+  }
+
   export interface FormAutocompleteOptions {
     model?: LanguageModel;
     autoSave?: boolean;
+    storageAdapter?: "localStorage" | "indexedDB" | "memory" | StorageAdapter;
+    encryption?: EncryptionOptions | null;
+    onStorageError?: (error: Error) => void;
     storageKey?: string;
+    sync?: boolean;
     namespaceByPath?: boolean;
     maxSuggestions?: number;
     showSetup?: boolean;
+    storage?: NgramStorage;
+    prune?: PruneOptions | null;
+    pruneInterval?: number;
+    halfLife?: number | null;
+    characterOrder?: number;
+    phraseLength?: number;
+    phraseThreshold?: number;
+    beamWidth?: number;
+    display?: "dropdown" | "ghost";
+    headless?: boolean;
+    namespaces?: boolean;
+    namespaceWeight?: number;
+    optIn?: boolean;
+    sensitivePatterns?: RegExp[];
+    suggestOnExcluded?: boolean;
+    saveDelay?: number;
+  }
+
+  export interface NamespaceOptions {
+    namespace?: string | null;
+  }
+
+  export interface AttachOptions {
+    root?: any;
+    namespace?: string;
+  }
+
+  export interface AutocompleteEvents {
+    suggest: { element: any; value: string; suggestions: string[] };
+    accept: { element: any; suggestion: string; value: string };
+    dismiss: { element: any };
   }
 
   export class FormAutocompleteEngine {
     constructor(options?: FormAutocompleteOptions);
+    model: LanguageModel;
+    characterModel: CharacterModel;
+    namespaceModels: Map<string, LanguageModel>;
+    storageAdapter: StorageAdapter;
+    ready: Promise<boolean>;
     static inject(options?: FormAutocompleteOptions): FormAutocompleteEngine;
     static getConsoleSnippet(): string;
+    static SENSITIVE_PATTERNS: {
+      email: RegExp;
+      phone: RegExp;
+      ssn: RegExp;
+      creditCard: RegExp;
+    };
     attachToDocument(): void;
-    detach(): void;
-    loadState(): boolean;
-    saveState(): void;
+    attach(target: any, options?: AttachOptions): FormAutocompleteEngine;
+    detach(target?: any, options?: AttachOptions): void;
+    on<K extends keyof AutocompleteEvents>(
+      type: K,
+      listener: (detail: AutocompleteEvents[K]) => void
+    ): FormAutocompleteEngine;
+    off<K extends keyof AutocompleteEvents>(
+      type: K,
+      listener: (detail: AutocompleteEvents[K]) => void
+    ): FormAutocompleteEngine;
+    accept(suggestion?: string): void;
+    dismiss(): void;
+    loadState(): Promise<boolean>;
+    saveState(): Promise<boolean>;
+    flush(): Promise<boolean>;
+    untrain(text: string, options?: NamespaceOptions): RemovalReport;
+    forget(phrase: string): RemovalReport;
     preloadCorpora(presetKeys?: string[], customText?: string): void;
     showSetupModal(onComplete?: () => void): void;
-    predict(text: string, maxSuggestions?: number): string[];
+    predict(text: string, maxSuggestions?: number, options?: NamespaceOptions): string[];
+    predictPhrase(
+      text: string,
+      options?: NamespaceOptions
+    ): { words: string[]; text: string; probability: number } | null;
   }
 }
@@ -1,7 +1,13 @@
 const Counter = require("./src/counter/counter");
 const Tokenizer = require("./src/tokenizer/tokenizer");
 const Ngram = require("./src/ngram/ngram");
+const NgramTrie = require("./src/ngram-trie/ngram-trie");
+const PrefixTrie = require("./src/prefix-trie/prefix-trie");
+const BinaryFormat = require("./src/binary-format/binary-format");
+const ModelSchema = require("./src/model-schema/model-schema");
 const LanguageModel = require("./src/language-model/language-model");
+const MixtureModel = require("./src/mixture-model/mixture-model");
+const CharacterModel = require("./src/character-model/character-model");
 
 const Normalizer = require("./src/normalizer/normalizer");
 const Vocabulary = require("./src/vocabulary/vocabulary");
@@ -15,11 +21,30 @@ const EvaluationMetrics = require("./src/evaluation-metrics/evaluation-metrics")
 const InferenceEngine = require("./src/inference-engine/inference-engine");
 const FactServer = require("./src/fact-server/fact-server");
 const FormAutocompleteEngine = require("./src/form-autocomplete/form-autocomplete");
+const Smoothing = require("./src/smoothing/smoothing");
+const MleSmoothing = require("./src/smoothing/mle");
+const AddKSmoothing = require("./src/smoothing/add-k");
+const StupidBackoffSmoothing = require("./src/smoothing/stupid-backoff");
+const KatzBackoffSmoothing = require("./src/smoothing/katz-backoff");
+const InterpolatedSmoothing = require("./src/smoothing/interpolated");
+const KneserNeySmoothing = require("./src/smoothing/kneser-ney");
+const WittenBellSmoothing = require("./src/smoothing/witten-bell");
+const StorageAdapter = require("./src/storage-adapter/storage-adapter");
+const LocalStorageAdapter = require("./src/storage-adapter/local-storage");
+const IndexedDBStorageAdapter = require("./src/storage-adapter/indexed-db");
+const MemoryStorageAdapter = require("./src/storage-adapter/memory");
+const EncryptedStorageAdapter = require("./src/storage-adapter/encrypted");
 
 module.exports = {
   LanguageModel,
+  MixtureModel,
+  CharacterModel,
   Tokenizer,
   Ngram,
+  NgramTrie,
+  PrefixTrie,
+  BinaryFormat,
+  ModelSchema,
   Counter,
   Normalizer,
   Vocabulary,
@@ -33,4 +58,17 @@ module.exports = {
   InferenceEngine,
   FactServer,
   FormAutocompleteEngine,
+  Smoothing,
+  MleSmoothing,
+  AddKSmoothing,
+  StupidBackoffSmoothing,
+  KatzBackoffSmoothing,
+  InterpolatedSmoothing,
+  KneserNeySmoothing,
+  WittenBellSmoothing,
+  StorageAdapter,
+  LocalStorageAdapter,
+  IndexedDBStorageAdapter,
+  MemoryStorageAdapter,
+  EncryptedStorageAdapter,
 };
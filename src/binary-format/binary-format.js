@@ -0,0 +1,323 @@
+// "GRKJ" magic bytes identifying a GrokJS binary model
+const MAGIC = [0x47, 0x52, 0x4b, 0x4a];
+const FORMAT_VERSION = 1;
+
+const FLAG_SENTENCE_BOUNDARIES = 1;
+const FLAG_TRIE_STORAGE = 2;
+
+/**
+ * Growable byte buffer with varint, float and UTF-8 writers.
+ */
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  _reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + n) capacity *= 2;
+    const grown = new Uint8Array(capacity);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  byte(value) {
+    this._reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  /**
+   * Writes an unsigned LEB128 varint. Uses arithmetic instead of bit operations so
+   * integers up to Number.MAX_SAFE_INTEGER survive.
+   */
+  varint(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`GrokJS BinaryFormat: Cannot encode ${value} as a varint`);
+    }
+    while (value >= 0x80) {
+      this.byte((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.byte(value);
+  }
+
+  float64(value) {
+    this._reserve(8);
+    new DataView(this.bytes.buffer).setFloat64(this.length, value, true);
+    this.length += 8;
+  }
+
+  /**
+   * Writes a count: whole counts as a varint of count * 2, anything else as the tag 1
+   * followed by a float64 (fractional counts come from fine-tuning and decay).
+   */
+  count(value) {
+    if (Number.isSafeInteger(value) && Number.isSafeInteger(value * 2) && value >= 0) {
+      this.varint(value * 2);
+    } else {
+      this.varint(1);
+      this.float64(value);
+    }
+  }
+
+  string(value) {
+    const bytes = encodeUtf8(value);
+    this.varint(bytes.length);
+    this._reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toArrayBuffer() {
+    return this.bytes.slice(0, this.length).buffer;
+  }
+}
+
+/**
+ * Sequential reader over a byte array, mirroring ByteWriter.
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  _require(n) {
+    if (this.offset + n > this.bytes.length) {
+      throw new Error("GrokJS BinaryFormat: Unexpected end of data");
+    }
+  }
+
+  byte() {
+    this._require(1);
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+      if (scale > Number.MAX_SAFE_INTEGER) {
+        throw new Error("GrokJS BinaryFormat: Varint exceeds the safe integer range");
+      }
+    }
+  }
+
+  float64() {
+    this._require(8);
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.offset, 8);
+    this.offset += 8;
+    return view.getFloat64(0, true);
+  }
+
+  count() {
+    const tagged = this.varint();
+    return tagged === 1 ? this.float64() : tagged / 2;
+  }
+
+  string() {
+    const length = this.varint();
+    this._require(length);
+    const value = decodeUtf8(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+}
+
+/**
+ * Encodes a string as UTF-8. Implemented directly because TextEncoder is not available
+ * in every runtime the library targets (e.g. jsdom).
+ * @param {string} value - String to encode
+ * @return {Uint8Array} - UTF-8 bytes
+ */
+function encodeUtf8(value) {
+  const bytes = [];
+  for (const char of value) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Decodes UTF-8 bytes produced by encodeUtf8.
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @return {string} - Decoded string
+ */
+function decodeUtf8(bytes) {
+  let result = "";
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      code =
+        ((byte & 0x07) << 18) |
+        ((bytes[i + 1] & 0x3f) << 12) |
+        ((bytes[i + 2] & 0x3f) << 6) |
+        (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+    result += String.fromCodePoint(code);
+  }
+  return result;
+}
+
+/**
+ * Returns a Uint8Array over an ArrayBuffer, typed array, DataView or Node Buffer.
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @return {Uint8Array} - Byte view
+ */
+function toBytes(data) {
+  if (Object.prototype.toString.call(data) === "[object ArrayBuffer]") {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error("GrokJS BinaryFormat: Expected an ArrayBuffer or typed array");
+}
+
+/**
+ * Versioned binary encoding of LanguageModel state. Layout:
+ * header (magic "GRKJ", format version, flags, maxN), string table, vocabulary as string
+ * indices, the packed n-gram trie (structure stream as varints, counts as tagged varints),
+ * and a UTF-8 JSON block for the remaining metadata (state and schema versions, context,
+ * time decay, smoothing).
+ */
+class BinaryFormat {
+  /**
+   * Encodes a model state with a packed trie (see NgramTrie.pack) into an ArrayBuffer.
+   * @param {Object} state - State with maxN, trie, vocabulary and optional metadata fields
+   * @return {ArrayBuffer} - Encoded model
+   */
+  static encode(state) {
+    if (!state || !state.trie) {
+      throw new Error("GrokJS BinaryFormat: State must include a packed trie");
+    }
+    const { tokens, structure, counts } = state.trie;
+
+    // The string table starts with the trie's token table so structure indices stay valid
+    const strings = tokens.slice();
+    const index = new Map(strings.map((token, i) => [token, i]));
+    const vocabulary = Array.from(state.vocabulary || [], (word) => {
+      if (!index.has(word)) {
+        index.set(word, strings.length);
+        strings.push(word);
+      }
+      return index.get(word);
+    });
+
+    const writer = new ByteWriter();
+    MAGIC.forEach((byte) => writer.byte(byte));
+    writer.byte(FORMAT_VERSION);
+    writer.byte(
+      (state.sentenceBoundaries ? FLAG_SENTENCE_BOUNDARIES : 0) |
+        (state.storage === "trie" ? FLAG_TRIE_STORAGE : 0)
+    );
+    writer.varint(state.maxN);
+
+    writer.varint(strings.length);
+    writer.varint(tokens.length);
+    strings.forEach((value) => writer.string(value));
+
+    writer.varint(vocabulary.length);
+    vocabulary.forEach((i) => writer.varint(i));
+
+    writer.varint(structure.length);
+    for (let i = 0; i < structure.length; i++) writer.varint(structure[i]);
+    writer.varint(counts.length);
+    for (let i = 0; i < counts.length; i++) writer.count(counts[i]);
+
+    writer.string(
+      JSON.stringify({
+        version: state.version,
+        schemaVersion: state.schemaVersion,
+        context: state.context || {},
+        timeDecay: state.timeDecay || null,
+        smoothing: state.smoothing || null,
+      })
+    );
+    return writer.toArrayBuffer();
+  }
+
+  /**
+   * Decodes an ArrayBuffer produced by encode() back into a model state object.
+   * @param {ArrayBuffer|ArrayBufferView} data - Encoded model
+   * @return {Object} - State with maxN, storage, trie, vocabulary and metadata fields
+   * @throws {Error} If the data is not a GrokJS binary model or uses a newer format
+   */
+  static decode(data) {
+    const reader = new ByteReader(toBytes(data));
+    for (const byte of MAGIC) {
+      if (reader.byte() !== byte) {
+        throw new Error("GrokJS BinaryFormat: Data is not a GrokJS binary model");
+      }
+    }
+    const formatVersion = reader.byte();
+    if (formatVersion > FORMAT_VERSION) {
+      throw new Error(
+        `GrokJS BinaryFormat: Binary format version ${formatVersion} is newer than supported version ${FORMAT_VERSION}`
+      );
+    }
+    const flags = reader.byte();
+    const maxN = reader.varint();
+
+    const stringCount = reader.varint();
+    const tokenCount = reader.varint();
+    const strings = [];
+    for (let i = 0; i < stringCount; i++) strings.push(reader.string());
+
+    const vocabulary = [];
+    const vocabularyCount = reader.varint();
+    for (let i = 0; i < vocabularyCount; i++) vocabulary.push(strings[reader.varint()]);
+
+    const structure = new Array(reader.varint());
+    for (let i = 0; i < structure.length; i++) structure[i] = reader.varint();
+    const counts = new Array(reader.varint());
+    for (let i = 0; i < counts.length; i++) counts[i] = reader.count();
+
+    const metadata = JSON.parse(reader.string());
+    return {
+      ...metadata,
+      maxN,
+      storage: flags & FLAG_TRIE_STORAGE ? "trie" : "map",
+      sentenceBoundaries: Boolean(flags & FLAG_SENTENCE_BOUNDARIES),
+      trie: { tokens: strings.slice(0, tokenCount), structure, counts },
+      vocabulary,
+    };
+  }
+}
+
+BinaryFormat.FORMAT_VERSION = FORMAT_VERSION;
+BinaryFormat.encodeUtf8 = encodeUtf8;
+BinaryFormat.decodeUtf8 = decodeUtf8;
+
+module.exports = BinaryFormat;
@@ -0,0 +1,58 @@
+const BinaryFormat = require("./binary-format");
+
+describe("BinaryFormat", () => {
+  const state = {
+    version: "1.2.4",
+    maxN: 3,
+    storage: "trie",
+    sentenceBoundaries: true,
+    trie: {
+      tokens: ["café", "naïve", "🚀"],
+      structure: [0, 1, 0, 3, 1, 0, 2, 200],
+      counts: [1, 2.5, 1e12],
+    },
+    vocabulary: ["café", "extra"],
+    context: { language: "French" },
+    smoothing: { name: "kneser-ney", options: {} },
+  };
+
+  test("encode and decode round-trip header, strings, counts and metadata", () => {
+    const buffer = BinaryFormat.encode(state);
+    expect(Object.prototype.toString.call(buffer)).toBe("[object ArrayBuffer]");
+
+    const decoded = BinaryFormat.decode(buffer);
+    expect(decoded.maxN).toBe(3);
+    expect(decoded.storage).toBe("trie");
+    expect(decoded.sentenceBoundaries).toBe(true);
+    expect(decoded.trie).toEqual(state.trie);
+    expect(decoded.vocabulary).toEqual(["café", "extra"]);
+    expect(decoded.context).toEqual({ language: "French" });
+    expect(decoded.smoothing).toEqual({ name: "kneser-ney", options: {} });
+    expect(decoded.version).toBe("1.2.4");
+  });
+
+  test("decode accepts typed array views such as Node Buffers", () => {
+    const bytes = new Uint8Array(BinaryFormat.encode(state));
+    const padded = new Uint8Array(bytes.length + 3);
+    padded.set(bytes, 3);
+    expect(BinaryFormat.decode(padded.subarray(3)).maxN).toBe(3);
+    expect(BinaryFormat.decode(Buffer.from(bytes)).trie.counts).toEqual([1, 2.5, 1e12]);
+  });
+
+  test("decode rejects foreign, newer and truncated data", () => {
+    expect(() => BinaryFormat.decode(new Uint8Array([1, 2, 3, 4, 1]))).toThrow(
+      /not a GrokJS binary model/
+    );
+
+    const bytes = new Uint8Array(BinaryFormat.encode(state));
+    const newer = bytes.slice();
+    newer[4] = BinaryFormat.FORMAT_VERSION + 1;
+    expect(() => BinaryFormat.decode(newer)).toThrow(/newer than supported version/);
+
+    expect(() => BinaryFormat.decode(bytes.slice(0, bytes.length - 4))).toThrow(
+      /Unexpected end of data/
+    );
+    expect(() => BinaryFormat.decode("GRKJ")).toThrow(/Expected an ArrayBuffer/);
+    expect(() => BinaryFormat.encode({ maxN: 3 })).toThrow(/packed trie/);
+  });
+});
@@ -0,0 +1,131 @@
+const Ngram = require("../ngram/ngram");
+
+const DEFAULT_SIZE = 200;
+const DEFAULT_WEIGHT = 0.1;
+const DEFAULT_ORDER = 3;
+
+/**
+ * Cache language model over a sliding window of recently seen tokens (Kuhn & De Mori,
+ * 1990). LanguageModel interpolates it with the base model, so n-grams the user wrote
+ * recently are boosted without touching the base corpus counts; once tokens leave the
+ * window their boost disappears.
+ */
+class CacheModel {
+  /**
+   * Constructs a CacheModel.
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.size=200] - Number of recent tokens kept in the window
+   * @param {number} [options.weight=0.1] - Interpolation weight of the cache (0 to 1)
+   * @param {number} [options.order=3] - Highest n-gram order counted in the window
+   * @throws {Error} If an option is out of range
+   */
+  constructor(options = {}) {
+    const { size = DEFAULT_SIZE, weight = DEFAULT_WEIGHT, order = DEFAULT_ORDER } = options;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error("GrokJS CacheModel: size must be a positive integer");
+    }
+    if (typeof weight !== "number" || !(weight >= 0 && weight <= 1)) {
+      throw new Error("GrokJS CacheModel: weight must be between 0 and 1");
+    }
+    if (!Number.isInteger(order) || order < 1) {
+      throw new Error("GrokJS CacheModel: order must be a positive integer");
+    }
+    this.size = size;
+    this.weight = weight;
+    this.order = order;
+    // Recent token sequences, oldest first, holding at most `size` tokens in total
+    this.window = [];
+    this.tokenCount = 0;
+    this.ngram = null;
+  }
+
+  /**
+   * Appends token sequences to the window, evicting the oldest tokens beyond `size`.
+   * @param {string[][]} sequences - Token sequences, e.g. from Ngram.sequences()
+   */
+  add(sequences) {
+    for (const tokens of sequences) {
+      if (tokens.length === 0) continue;
+      this.window.push(tokens.slice(-this.size));
+      this.tokenCount += Math.min(tokens.length, this.size);
+    }
+    while (this.tokenCount > this.size) {
+      const excess = this.tokenCount - this.size;
+      const oldest = this.window[0];
+      if (oldest.length <= excess) {
+        this.window.shift();
+        this.tokenCount -= oldest.length;
+      } else {
+        this.window[0] = oldest.slice(excess);
+        this.tokenCount -= excess;
+      }
+    }
+    this.ngram = null;
+  }
+
+  /**
+   * Empties the window.
+   */
+  clear() {
+    this.window = [];
+    this.tokenCount = 0;
+    this.ngram = null;
+  }
+
+  /**
+   * Returns the n-gram counts of the current window, rebuilt after the window changes.
+   * @return {Ngram} - Window counts
+   */
+  _counts() {
+    if (!this.ngram) {
+      this.ngram = new Ngram(this.order);
+      this.window.forEach((tokens) => this.ngram.updateModel(tokens));
+    }
+    return this.ngram;
+  }
+
+  /**
+   * Returns the cache probability of a word: the window's unigram frequency, recursively
+   * averaged with the relative frequency after each longer context suffix seen in the window.
+   * @param {string} word - The word to score
+   * @param {string[]} contextTokens - Context tokens
+   * @return {number} - Probability (0 when the window is empty)
+   */
+  probability(word, contextTokens) {
+    const counts = this._counts();
+    const unigrams = counts.getCounter([]);
+    const unigramTotal = unigrams.total();
+    if (unigramTotal <= 0) return 0;
+
+    let prob = unigrams.get(word) / unigramTotal;
+    const maxContext = Math.min(contextTokens.length, this.order - 1);
+    for (let n = 1; n <= maxContext; n++) {
+      const counter = counts.getCounter(contextTokens.slice(-n));
+      const total = counter ? counter.total() : 0;
+      if (total <= 0) break;
+      prob = (counter.get(word) / total + prob) / 2;
+    }
+    return prob;
+  }
+
+  /**
+   * Returns the words seen in the window after the longest matching context suffix.
+   * @param {string[]} contextTokens - Context tokens
+   * @return {string[]} - Candidate words, most frequent first
+   */
+  candidates(contextTokens) {
+    const counts = this._counts();
+    for (let n = Math.min(contextTokens.length, this.order - 1); n > 0; n--) {
+      const counter = counts.getCounter(contextTokens.slice(-n));
+      if (counter && counter.total() > 0) {
+        return counter
+          .mostCommon()
+          .map(([word]) => word)
+          .filter(Boolean);
+      }
+    }
+    return [];
+  }
+}
+
+module.exports = CacheModel;
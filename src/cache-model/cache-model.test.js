@@ -0,0 +1,46 @@
+const CacheModel = require("./cache-model");
+
+describe("CacheModel", () => {
+  test("keeps a sliding window of the most recent tokens", () => {
+    const cache = new CacheModel({ size: 5 });
+    cache.add([["a", "b", "c"]]);
+    cache.add([["d", "e", "f"]]);
+
+    expect(cache.tokenCount).toBe(5);
+    expect(cache.window).toEqual([
+      ["b", "c"],
+      ["d", "e", "f"],
+    ]);
+
+    cache.add([["g", "h", "i", "j", "k", "l"]]);
+    expect(cache.window).toEqual([["h", "i", "j", "k", "l"]]);
+    cache.clear();
+    expect(cache.tokenCount).toBe(0);
+  });
+
+  test("probability blends window unigram and context frequencies", () => {
+    const cache = new CacheModel({ order: 2 });
+    expect(cache.probability("cat", [])).toBe(0);
+
+    cache.add([["the", "cat", "the", "dog"]]);
+    const unigram = cache.probability("cat", []);
+    expect(unigram).toBeCloseTo(1 / 4, 10);
+    // "the" is followed by "cat" half of the time
+    expect(cache.probability("cat", ["the"])).toBeCloseTo((1 / 2 + 1 / 4) / 2, 10);
+    expect(cache.probability("bird", ["the"])).toBe(0);
+  });
+
+  test("candidates come from the longest context seen in the window", () => {
+    const cache = new CacheModel();
+    cache.add([["see", "the", "cat", "see", "the", "cat", "see", "the", "dog"]]);
+
+    expect(cache.candidates(["see", "the"])).toEqual(["cat", "dog"]);
+    expect(cache.candidates(["unknown"])).toEqual([]);
+  });
+
+  test("validates options", () => {
+    expect(() => new CacheModel({ size: 0 })).toThrow("size");
+    expect(() => new CacheModel({ weight: 2 })).toThrow("weight");
+    expect(() => new CacheModel({ order: 0 })).toThrow("order");
+  });
+});
@@ -0,0 +1,178 @@
+const Ngram = require("../ngram/ngram");
+const Vocabulary = require("../vocabulary/vocabulary");
+const WittenBellSmoothing = require("../smoothing/witten-bell");
+
+// Word boundary symbols; they contain characters no single-character token can match
+const WORD_START = "<w>";
+const WORD_END = "</w>";
+
+/**
+ * Character-level n-gram language model over words. Each word is learned as the character
+ * sequence `<w> c1 ... ck </w>` in an Ngram, so partial words can be completed by
+ * probability and words never seen before can be proposed from their spelling patterns.
+ * Characters are scored with a smoothing strategy (interpolated Witten-Bell by default),
+ * which gives every character a non-zero probability.
+ */
+class CharacterModel {
+  /**
+   * Constructs a CharacterModel.
+   * @param {number} [order=5] - Character n-gram order (context length plus one)
+   * @param {Object} [options={}] - Configuration options
+   * @param {Smoothing} [options.smoothing] - Smoothing strategy instance used to score
+   *   characters (defaults to WittenBellSmoothing)
+   * @param {number} [options.maxLength=24] - Longest completion, in characters, that
+   *   complete() proposes
+   */
+  constructor(order = 5, options = {}) {
+    this.ngram = new Ngram(order, {
+      vocabulary: new Vocabulary({ bosToken: WORD_START, eosToken: WORD_END }),
+    });
+    this.order = this.ngram.maxN;
+    this.smoothing = options.smoothing || new WittenBellSmoothing();
+    this.maxLength = options.maxLength || 24;
+  }
+
+  /**
+   * Learns a word's spelling.
+   * @param {string} word - Word to learn
+   * @param {number} [count=1] - Number of times the word was observed
+   */
+  learnWord(word, count = 1) {
+    if (typeof word !== "string" || word.length === 0 || /\s/.test(word)) return;
+    this.ngram.updateModel([WORD_START, ...Array.from(word), WORD_END], count);
+  }
+
+  /**
+   * Learns the spelling of every token of a text.
+   * @param {string} text - Text to learn from
+   */
+  train(text) {
+    if (typeof text !== "string") {
+      throw new Error("Input must be a string");
+    }
+    this.ngram.tokenize(text).forEach((word) => this.learnWord(word));
+  }
+
+  /**
+   * Returns the probability of the next character (or WORD_END) given the characters so far.
+   * @param {string} char - Next character, or CharacterModel.WORD_END
+   * @param {string[]} history - Characters so far, starting with WORD_START
+   * @return {number} - Probability
+   */
+  _charProbability(char, history) {
+    return this.smoothing.probability(this.ngram, char, history.slice(-(this.order - 1)));
+  }
+
+  /**
+   * Returns the probability that a word starting with `prefix` continues as `word`, i.e.
+   * the product of its remaining character probabilities including the word end.
+   * @param {string} prefix - Typed partial word
+   * @param {string} word - Candidate completion
+   * @return {number} - Completion probability (0 if the word does not start with prefix)
+   */
+  completionProbability(prefix, word) {
+    if (typeof word !== "string" || !word.startsWith(prefix || "")) return 0;
+    const history = [WORD_START, ...Array.from(prefix || "")];
+    let prob = 1;
+    for (const char of [...Array.from(word.slice(history.length - 1)), WORD_END]) {
+      prob *= this._charProbability(char, history);
+      history.push(char);
+    }
+    return prob;
+  }
+
+  /**
+   * Returns the probability of a whole word.
+   * @param {string} word - Word to score
+   * @return {number} - Word probability
+   */
+  wordProbability(word) {
+    return this.completionProbability("", word);
+  }
+
+  /**
+   * Returns the characters that can follow a history: every outcome seen after any of its
+   * suffixes, plus the characters seen anywhere.
+   * @param {string[]} history - Characters so far, starting with WORD_START
+   * @return {string[]} - Candidate next characters, WORD_END included
+   */
+  _nextCharacters(history) {
+    const chars = new Set();
+    const context = history.slice(-(this.order - 1));
+    for (let n = context.length; n > 0; n--) {
+      const counter = this.ngram.getCounter(context.slice(-n));
+      if (counter) for (const char of counter.counter.keys()) chars.add(char);
+    }
+    for (const char of this.ngram.getCounter([]).counter.keys()) chars.add(char);
+    chars.add(WORD_END);
+    chars.delete("");
+    return Array.from(chars);
+  }
+
+  /**
+   * Completes a partial word by beam search over characters. Completions are ranked by
+   * their completion probability and may be words that were never learned.
+   * @param {string} prefix - Typed partial word
+   * @param {number} [k=5] - Number of completions to return
+   * @param {Object} [options={}] - Search options
+   * @param {number} [options.beamWidth] - Partial completions kept per step (default 4k)
+   * @param {boolean} [options.includePrefix=false] - Whether the prefix itself may be
+   *   returned as a completion
+   * @return {Array<{ word: string, probability: number }>} - Completions, most probable first
+   */
+  complete(prefix, k = 5, options = {}) {
+    if (typeof prefix !== "string") {
+      throw new Error("Prefix must be a string");
+    }
+    const beamWidth = options.beamWidth || k * 4;
+    const start = [WORD_START, ...Array.from(prefix)];
+    let beams = [{ history: start, logProb: 0 }];
+    const finished = [];
+
+    for (let step = 0; step <= this.maxLength && beams.length > 0; step++) {
+      const expanded = [];
+      for (const beam of beams) {
+        for (const char of this._nextCharacters(beam.history)) {
+          const prob = this._charProbability(char, beam.history);
+          if (!(prob > 0)) continue;
+          const logProb = beam.logProb + Math.log(prob);
+          if (char === WORD_END) {
+            const word = beam.history.slice(1).join("");
+            if (word.length > 0 && (options.includePrefix || word !== prefix)) {
+              finished.push({ word, logProb });
+            }
+          } else if (step < this.maxLength) {
+            expanded.push({ history: [...beam.history, char], logProb });
+          }
+        }
+      }
+
+      finished.sort((a, b) => b.logProb - a.logProb);
+      expanded.sort((a, b) => b.logProb - a.logProb);
+      beams = expanded.slice(0, beamWidth);
+      // Extending a beam only lowers its probability, so stop once none can reach the top k
+      if (
+        finished.length >= k &&
+        (beams.length === 0 || beams[0].logProb < finished[k - 1].logProb)
+      ) {
+        break;
+      }
+    }
+
+    return finished
+      .slice(0, k)
+      .map(({ word, logProb }) => ({ word, probability: Math.exp(logProb) }));
+  }
+
+  /**
+   * Forgets everything learned.
+   */
+  clear() {
+    this.ngram = new Ngram(this.order, this.ngram.options);
+  }
+}
+
+CharacterModel.WORD_START = WORD_START;
+CharacterModel.WORD_END = WORD_END;
+
+module.exports = CharacterModel;
@@ -0,0 +1,72 @@
+const CharacterModel = require("./character-model");
+const KneserNeySmoothing = require("../smoothing/kneser-ney");
+
+describe("CharacterModel", () => {
+  let model;
+
+  beforeEach(() => {
+    model = new CharacterModel(4);
+    model.train("program programs programmer progress process produce product products");
+  });
+
+  test("learns words as bounded character sequences", () => {
+    const counter = model.ngram.getCounter([CharacterModel.WORD_START]);
+    expect(counter.get("p")).toBe(8);
+    expect(model.ngram.getCounter(["r", "a", "m"]).get(CharacterModel.WORD_END)).toBe(1);
+    expect(() => model.train(42)).toThrow("Input must be a string");
+
+    model.learnWord("zebra", 3);
+    expect(model.ngram.getCounter([CharacterModel.WORD_START]).get("z")).toBe(3);
+    model.learnWord("two words");
+    expect(model.ngram.getCounter([CharacterModel.WORD_START]).get("t")).toBe(0);
+  });
+
+  test("completionProbability ranks frequent spellings higher", () => {
+    model.train("program program");
+    const program = model.completionProbability("pro", "program");
+    const process = model.completionProbability("pro", "process");
+
+    expect(program).toBeGreaterThan(process);
+    expect(program).toBeLessThanOrEqual(1);
+    expect(model.completionProbability("pro", "banana")).toBe(0);
+    expect(model.wordProbability("program")).toBeLessThan(program);
+  });
+
+  test("complete returns ranked completions of a partial word", () => {
+    const completions = model.complete("prog", 3);
+
+    expect(completions.map(({ word }) => word)).toEqual(
+      expect.arrayContaining(["program", "progress"])
+    );
+    expect(completions.every(({ word }) => word.startsWith("prog"))).toBe(true);
+    for (let i = 1; i < completions.length; i++) {
+      expect(completions[i - 1].probability).toBeGreaterThanOrEqual(completions[i].probability);
+    }
+    expect(completions[0].probability).toBeCloseTo(
+      model.completionProbability("prog", completions[0].word),
+      10
+    );
+    expect(() => model.complete(null)).toThrow("Prefix must be a string");
+  });
+
+  test("complete can propose words that were never learned", () => {
+    const unseen = new CharacterModel(3);
+    unseen.train("walking talking running jumping walked talked jumped");
+    const words = unseen.complete("runn", 10, { beamWidth: 40 }).map(({ word }) => word);
+
+    expect(words).toContain("running");
+    // Other completions (e.g. "runned") follow learned spelling patterns but were never seen
+    const learned = new Set(["walking", "talking", "running", "jumping", "walked", "talked"]);
+    expect(words.some((word) => !learned.has(word))).toBe(true);
+  });
+
+  test("accepts a smoothing strategy and can be cleared", () => {
+    const smoothed = new CharacterModel(3, { smoothing: new KneserNeySmoothing() });
+    smoothed.train("hello help helmet");
+    expect(smoothed.completionProbability("hel", "help")).toBeGreaterThan(0);
+
+    smoothed.clear();
+    expect(smoothed.ngram.getCounter([]).total()).toBe(0);
+    expect(smoothed.complete("he", 3).every(({ word }) => word.startsWith("he"))).toBe(true);
+  });
+});
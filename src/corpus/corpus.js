@@ -26,17 +26,25 @@ class Corpus {
   getSentences() {
     const sentences = [];
     for (const doc of this.documents) {
-      // Split on sentence-ending punctuation followed by space or newline
-      const matches = doc.split(/(?<=[.!?])\s+/);
-      for (const sentence of matches) {
-        if (sentence.trim()) {
-          sentences.push(sentence.trim());
-        }
-      }
+      sentences.push(...Corpus.splitSentences(doc));
     }
     return sentences;
   }
 
+  /**
+   * Splits a text into trimmed, non-empty sentences.
+   * @param {string} text - Text to split
+   * @return {string[]} - Array of sentence strings
+   */
+  static splitSentences(text) {
+    if (typeof text !== "string") return [];
+    // Split on sentence-ending punctuation followed by space or newline
+    return text
+      .split(/(?<=[.!?])\s+/)
+      .map((sentence) => sentence.trim())
+      .filter(Boolean);
+  }
+
   /**
    * Returns a flattened array of all tokens in the corpus.
    * @return {string[]} - Token array
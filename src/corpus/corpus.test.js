@@ -57,4 +57,14 @@ describe("Corpus Class", () => {
     corpus.addDocument(null);
     expect(corpus.documents.length).toBe(initialLen);
   });
+
+  test("splitSentences splits on terminal punctuation followed by whitespace", () => {
+    expect(Corpus.splitSentences("One. Two!  Three? Four")).toEqual([
+      "One.",
+      "Two!",
+      "Three?",
+      "Four",
+    ]);
+    expect(Corpus.splitSentences("   ")).toEqual([]);
+  });
 });
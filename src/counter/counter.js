@@ -104,6 +104,28 @@ class Counter {
     return result;
   }
 
+  /**
+   * Multiplies every count by a factor, e.g. to apply exponential decay, and removes
+   * items whose scaled count falls below `minCount`.
+   * @param {number} factor - Non-negative scaling factor
+   * @param {number} [minCount=0] - Scaled counts below this are removed
+   * @return {Counter} - This counter
+   * @throws {Error} If factor is not a finite non-negative number
+   */
+  scale(factor, minCount = 0) {
+    if (typeof factor !== "number" || !Number.isFinite(factor) || factor < 0)
+      throw new Error("Scale factor must be a finite non-negative number");
+    for (const [item, count] of this.counter) {
+      const scaled = count * factor;
+      if (scaled > 0 && scaled >= minCount) {
+        this.counter.set(item, scaled);
+      } else {
+        this.counter.delete(item);
+      }
+    }
+    return this;
+  }
+
   /**
    * Returns a string representation of the counter, similar to Python's Counter repr.
    * @return {string} - String representation of the counter
@@ -135,4 +135,16 @@ describe("Counter", () => {
     const elements = floatCounter.elements();
     expect(elements).toEqual(["item", "item"]);
   });
+
+  test("scale multiplies counts and drops those below minCount", () => {
+    const decaying = new Counter({ a: 4, b: 1 });
+    expect(decaying.scale(0.5)).toBe(decaying);
+    expect(decaying.get("a")).toBe(2);
+    expect(decaying.get("b")).toBe(0.5);
+
+    decaying.scale(0.5, 0.5);
+    expect(decaying.get("a")).toBe(1);
+    expect(decaying.counter.has("b")).toBe(false);
+    expect(() => decaying.scale(-1)).toThrow("Scale factor must be a finite non-negative number");
+  });
 });
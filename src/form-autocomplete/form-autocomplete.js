@@ -1,5 +1,13 @@
 const LanguageModel = require("../language-model/language-model");
-const Counter = require("../counter/counter");
+const ModelSchema = require("../model-schema/model-schema");
+const CharacterModel = require("../character-model/character-model");
+const InferenceEngine = require("../inference-engine/inference-engine");
+const MixtureModel = require("../mixture-model/mixture-model");
+const StorageAdapter = require("../storage-adapter/storage-adapter");
+const LocalStorageAdapter = require("../storage-adapter/local-storage");
+const IndexedDBStorageAdapter = require("../storage-adapter/indexed-db");
+const MemoryStorageAdapter = require("../storage-adapter/memory");
+const EncryptedStorageAdapter = require("../storage-adapter/encrypted");
 
 /**
  * Default pre-training corpora for instant out-of-the-box autocomplete suggestions.
@@ -13,6 +21,73 @@ const DEFAULT_PRESETS = {
     "Hey how is it going? That sounds awesome! Let me know when you are free to chat. Thanks again, see you soon! Have a great day!",
 };
 
+// Storage adapters selectable by name through the `storageAdapter` option
+const STORAGE_ADAPTERS = {
+  localStorage: LocalStorageAdapter,
+  indexedDB: IndexedDBStorageAdapter,
+  memory: MemoryStorageAdapter,
+};
+
+// Most frequent prefix matches re-ranked by the character model on each keystroke
+const PREFIX_CANDIDATES = 50;
+
+// Element ID prefixes of each engine's suggestion listbox and ghost text; option IDs are
+// derived from the listbox's ID
+const LISTBOX_ID = "grokjs-autocomplete-tooltip";
+const GHOST_ID = "grokjs-autocomplete-ghost";
+let displayCount = 0;
+
+// Events reported to listeners registered with on()
+const EVENT_TYPES = ["suggest", "accept", "dismiss"];
+
+// Computed styles copied to the mirror element that locates the caret in inputs/textareas
+const MIRROR_PROPERTIES = [
+  "direction",
+  "boxSizing",
+  "width",
+  "height",
+  "overflowX",
+  "overflowY",
+  "borderTopWidth",
+  "borderRightWidth",
+  "borderBottomWidth",
+  "borderLeftWidth",
+  "borderStyle",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "fontStyle",
+  "fontVariant",
+  "fontWeight",
+  "fontStretch",
+  "fontSize",
+  "lineHeight",
+  "fontFamily",
+  "textAlign",
+  "textTransform",
+  "textIndent",
+  "letterSpacing",
+  "wordSpacing",
+  "tabSize",
+];
+
+// A field is committed (learned) when its text ends with a sentence terminator
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+
+// Text that is never learned: anything matching one of these is left out of every model
+const SENSITIVE_PATTERNS = {
+  email: /[^\s@]+@[^\s@]+\.[^\s@]+/,
+  phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/,
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/,
+  creditCard: /\b(?:\d[ -]?){12,18}\d\b/,
+};
+
+// `autocomplete` tokens and `name`/`id` hints of payment, one-time-code and password fields
+const SENSITIVE_AUTOCOMPLETE = /^(?:cc-.+|one-time-code|new-password|current-password)$/;
+const SENSITIVE_FIELD_NAME =
+  /otp|one.?time|passcode|verification.?code|security.?code|cvv|cvc|card.?num|cc.?num|ssn/i;
+
 /**
  * FormAutocompleteEngine class for automatically attaching self-learning LM autocomplete
  * to HTML inputs, textareas, and contenteditable fields on any webpage.
@@ -22,36 +97,213 @@ class FormAutocompleteEngine {
    * Constructs a FormAutocompleteEngine instance.
    * @param {Object} [options={}] - Configuration options
    * @param {LanguageModel} [options.model] - Optional pre-existing LanguageModel instance
-   * @param {boolean} [options.autoSave=true] - Whether to save trained state to localStorage
-   * @param {string} [options.storageKey="grokjs_form_lm"] - Key used for localStorage persistence
-   * @param {number} [options.maxSuggestions=3] - Maximum suggestion dropdown items
+   * @param {boolean} [options.autoSave=true] - Whether to save trained state to storage
+   * @param {string|StorageAdapter} [options.storageAdapter="localStorage"] - Where state is
+   *   saved: "localStorage", "indexedDB" (asynchronous, chunked, for larger models),
+   *   "memory", or a StorageAdapter instance
+   * @param {Object} [options.encryption] - Encrypt saved state with AES-GCM: options of
+   *   EncryptedStorageAdapter (`passphrase` or `key`, `iterations`, `allowPlaintext`,
+   *   `crypto`)
+   * @param {Function} [options.onStorageError] - Called with the error when saving fails,
+   *   e.g. because the storage quota is exceeded, or when saved state cannot be read
+   * @param {string} [options.storageKey="grokjs_form_lm"] - Key under which state is saved
+   * @param {boolean} [options.sync=true] - Merge what other tabs sharing the storage key
+   *   learned instead of overwriting it on save, and pick it up as they save
+   * @param {number} [options.maxSuggestions=3] - Maximum suggestion dropdown items (the
+   *   phrase suggestion followed by alternative next words)
    * @param {boolean} [options.showSetup=true] - Whether to display pre-training setup modal on first run
+   * @param {string} [options.storage="map"] - Ngram storage backend for the default model;
+   *   "trie" saves a packed trie, which needs far less localStorage space
+   * @param {Object} [options.prune=null] - LanguageModel.prune() options applied periodically
+   *   while learning from user input, keeping long-running instances bounded
+   * @param {number} [options.pruneInterval=100] - Number of learned inputs between prunes
+   * @param {number} [options.halfLife=null] - Time decay half-life in milliseconds for the
+   *   default model, so suggestions follow recent usage instead of months-old text
+   * @param {number} [options.characterOrder=5] - Order of the character-level model that
+   *   ranks partial-word completions
+   * @param {number} [options.phraseLength=6] - Maximum number of words in a phrase
+   *   suggestion (1 suggests single words only)
+   * @param {number} [options.phraseThreshold=0.3] - Minimum probability of the words a
+   *   phrase suggestion adds after its first word; the phrase is cut where the model
+   *   becomes less sure
+   * @param {number} [options.beamWidth=3] - Beams kept by the phrase beam search
+   * @param {string} [options.display="dropdown"] - How suggestions are shown: "dropdown"
+   *   for a listbox below the field, or "ghost" for greyed-out inline text at the caret
+   * @param {boolean} [options.headless=false] - Render nothing; suggestions are only
+   *   reported through the `suggest`, `accept` and `dismiss` events (see on())
+   * @param {boolean} [options.namespaces=false] - Keep a separate model per field (keyed by
+   *   `data-grokjs-namespace` on the field or an ancestor such as its form, its
+   *   `autocomplete` token, or its form-qualified `name`/`id`), blended with the shared model
+   *   and saved under its own storage key
+   * @param {number} [options.namespaceWeight=0.6] - Interpolation weight of a field's model
+   *   in the blend with the shared model (0 to 1)
+   * @param {boolean} [options.optIn=false] - Only learn from fields marked
+   *   `data-grokjs="on"` (on the field or an ancestor) instead of every field that is not
+   *   opted out
+   * @param {RegExp[]} [options.sensitivePatterns] - Text matching any of these is never
+   *   learned (defaults to the emails, phone numbers, SSNs and credit card numbers of
+   *   FormAutocompleteEngine.SENSITIVE_PATTERNS)
+   * @param {boolean} [options.suggestOnExcluded=false] - Whether fields excluded from
+   *   learning still show suggestions
+   * @param {number} [options.saveDelay=2000] - Longest wait in milliseconds before learned
+   *   text is written to storage; writes happen when the browser is idle
+   *   (requestIdleCallback) and at the latest after this delay
+   * @throws {Error} If the display mode, the storage adapter or the namespace weight is
+   *   invalid
    */
   constructor(options = {}) {
     this.options = {
       autoSave: true,
+      storageAdapter: "localStorage",
+      encryption: null,
+      onStorageError: null,
       storageKey: "grokjs_form_lm",
+      sync: true,
       namespaceByPath: false,
       maxSuggestions: 3,
       showSetup: false,
+      prune: null,
+      pruneInterval: 100,
+      halfLife: null,
+      characterOrder: 5,
+      phraseLength: 6,
+      phraseThreshold: 0.3,
+      beamWidth: 3,
+      display: "dropdown",
+      headless: false,
+      namespaces: false,
+      namespaceWeight: 0.6,
+      optIn: false,
+      sensitivePatterns: Object.values(SENSITIVE_PATTERNS),
+      suggestOnExcluded: false,
+      saveDelay: 2000,
       ...options,
     };
+    if (!["dropdown", "ghost"].includes(this.options.display)) {
+      throw new Error(
+        `GrokJS FormAutocompleteEngine: Unknown display mode "${this.options.display}"`
+      );
+    }
+    const { namespaceWeight } = this.options;
+    if (typeof namespaceWeight !== "number" || !(namespaceWeight >= 0 && namespaceWeight <= 1)) {
+      throw new Error("GrokJS FormAutocompleteEngine: namespaceWeight must be between 0 and 1");
+    }
+
+    this.storageAdapter = FormAutocompleteEngine._createStorageAdapter(this.options.storageAdapter);
+    if (this.options.encryption) {
+      this.storageAdapter = new EncryptedStorageAdapter(
+        this.storageAdapter,
+        this.options.encryption
+      );
+      // The adapter keeps only key material; the passphrase is not kept in the options
+      this.options.encryption = { ...this.options.encryption };
+      delete this.options.encryption.passphrase;
+    }
 
     if (this.options.namespaceByPath && typeof window !== "undefined" && window.location) {
       this.options.storageKey += `_${window.location.pathname.replace(/[^a-zA-Z0-9_]/g, "_")}`;
     }
 
-    this.model = options.model || new LanguageModel();
+    this.model =
+      options.model ||
+      new LanguageModel(null, 5, {
+        storage: this.options.storage,
+        halfLife: this.options.halfLife,
+      });
     this.activeElement = null;
     this.tooltipElement = null;
+    this.ghostElement = null;
     this.modalElement = null;
     this._boundHandlers = null;
+    this._learnedSincePrune = 0;
+    // Dropdown state: listed suggestions, the highlighted one, whether the user moved the
+    // highlight (Enter only accepts then), and the field wired up as the listbox's combobox
+    this._suggestions = [];
+    this._activeIndex = 0;
+    this._navigated = false;
+    this._ariaTarget = null;
+    this._addedRole = false;
+    // Character-level model over the word model's unigram counts, rebuilt lazily whenever
+    // the word model changes other than through _learn()
+    this.characterModel = new CharacterModel(this.options.characterOrder);
+    this._characterSource = null;
+    this._characterRevision = -1;
+    // Per-field models by namespace, imported on first use from the saved states read by
+    // loadState(); dirty ones are saved by saveState()
+    this.namespaceModels = new Map();
+    this._savedNamespaces = new Map();
+    this._dirtyNamespaces = new Set();
+    // Blends of namespace and shared model by namespace, reused across keystrokes
+    this._mixtures = new Map();
+    // Field text already learned (or present before the user typed), diffed on each commit,
+    // and the text the page put in each field, which is not used as training context either
+    this._committed = new WeakMap();
+    this._pageText = new WeakMap();
+    this._saveHandle = null;
+    // Latest saveState() write (writes and cross-tab refreshes run one at a time)
+    this._saving = Promise.resolve(true);
+    // Cross-tab sync: learning operations not yet written, replayed onto the state when
+    // another tab saved in between; the stamp of the saved state the models are based on;
+    // and the shared n-grams as of the last operation, to detect direct model changes
+    this._tabId = Math.random().toString(36).slice(2);
+    this._writes = 0;
+    this._pendingOps = [];
+    this._syncStamp = null;
+    this._syncNgram = null;
+    this._syncRevision = -1;
+    this._directChanges = false;
+    this._channel = null;
+    this._onStorageEvent = null;
+    // Scoped attachments (elements and shadow roots) with their handlers, events already
+    // handled by an enclosing attachment, and namespaces given by attach()
+    this._attachments = new Map();
+    this._handledEvents = new WeakSet();
+    this._attachedNamespaces = new WeakMap();
+    // Shadow roots of focused fields with their submit handlers (see _listenForSubmit)
+    this._submitRoots = new Map();
+    this._onVisibilityChange = null;
+    // Event listeners by type, the field whose suggestions are showing, and whether an
+    // accepted suggestion is being written into its field
+    this._listeners = new Map();
+    this._suggesting = null;
+    this._accepting = false;
+
+    // Input is only learned once the saved state is loaded, so it is not overwritten
+    this._loaded = false;
+    // Resolves with whether this is the first run once the saved state is loaded
+    this.ready = this.loadState()
+      .then((isFirstRun) => {
+        if (isFirstRun && this.options.showSetup && typeof document !== "undefined") {
+          this.showSetupModal();
+        }
+        return isFirstRun;
+      })
+      .catch((e) => {
+        // loadState() reports storage errors itself; this catches e.g. a corpus or the setup
+        // dialog failing, so `ready` still resolves and deferred input is learned
+        console.warn("GrokJS FormAutocompleteEngine: Could not finish loading", e);
+        // Saved state that was not read must not be overwritten
+        if (!this._loaded) this._disableAutoSave();
+        this._loaded = true;
+        return true;
+      });
+  }
 
-    const isFirstRun = this.loadState();
-
-    if (isFirstRun && this.options.showSetup && typeof document !== "undefined") {
-      this.showSetupModal();
+  /**
+   * Resolves the `storageAdapter` option to an adapter instance.
+   * @param {string|StorageAdapter} adapter - Adapter name or instance
+   * @return {StorageAdapter} - Storage adapter
+   * @throws {Error} If the adapter is neither a known name nor a StorageAdapter
+   */
+  static _createStorageAdapter(adapter) {
+    if (adapter instanceof StorageAdapter) return adapter;
+    if (
+      typeof adapter === "string" &&
+      Object.prototype.hasOwnProperty.call(STORAGE_ADAPTERS, adapter)
+    ) {
+      return new STORAGE_ADAPTERS[adapter]();
     }
+    throw new Error(`GrokJS FormAutocompleteEngine: Unknown storage adapter "${adapter}"`);
   }
 
   /**
@@ -96,9 +348,12 @@ class FormAutocompleteEngine {
    * Predicts completions considering both full context and partial trailing words.
    * @param {string} text - Input text string
    * @param {number} [maxSuggestions=3] - Maximum suggestions to return
+   * @param {Object} [options={}] - Prediction options
+   * @param {string|null} [options.namespace] - Field namespace whose model is blended with
+   *   the shared model; words it has seen rank above words only the shared model knows
    * @return {string[]} - Array of predicted word completions
    */
-  predict(text, maxSuggestions = 3) {
+  predict(text, maxSuggestions = 3, options = {}) {
     if (!text || typeof text !== "string") return [];
 
     const hasTrailingSpace = text.endsWith(" ");
@@ -118,11 +373,13 @@ class FormAutocompleteEngine {
     }
 
     const candidates = new Map();
+    const namespace = options.namespace || null;
+    const model = this._modelFor(namespace);
 
     // 1. N-gram context matching
     if (contextTokens.length > 0) {
       const contextStr = contextTokens.join(" ");
-      const ngramMatches = this.model.predict(contextStr, 20);
+      const ngramMatches = model.predict(contextStr, 20);
       ngramMatches.forEach((word, idx) => {
         if (word && word !== "") {
           const lower = word.toLowerCase();
@@ -133,24 +390,28 @@ class FormAutocompleteEngine {
       });
     }
 
-    // 2. Vocabulary prefix matching for partial word
+    // 2. Most frequent vocabulary words with the partial word as prefix, ranked by the
+    //    character model's completion probability (scores stay below every context match;
+    //    words from the field's namespace rank above the shared model's)
     if (partialWord) {
-      for (let word of this.model.vocabulary) {
-        if (
-          word &&
-          word.toLowerCase().startsWith(partialWord) &&
-          word.toLowerCase() !== partialWord
-        ) {
-          if (!candidates.has(word)) {
-            candidates.set(word, 10);
+      this._syncCharacterModel();
+      const sources = namespace ? [this._namespaceModel(namespace), this.model] : [this.model];
+      sources.forEach((source, i) => {
+        const bonus = i === 0 && namespace ? 10 : 0;
+        for (const word of source.completePrefix(partialWord, PREFIX_CANDIDATES)) {
+          if (word !== partialWord && !candidates.has(word)) {
+            candidates.set(
+              word,
+              bonus + 10 * this.characterModel.completionProbability(partialWord, word)
+            );
           }
         }
-      }
+      });
     }
 
     // 3. Fallback: if no context matching, check 1-gram most common
     if (candidates.size === 0 && contextTokens.length === 0) {
-      const allMatches = this.model.predict(trimmed, maxSuggestions);
+      const allMatches = model.predict(trimmed, maxSuggestions);
       allMatches.forEach((word, idx) => {
         if (word && word !== "") candidates.set(word, 50 - idx);
       });
@@ -164,126 +425,755 @@ class FormAutocompleteEngine {
   }
 
   /**
-   * Attaches event listeners to document for auto-detecting and binding inputs.
+   * Predicts a multi-word continuation: the best next word (or completion of the partial
+   * word) from predict(), extended by beam search while the probability of the added words
+   * stays at or above `phraseThreshold`.
+   * @param {string} text - Current field text
+   * @param {Object} [options={}] - Prediction options
+   * @param {string|null} [options.namespace] - Field namespace blended with the shared model
+   * @return {{ words: string[], text: string, probability: number }|null} - Phrase words,
+   *   the phrase text, and the probability of the words after the first; null when there
+   *   is nothing to suggest
+   */
+  predictPhrase(text, options = {}) {
+    const [first] = this.predict(text, 1, options);
+    if (!first) return null;
+
+    const words = [first];
+    let probability = 1;
+    if (this.options.phraseLength > 1) {
+      const parts = text.trim().split(/\s+/);
+      const context = text.endsWith(" ") ? parts : parts.slice(0, -1);
+      const [best] = InferenceEngine.beamSearchWithConfidence(
+        this._modelFor(options.namespace || null),
+        [...context, first].join(" "),
+        this.options.phraseLength - 1,
+        this.options.beamWidth
+      );
+      if (best) {
+        for (let i = 0; i < best.words.length; i++) {
+          if (probability * best.probabilities[i] < this.options.phraseThreshold) break;
+          probability *= best.probabilities[i];
+          words.push(best.words[i]);
+        }
+      }
+    }
+    return { words, text: words.join(" "), probability };
+  }
+
+  /**
+   * Attaches event listeners to document for auto-detecting and binding inputs, including
+   * inputs inside open shadow roots.
    */
   attachToDocument() {
     if (typeof document === "undefined" || this._boundHandlers) return;
 
-    this._createTooltip();
+    this._createDisplay();
+    this._boundHandlers = this._createHandlers();
+    for (const [evt, fn] of Object.entries(this._boundHandlers)) {
+      document.addEventListener(evt, fn);
+    }
+    this._listenToPage();
+  }
+
+  /**
+   * Attaches to specific fields or containers instead of the whole document, e.g. for
+   * framework components: listeners are added to the elements themselves, so only fields
+   * inside them get suggestions. Shadow roots can be attached too.
+   * @param {HTMLElement|ShadowRoot|string} target - Field, container, shadow root, or
+   *   selector of the elements to attach to
+   * @param {Object} [options={}] - Attachment options
+   * @param {Document|HTMLElement|ShadowRoot} [options.root=document] - Where a selector is
+   *   looked up
+   * @param {string} [options.namespace] - Namespace of the fields inside, used like
+   *   `data-grokjs-namespace` when the `namespaces` option is enabled
+   * @return {FormAutocompleteEngine} - This engine
+   */
+  attach(target, options = {}) {
+    if (typeof document === "undefined") return this;
+
+    this._createDisplay();
+    for (const el of this._resolveTargets(target, options.root)) {
+      if (this._attachments.has(el)) continue;
+      const handlers = this._createHandlers(options.namespace || null);
+      for (const [evt, fn] of Object.entries(handlers)) {
+        el.addEventListener(evt, fn);
+      }
+      this._attachments.set(el, handlers);
+    }
+    this._listenToPage();
+    return this;
+  }
+
+  /**
+   * Returns the elements a target of attach() or detach() refers to.
+   * @param {HTMLElement|ShadowRoot|string} target - Element, shadow root or selector
+   * @param {Document|HTMLElement|ShadowRoot} [root=document] - Where a selector is looked up
+   * @return {Array<HTMLElement|ShadowRoot>} - Elements
+   */
+  _resolveTargets(target, root = document) {
+    if (typeof target === "string") return Array.from(root.querySelectorAll(target));
+    if (!target || typeof target.addEventListener !== "function") {
+      throw new Error(
+        "GrokJS FormAutocompleteEngine: attach() needs an element, shadow root or selector"
+      );
+    }
+    return [target];
+  }
 
-    this._boundHandlers = {
-      focusin: (e) => this._onFocusIn(e),
-      input: (e) => this._onInput(e),
-      keydown: (e) => this._onKeyDown(e),
-      focusout: (e) => this._onFocusOut(e),
+  /**
+   * Creates the field event handlers of an attachment. An event is handled once, by the
+   * innermost attachment it reaches.
+   * @param {string|null} [namespace=null] - Namespace given to attach()
+   * @return {Object<string, Function>} - Handlers by event type
+   */
+  _createHandlers(namespace = null) {
+    const handle = (fn) => (e) => {
+      if (this._handledEvents.has(e)) return;
+      this._handledEvents.add(e);
+      if (namespace)
+        this._attachedNamespaces.set(FormAutocompleteEngine._eventTarget(e), namespace);
+      fn(e);
     };
+    return {
+      focusin: handle((e) => this._onFocusIn(e)),
+      input: handle((e) => this._onInput(e)),
+      keydown: handle((e) => this._onKeyDown(e)),
+      focusout: handle((e) => this._onFocusOut(e)),
+      submit: handle((e) => this._onSubmit(e)),
+    };
+  }
 
-    for (const [evt, fn] of Object.entries(this._boundHandlers)) {
-      document.addEventListener(evt, fn);
+  /**
+   * Returns the element an event originated from. Events from inside open shadow roots
+   * are retargeted to the shadow host once they leave the root; their composed path still
+   * starts at the field.
+   * @param {Event} e - DOM event
+   * @return {EventTarget} - Originating element
+   */
+  static _eventTarget(e) {
+    if (typeof e.composedPath === "function") {
+      const path = e.composedPath();
+      if (path.length > 0) return path[0];
     }
+    return e.target;
   }
 
   /**
-   * Detaches event listeners from document and cleans up injected DOM elements.
+   * Creates the dropdown or ghost element unless running headless.
    */
-  detach() {
+  _createDisplay() {
+    if (this.options.headless || this.tooltipElement || this.ghostElement) return;
+    if (this.options.display === "ghost") {
+      this._createGhost();
+    } else {
+      this._createTooltip();
+    }
+  }
+
+  /**
+   * Saves when the page is hidden and listens to other tabs, once per engine.
+   */
+  _listenToPage() {
+    if (this._onVisibilityChange) return;
+    this._onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") this.flush();
+    };
+    document.addEventListener("visibilitychange", this._onVisibilityChange);
+    this._listenToOtherTabs();
+  }
+
+  /**
+   * Refreshes the models whenever another tab saves: it announces saves on a
+   * BroadcastChannel named after the storage key, and localStorage saves also raise
+   * `storage` events in other tabs.
+   */
+  _listenToOtherTabs() {
+    if (!this.options.sync || !this.options.autoSave) return;
+    if (typeof BroadcastChannel === "function") {
+      this._channel = new BroadcastChannel(`grokjs:${this.options.storageKey}`);
+      this._channel.onmessage = (e) => {
+        if (e.data && e.data.type === "saved" && e.data.tab !== this._tabId) this._refresh();
+      };
+    }
+    if (typeof window !== "undefined") {
+      this._onStorageEvent = (e) => {
+        if (e.key === this._syncKey()) this._refresh();
+      };
+      window.addEventListener("storage", this._onStorageEvent);
+    }
+  }
+
+  /**
+   * Detaches from an element attached with attach(), or, without an argument (or once
+   * nothing else is attached), detaches event listeners from document and every element
+   * and cleans up injected DOM elements, after learning the focused field and writing
+   * pending state to storage.
+   * @param {HTMLElement|ShadowRoot|string} [target] - Element, shadow root or selector to
+   *   detach from
+   * @param {Object} [options={}] - Options as passed to attach()
+   * @param {Document|HTMLElement|ShadowRoot} [options.root=document] - Where a selector is
+   *   looked up
+   */
+  detach(target, options = {}) {
     if (typeof document === "undefined") return;
 
+    if (target !== undefined) {
+      for (const el of this._resolveTargets(target, options.root)) {
+        const handlers = this._attachments.get(el);
+        if (!handlers) continue;
+        if (FormAutocompleteEngine._contains(el, this.activeElement)) {
+          this._commit(this.activeElement);
+          this._hideSuggestions();
+          this._clearAria();
+          this.activeElement = null;
+        }
+        for (const [evt, fn] of Object.entries(handlers)) {
+          el.removeEventListener(evt, fn);
+        }
+        this._attachments.delete(el);
+        for (const [root, fn] of this._submitRoots) {
+          if (FormAutocompleteEngine._contains(el, root)) {
+            root.removeEventListener("submit", fn);
+            this._submitRoots.delete(root);
+          }
+        }
+      }
+      if (this._attachments.size > 0 || this._boundHandlers) return;
+    }
+
+    this.flush();
     if (this._boundHandlers) {
       for (const [evt, fn] of Object.entries(this._boundHandlers)) {
         document.removeEventListener(evt, fn);
       }
       this._boundHandlers = null;
     }
+    for (const [el, handlers] of this._attachments) {
+      for (const [evt, fn] of Object.entries(handlers)) {
+        el.removeEventListener(evt, fn);
+      }
+    }
+    this._attachments.clear();
+    for (const [root, fn] of this._submitRoots) root.removeEventListener("submit", fn);
+    this._submitRoots.clear();
+    if (this._onVisibilityChange) {
+      document.removeEventListener("visibilitychange", this._onVisibilityChange);
+      this._onVisibilityChange = null;
+    }
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    if (this._onStorageEvent) {
+      window.removeEventListener("storage", this._onStorageEvent);
+      this._onStorageEvent = null;
+    }
 
+    this._clearAria();
     if (this.tooltipElement) {
       this.tooltipElement.remove();
       this.tooltipElement = null;
     }
 
+    if (this.ghostElement) {
+      this.ghostElement.remove();
+      this.ghostElement = null;
+    }
+
     if (this.modalElement) {
       this.modalElement.remove();
       this.modalElement = null;
     }
 
+    this._suggesting = null;
     this.activeElement = null;
   }
 
   /**
-   * Loads trained model state (full n-gram tree & vocabulary) from localStorage.
-   * @return {boolean} - Returns true if first run (no existing saved state)
+   * Returns whether a node is an element or shadow root, or inside it, also across the
+   * boundaries of shadow roots in between.
+   * @param {Node} root - Element or shadow root
+   * @param {Node|null} node - Node to look for
+   * @return {boolean} - True if node is root or inside it
+   */
+  static _contains(root, node) {
+    for (let current = node; current; current = current.parentNode || current.host) {
+      if (current === root) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Loads trained model state (full n-gram tree & vocabulary) from the storage adapter
+   * through LanguageModel.importState, so older snapshots are migrated to the current
+   * schema. Saved namespace states are read too and imported when first used.
+   * @return {Promise<boolean>} - Resolves true if first run (no existing saved state)
    */
-  loadState() {
-    if (typeof localStorage === "undefined" || !this.options.autoSave) {
+  async loadState() {
+    if (!this.options.autoSave || !this.storageAdapter.isAvailable()) {
+      this._loaded = true;
       this.preloadCorpora();
       return true;
     }
 
+    let saved = null;
     try {
-      const saved = localStorage.getItem(this.options.storageKey);
-      if (saved) {
-        const state = JSON.parse(saved);
-        this.model.maxN = state.maxN || 5;
-        this.model.vocabulary = new Set(state.vocabulary || []);
-        if (state.context) this.model.context = state.context;
-
-        if (Array.isArray(state.ngrams)) {
-          state.ngrams.forEach((ngramObj, index) => {
-            if (index < this.model.ngram.ngrams.length) {
-              const map = new Map();
-              for (let [key, entries] of Object.entries(ngramObj)) {
-                const counter = new Counter();
-                if (Array.isArray(entries)) {
-                  entries.forEach(([word, count]) => {
-                    counter.increment(word, count);
-                    if (word) this.model.vocabulary.add(word);
-                  });
-                }
-                map.set(key, counter);
-              }
-              this.model.ngram.ngrams[index] = map;
-            }
-          });
+      if (this.options.sync) this._syncStamp = await this.storageAdapter.get(this._syncKey());
+      saved = await this.storageAdapter.get(this.options.storageKey);
+      this._savedNamespaces = await this._readNamespaces();
+      // Namespaces saved before encryption was enabled are encrypted by the next save too,
+      // not only once they learn something
+      if (this.storageAdapter instanceof EncryptedStorageAdapter) {
+        for (const namespace of this._savedNamespaces.keys()) {
+          if (this.storageAdapter.plaintextKeys.has(this._namespaceKey(namespace))) {
+            this._dirtyNamespaces.add(namespace);
+          }
         }
-        return false;
-      } else {
-        // First run: pre-train default baseline
-        this.preloadCorpora();
-        return true;
       }
+    } catch (e) {
+      // Saved state that cannot be read (e.g. with the wrong passphrase) must not be
+      // replaced by a fresh model
+      console.warn(
+        "GrokJS FormAutocompleteEngine: Could not read saved state; autosave is disabled for this session",
+        e
+      );
+      this._disableAutoSave();
+      if (typeof this.options.onStorageError === "function") this.options.onStorageError(e);
+    }
+    let state = null;
+    try {
+      state = this._parseState(saved);
     } catch (e) {
       console.warn("GrokJS FormAutocompleteEngine: Could not load saved state", e);
-      this.preloadCorpora();
-      return true;
     }
+    this._loaded = true;
+
+    let isFirstRun = true;
+    if (state) {
+      try {
+        this.model.importState(state);
+        isFirstRun = false;
+      } catch (e) {
+        console.warn("GrokJS FormAutocompleteEngine: Could not load saved state", e);
+      }
+    }
+    // First run (or a snapshot from a newer version): pre-train default baseline
+    if (isFirstRun) this.preloadCorpora();
+    this._markSynced();
+    return isFirstRun;
+  }
+
+  /**
+   * Reads the saved states of all namespaces.
+   * @return {Promise<Map<string, string>>} - Serialized states by namespace
+   */
+  async _readNamespaces() {
+    const saved = new Map();
+    const prefix = `${this.options.storageKey}:`;
+    for (const key of await this.storageAdapter.keys()) {
+      if (key.startsWith(prefix)) {
+        saved.set(key.slice(prefix.length), await this.storageAdapter.get(key));
+      }
+    }
+    return saved;
   }
 
   /**
-   * Saves current full model state (all n-grams, vocabulary, context) to localStorage.
+   * Saves current full model state (all n-grams, vocabulary, context) through the storage
+   * adapter, along with every namespace model that learned since it was last saved.
+   * With `sync`, if another tab saved since this one last loaded or saved, its state is
+   * read first and this tab's learning since then is replayed onto it, so neither tab's
+   * counts are lost (direct changes to `engine.model` cannot be replayed and overwrite the
+   * other tab's state instead). Writes hold a Web Lock where available so tabs take turns.
+   * Failures are reported to `onStorageError` (and the console), and the namespaces stay
+   * marked for the next save.
+   * @return {Promise<boolean>} - Resolves true if the state was saved
    */
   saveState() {
-    if (!this.options.autoSave) return;
-    try {
-      if (typeof localStorage === "undefined" || !localStorage) return;
+    this._cancelSave();
+    this._saving = this._saving.then(() => this._writeState());
+    return this._saving;
+  }
 
-      const serializedNgrams = this.model.ngram.ngrams.map((map) => {
-        const obj = {};
-        for (let [key, counter] of map.entries()) {
-          obj[key] = Array.from(counter.counter.entries());
+  async _writeState() {
+    if (!this.options.autoSave || !this.storageAdapter.isAvailable()) return false;
+    // Never overwrite the saved state with a model that has not loaded it yet
+    if (!this._loaded) await this.ready;
+
+    return this._withLock(async () => {
+      let namespaces = [];
+      let directChanges = false;
+      try {
+        if (this.options.sync) {
+          const stamp = await this.storageAdapter.get(this._syncKey());
+          if (stamp !== this._syncStamp && !this._changedDirectly()) await this._merge(stamp);
+        }
+        // Learning that happens while the write is in progress stays pending
+        const savedOps = this._pendingOps.length;
+        directChanges = this._changedDirectly();
+        this._directChanges = false;
+        this._markSynced();
+        namespaces = Array.from(this._dirtyNamespaces);
+        this._dirtyNamespaces.clear();
+        // Every state is serialized before the first write, so they all match savedOps even
+        // if learning continues while the writes are awaited
+        const writes = [[this.options.storageKey, JSON.stringify(this.model.exportState())]];
+        for (const namespace of namespaces) {
+          writes.push([
+            this._namespaceKey(namespace),
+            JSON.stringify(this._namespaceModel(namespace).exportState()),
+          ]);
         }
-        return obj;
+        for (const [key, value] of writes) await this.storageAdapter.set(key, value);
+        if (this.options.sync) await this._announceSave(savedOps);
+        return true;
+      } catch (e) {
+        this._directChanges = this._directChanges || directChanges;
+        namespaces.forEach((namespace) => this._dirtyNamespaces.add(namespace));
+        console.warn("GrokJS FormAutocompleteEngine: Could not save state", e);
+        if (typeof this.options.onStorageError === "function") this.options.onStorageError(e);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Returns the storage key of the stamp that identifies the latest save of any tab.
+   * @return {string} - Storage key
+   */
+  _syncKey() {
+    return `${this.options.storageKey}#sync`;
+  }
+
+  /**
+   * Runs a read-modify-write of the saved state while holding the storage key's Web Lock,
+   * so tabs never interleave them; without the Web Locks API it runs unguarded.
+   * @param {Function} fn - Async function to run
+   * @return {Promise<*>} - Result of fn
+   */
+  _withLock(fn) {
+    const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+    if (!this.options.sync || !locks) return fn();
+    return locks.request(`grokjs:${this.options.storageKey}`, fn);
+  }
+
+  /**
+   * Replaces the models with the saved state (which another tab wrote) and replays this
+   * tab's learning that is not saved yet onto it.
+   * @param {string|null} stamp - Stamp of the saved state
+   */
+  async _merge(stamp) {
+    const state = this._parseState(await this.storageAdapter.get(this.options.storageKey));
+    const saved = await this._readNamespaces();
+    if (state) this.model.importState(state);
+    this.namespaceModels.clear();
+    this._savedNamespaces = saved;
+    this._pendingOps.forEach((op) => this._replay(op));
+    this._syncStamp = stamp;
+    this._markSynced();
+  }
+
+  /**
+   * Records a save: stamps the saved state, forgets the learning it now contains and tells
+   * other tabs to refresh.
+   * @param {number} savedOps - Number of pending operations the saved state contains
+   */
+  async _announceSave(savedOps) {
+    const stamp = `${this._tabId}:${++this._writes}`;
+    await this.storageAdapter.set(this._syncKey(), stamp);
+    this._syncStamp = stamp;
+    this._pendingOps = this._pendingOps.slice(savedOps);
+    if (this._channel) this._channel.postMessage({ type: "saved", tab: this._tabId, stamp });
+  }
+
+  /**
+   * Picks up state another tab saved: the models are replaced by it, with this tab's
+   * unsaved learning replayed on top. Skipped while `engine.model` has direct changes,
+   * which only a save can keep.
+   * @return {Promise<void>}
+   */
+  _refresh() {
+    if (!this.options.autoSave || !this.options.sync || !this._loaded) return this._saving;
+    this._saving = this._saving.then(() =>
+      this._withLock(async () => {
+        try {
+          const stamp = await this.storageAdapter.get(this._syncKey());
+          if (stamp !== this._syncStamp && !this._changedDirectly()) await this._merge(stamp);
+        } catch (e) {
+          console.warn(
+            "GrokJS FormAutocompleteEngine: Could not load state saved by another tab",
+            e
+          );
+        }
+        return true;
+      })
+    );
+    return this._saving;
+  }
+
+  /**
+   * Turns autosave off for this session and drops the operations kept for syncing, which
+   * would otherwise pile up without a save to clear them.
+   */
+  _disableAutoSave() {
+    this.options.autoSave = false;
+    this._pendingOps = [];
+  }
+
+  /**
+   * Applies a learning operation to the models and, with `sync`, keeps it until it is saved
+   * so it can be replayed onto state another tab saved meanwhile.
+   * @param {Object} op - Operation: `{ type: "learn" | "untrain", text, namespace, context }`,
+   *   `{ type: "forget", phrase }` or `{ type: "prune" }`
+   * @return {Object|undefined} - Removal report of the shared model for untrain/forget
+   */
+  _apply(op) {
+    // Operations are only kept for a save that can happen
+    if (!this.options.sync || !this.options.autoSave || !this.storageAdapter.isAvailable()) {
+      return this._replay(op);
+    }
+    this._directChanges = this._changedDirectly();
+    const report = this._replay(op);
+    this._pendingOps.push(op);
+    this._markSynced();
+    return report;
+  }
+
+  _replay(op) {
+    switch (op.type) {
+      case "learn":
+      case "untrain":
+        if (op.namespace) {
+          const model = this._namespaceModel(op.namespace);
+          if (op.type === "learn") model.train(op.text, { context: op.context });
+          else model.untrain(op.text);
+          this._dirtyNamespaces.add(op.namespace);
+        }
+        return op.type === "learn"
+          ? this.model.train(op.text, { context: op.context })
+          : this.model.untrain(op.text);
+      case "forget":
+        for (const namespace of this._storedNamespaces()) {
+          if (this._namespaceModel(namespace).forget(op.phrase).removedNgrams > 0) {
+            this._dirtyNamespaces.add(namespace);
+          }
+        }
+        return this.model.forget(op.phrase);
+      case "prune":
+        for (const [name, model] of this.namespaceModels) {
+          model.prune(this.options.prune);
+          this._dirtyNamespaces.add(name);
+        }
+        return this.model.prune(this.options.prune);
+      default:
+        throw new Error(`GrokJS FormAutocompleteEngine: Unknown operation "${op.type}"`);
+    }
+  }
+
+  _markSynced() {
+    this._syncNgram = this.model.ngram;
+    this._syncRevision = this.model.ngram.revision;
+  }
+
+  /**
+   * Returns whether the shared model changed other than through _apply() since it was last
+   * loaded, merged or saved (e.g. preloadCorpora() or calls on `engine.model`).
+   * @return {boolean} - True if the model has changes that cannot be replayed
+   */
+  _changedDirectly() {
+    return (
+      this._directChanges ||
+      this.model.ngram !== this._syncNgram ||
+      this.model.ngram.revision !== this._syncRevision
+    );
+  }
+
+  /**
+   * Learns the focused field and writes pending state to storage now instead of when the
+   * browser is next idle, e.g. before the page is closed.
+   * @return {Promise<boolean>} - Resolves once the state is written; true unless saving
+   *   failed
+   */
+  flush() {
+    if (this.activeElement) this._commit(this.activeElement);
+    return this._saveHandle ? this.saveState() : this._saving;
+  }
+
+  /**
+   * Schedules saveState() for when the browser is idle, or after `saveDelay` milliseconds
+   * where requestIdleCallback is unavailable; saves requested meanwhile are merged into it.
+   */
+  _scheduleSave() {
+    if (!this.options.autoSave || this._saveHandle) return;
+    const save = () => {
+      this._saveHandle = null;
+      this.saveState();
+    };
+    this._saveHandle =
+      typeof requestIdleCallback === "function"
+        ? { idle: requestIdleCallback(save, { timeout: this.options.saveDelay }) }
+        : { timer: setTimeout(save, this.options.saveDelay) };
+  }
+
+  _cancelSave() {
+    if (!this._saveHandle) return;
+    if (this._saveHandle.idle !== undefined) {
+      cancelIdleCallback(this._saveHandle.idle);
+    } else {
+      clearTimeout(this._saveHandle.timer);
+    }
+    this._saveHandle = null;
+  }
+
+  /**
+   * Parses a saved model state.
+   * @param {string|null} saved - Serialized state read from the storage adapter
+   * @return {Object|null} - Saved state, or null if there is none or it uses a newer schema
+   *   version (autosave is then disabled so the newer snapshot is not overwritten)
+   */
+  _parseState(saved) {
+    if (!saved) return null;
+    const state = JSON.parse(saved);
+    const version = ModelSchema.versionOf(state);
+    if (version > ModelSchema.CURRENT_VERSION) {
+      // Keep the newer snapshot intact instead of overwriting it with an older format
+      console.warn(
+        `GrokJS FormAutocompleteEngine: Saved state uses schema version ${version}, newer than supported version ${ModelSchema.CURRENT_VERSION}; autosave is disabled for this session`
+      );
+      this._disableAutoSave();
+      return null;
+    }
+    return state;
+  }
+
+  /**
+   * Returns the namespace of a field when namespaces are enabled: `data-grokjs-namespace`
+   * on the field or its nearest ancestor (e.g. a form), else the namespace given to
+   * attach(), else its `autocomplete` token, else its `name` or `id` qualified by its
+   * form's `name` or `id`.
+   * @param {HTMLElement} el - Form field
+   * @return {string|null} - Namespace, or null to use the shared model only
+   */
+  _namespaceFor(el) {
+    if (!this.options.namespaces || !el || typeof el.getAttribute !== "function") return null;
+
+    const scoped = el.closest ? el.closest("[data-grokjs-namespace]") : null;
+    if (scoped) return scoped.getAttribute("data-grokjs-namespace").trim() || null;
+    if (this._attachedNamespaces.has(el)) return this._attachedNamespaces.get(el);
+
+    const autocomplete = (el.getAttribute("autocomplete") || "").trim().toLowerCase();
+    if (autocomplete && autocomplete !== "on" && autocomplete !== "off") {
+      return `autocomplete:${autocomplete}`;
+    }
+
+    const field = el.getAttribute("name") || el.id;
+    if (!field) return null;
+    const form = el.form || (el.closest ? el.closest("form") : null);
+    const formKey = form ? form.getAttribute("name") || form.id : "";
+    return formKey ? `${formKey}/${field}` : field;
+  }
+
+  /**
+   * Returns the storage key of a namespace model.
+   * @param {string} namespace - Field namespace
+   * @return {string} - Storage key
+   */
+  _namespaceKey(namespace) {
+    return `${this.options.storageKey}:${namespace}`;
+  }
+
+  /**
+   * Returns a namespace's model, importing its saved state on first use.
+   * @param {string} namespace - Field namespace
+   * @return {LanguageModel} - Namespace model
+   */
+  _namespaceModel(namespace) {
+    let model = this.namespaceModels.get(namespace);
+    if (!model) {
+      model = new LanguageModel(null, this.model.maxN, {
+        storage: this.options.storage,
+        halfLife: this.options.halfLife,
       });
+      const saved = this._savedNamespaces.get(namespace);
+      this._savedNamespaces.delete(namespace);
+      if (saved) {
+        try {
+          const state = this._parseState(saved);
+          if (state) model.importState(state);
+        } catch (e) {
+          console.warn(
+            `GrokJS FormAutocompleteEngine: Could not load saved state of namespace "${namespace}"`,
+            e
+          );
+        }
+      }
+      this.namespaceModels.set(namespace, model);
+    }
+    return model;
+  }
 
-      const state = {
-        maxN: this.model.maxN,
-        ngrams: serializedNgrams,
-        vocabulary: Array.from(this.model.vocabulary),
-        context: this.model.context,
-      };
-      localStorage.setItem(this.options.storageKey, JSON.stringify(state));
-    } catch (e) {
-      console.warn("GrokJS FormAutocompleteEngine: Could not save state", e);
+  /**
+   * Returns the namespaces with a saved model, imported or not.
+   * @return {string[]} - Namespaces
+   */
+  _storedNamespaces() {
+    return Array.from(new Set([...this.namespaceModels.keys(), ...this._savedNamespaces.keys()]));
+  }
+
+  /**
+   * Returns the model that predicts for a namespace: the shared model alone, or a
+   * MixtureModel interpolating the namespace model (weight `namespaceWeight`) with it. The
+   * blend is rebuilt only when the weight, either model or their orders changed.
+   * @param {string|null} namespace - Field namespace
+   * @return {LanguageModel|MixtureModel} - Predicting model
+   */
+  _modelFor(namespace) {
+    if (!namespace) return this.model;
+    const weight = this.options.namespaceWeight;
+    const namespaceModel = this._namespaceModel(namespace);
+    const cached = this._mixtures.get(namespace);
+    if (
+      cached &&
+      cached.weight === weight &&
+      cached.mixture.models[0] === namespaceModel &&
+      cached.mixture.models[1] === this.model &&
+      cached.mixture.maxN === Math.max(namespaceModel.maxN, this.model.maxN)
+    ) {
+      return cached.mixture;
     }
+    const mixture = new MixtureModel([namespaceModel, this.model], {
+      weights: [weight, 1 - weight],
+    });
+    this._mixtures.set(namespace, { weight, mixture });
+    return mixture;
+  }
+
+  /**
+   * Removes text learned from the user, the inverse of learning it once, and saves the
+   * model. See LanguageModel.untrain().
+   * @param {string} text - Text to remove
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.namespace] - Namespace whose model also learned the text
+   * @return {Object} - Removal report from LanguageModel.untrain() for the shared model
+   */
+  untrain(text, options = {}) {
+    const report = this._apply({ type: "untrain", text, namespace: options.namespace || null });
+    this.saveState();
+    return report;
+  }
+
+  /**
+   * Deletes a sensitive phrase from the saved local models: every n-gram containing it is
+   * removed from the shared model and every namespace model, including those learned as
+   * part of longer inputs, and the models are saved. See LanguageModel.forget().
+   * @param {string} phrase - Phrase to delete
+   * @return {Object} - Removal report from LanguageModel.forget() for the shared model
+   */
+  forget(phrase) {
+    const report = this._apply({ type: "forget", phrase });
+    this.saveState();
+    return report;
   }
 
   /**
@@ -368,6 +1258,56 @@ class FormAutocompleteEngine {
     return isInput || isTextarea || isContentEditable;
   }
 
+  /**
+   * Returns whether a field's contents must never be learned: fields opted out with
+   * `data-grokjs="off"` on the field or an ancestor (or not opted in, in opt-in mode),
+   * fields with `autocomplete="off"` unless opted in, payment, one-time-code and password
+   * fields by `autocomplete` token or `name`/`id`, and short numeric code fields.
+   * @param {HTMLElement} el - Form field
+   * @return {boolean} - True if the field is excluded from learning
+   */
+  _isExcludedField(el) {
+    if (!el || typeof el.getAttribute !== "function") return false;
+    const marked = el.closest ? el.closest("[data-grokjs]") : null;
+    const mark = marked ? marked.getAttribute("data-grokjs").trim().toLowerCase() : "";
+    if (mark === "off" || (this.options.optIn && mark !== "on")) return true;
+
+    const form = el.form || (el.closest ? el.closest("form") : null);
+    const autocomplete = (
+      el.getAttribute("autocomplete") ||
+      (form && form.getAttribute("autocomplete")) ||
+      ""
+    )
+      .trim()
+      .toLowerCase();
+    if (autocomplete === "off" && mark !== "on") return true;
+    if (autocomplete.split(/\s+/).some((token) => SENSITIVE_AUTOCOMPLETE.test(token))) {
+      return true;
+    }
+
+    if (SENSITIVE_FIELD_NAME.test(`${el.getAttribute("name") || ""} ${el.id || ""}`)) {
+      return true;
+    }
+    const maxLength = Number(el.getAttribute("maxlength"));
+    return el.getAttribute("inputmode") === "numeric" && maxLength >= 4 && maxLength <= 8;
+  }
+
+  /**
+   * Returns the spans of text that match any of the `sensitivePatterns`.
+   * @param {string} text - Field text
+   * @return {number[][]} - Start and end index of each match
+   */
+  _sensitiveSpans(text) {
+    const spans = [];
+    for (const pattern of this.options.sensitivePatterns) {
+      const flags = pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`;
+      for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+        spans.push([match.index, match.index + match[0].length]);
+      }
+    }
+    return spans;
+  }
+
   _getValue(el) {
     if (!el) return "";
     return el.isContentEditable ? el.innerText || el.textContent || "" : el.value || "";
@@ -378,71 +1318,330 @@ class FormAutocompleteEngine {
     if (el.isContentEditable) {
       el.innerText = val;
     } else {
-      el.value = val;
-      el.dispatchEvent(new Event("input", { bubbles: true }));
+      // Set through the prototype's setter: React and similar frameworks override `value`
+      // on the element to track it, and would otherwise ignore the input event
+      const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), "value");
+      if (descriptor && descriptor.set) {
+        descriptor.set.call(el, val);
+      } else {
+        el.value = val;
+      }
+      el.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    }
+  }
+
+  /**
+   * Learns the text a field gained since its last commit. Fields are committed on blur, on
+   * form submit and when a sentence is completed, instead of on every keystroke, and only
+   * the changed words are trained, so no text is counted twice. The words before them are
+   * passed as context, so a continued sentence still links to its earlier words.
+   * Sensitive text is checked in the whole field, since it can span commits (e.g. a phone
+   * number typed in two parts): the changed words are not learned if they overlap it, and
+   * the context starts after it, as well as after the text the page put in the field.
+   * @param {HTMLElement} el - Form field
+   */
+  _commit(el) {
+    const text = this._getValue(el);
+    const previous = this._committed.get(el) || "";
+    if (text === previous) return;
+    this._committed.set(el, text);
+
+    const [start, end] = FormAutocompleteEngine._changedSpan(previous, text);
+    const added = text.slice(start, end);
+    if (added.trim().length <= 3 || this._isExcludedField(el)) return;
+
+    const pageText = this._pageText.get(el) || "";
+    let from = 0;
+    while (from < pageText.length && from < start && pageText[from] === text[from]) from++;
+    for (const [matchStart, matchEnd] of this._sensitiveSpans(text)) {
+      if (matchStart < end && matchEnd > start) return;
+      if (matchEnd <= start) from = Math.max(from, matchEnd);
+    }
+    // A context cut inside a word starts at the next whole word
+    while (from < start && from > 0 && !/\s/.test(text[from - 1]) && !/\s/.test(text[from])) {
+      from++;
+    }
+    this._learn(added, this._namespaceFor(el), text.slice(from, start));
+  }
+
+  /**
+   * Returns where the words of a text that are new compared to an earlier version of it
+   * lie: the span between their common prefix and common suffix, widened to whole words.
+   * @param {string} previous - Earlier text
+   * @param {string} text - Current text
+   * @return {number[]} - Start and end index of the inserted or replaced words in text
+   *   (an empty span if text was only deleted)
+   */
+  static _changedSpan(previous, text) {
+    const limit = Math.min(previous.length, text.length);
+    let start = 0;
+    while (start < limit && previous[start] === text[start]) start++;
+    let suffix = 0;
+    while (
+      suffix < limit - start &&
+      previous[previous.length - 1 - suffix] === text[text.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+    let end = text.length - suffix;
+    if (end <= start) return [start, start];
+
+    // A change inside a word retrains the whole word
+    const inWord = (i) => i >= 0 && i < text.length && !/\s/.test(text[i]);
+    while (inWord(start) && inWord(start - 1)) start--;
+    while (inWord(end - 1) && inWord(end)) end++;
+    return [start, end];
+  }
+
+  /**
+   * Trains on user text, prunes every `pruneInterval` inputs when pruning is configured,
+   * and schedules saving the model.
+   * @param {string} text - Text entered or accepted by the user
+   * @param {string|null} [namespace=null] - Namespace of the field, whose model also learns
+   * @param {string} [context=""] - Text before it in the field, used as training context
+   */
+  _learn(text, namespace = null, context = "") {
+    if (!this._loaded) {
+      this.ready.then(() => this._learn(text, namespace, context));
+      return;
+    }
+    const ngram = this.model.ngram;
+    const inSync = this._characterSource === ngram && this._characterRevision === ngram.revision;
+    this._apply({ type: "learn", text, namespace, context });
+    if (inSync) {
+      this.characterModel.train(text);
+      this._characterRevision = ngram.revision;
+    }
+    if (this.options.prune && ++this._learnedSincePrune >= this.options.pruneInterval) {
+      this._learnedSincePrune = 0;
+      this._apply({ type: "prune" });
     }
+    this._scheduleSave();
+  }
+
+  /**
+   * Rebuilds the character model from the word model's unigram counts if the word model
+   * changed since the last sync (loading, preloading, pruning, forgetting, direct training).
+   */
+  _syncCharacterModel() {
+    const ngram = this.model.ngram;
+    if (this._characterSource === ngram && this._characterRevision === ngram.revision) return;
+    this.characterModel.clear();
+    for (const [word, count] of ngram.getCounter([]).counter) {
+      this.characterModel.learnWord(word, count);
+    }
+    this._characterSource = ngram;
+    this._characterRevision = ngram.revision;
   }
 
   _onFocusIn(e) {
-    if (this._isFormTarget(e.target)) {
-      this.activeElement = e.target;
-      this._updateSuggestions(e.target);
+    const target = FormAutocompleteEngine._eventTarget(e);
+    if (this._isFormTarget(target)) {
+      // Text the page put in the field before it was first focused is not learned
+      if (!this._committed.has(target)) {
+        this._committed.set(target, this._getValue(target));
+        this._pageText.set(target, this._getValue(target));
+      }
+      this._listenForSubmit(target);
+      this.activeElement = target;
+      this._updateSuggestions(target);
     }
   }
 
   _onInput(e) {
-    if (!this._isFormTarget(e.target)) return;
+    const target = FormAutocompleteEngine._eventTarget(e);
+    if (!this._isFormTarget(target)) return;
 
-    const val = this._getValue(e.target);
-    if (val.trim().length > 3) {
-      // Auto-train on user input
-      this.model.train(val);
-      this.saveState();
-    }
+    // Learn each sentence as it is completed
+    if (SENTENCE_END.test(this._getValue(target).slice(-4))) this._commit(target);
 
-    this._updateSuggestions(e.target);
+    // An accepted suggestion closes the suggestions instead of showing the next ones
+    if (!this._accepting) this._updateSuggestions(target);
   }
 
   _onKeyDown(e) {
-    if (!this.activeElement || !this.tooltipElement) return;
+    if (!this.activeElement) return;
 
-    const currentSuggestion = this.tooltipElement.dataset.suggestion;
+    const currentSuggestion = this._currentSuggestion();
     if (!currentSuggestion) return;
 
-    // Tab or Right Arrow accepts autocomplete suggestion
-    if (e.key === "Tab" || (e.key === "ArrowRight" && this._isCursorAtEnd(this.activeElement))) {
+    const atEnd = e.key === "ArrowRight" && this._isCursorAtEnd(this.activeElement);
+    if (
+      (e.key === "ArrowDown" || e.key === "ArrowUp") &&
+      this._suggestions.length > 0 &&
+      !this.options.headless
+    ) {
       e.preventDefault();
-      const val = this._getValue(this.activeElement);
-      const parts = val.split(/\s+/);
-      const isTrailingSpace = val.endsWith(" ");
-
-      let updatedVal = "";
-      if (isTrailingSpace || parts.length === 0) {
-        updatedVal = val + currentSuggestion;
+      this._navigated = true;
+      this._setActive(this._activeIndex + (e.key === "ArrowDown" ? 1 : -1));
+    } else if (atEnd && e.ctrlKey) {
+      // Ctrl+Right accepts the next word of the phrase and keeps suggesting the rest
+      e.preventDefault();
+      const el = this.activeElement;
+      const [word, ...rest] = currentSuggestion.split(" ");
+      if (rest.length > 0) {
+        this._acceptSuggestion(word, " ");
+        this._showSuggestions(el, [rest.join(" ")]);
       } else {
-        // Replace last partial word with the full suggested word
-        parts[parts.length - 1] = currentSuggestion;
-        updatedVal = parts.join(" ");
+        this._acceptSuggestion(word);
       }
-
-      this._setValue(this.activeElement, updatedVal);
-      this.model.train(updatedVal);
-      this.saveState();
-      this._hideTooltip();
+    } else if (e.key === "Tab" || atEnd || (e.key === "Enter" && this._navigated)) {
+      // Tab or Right Arrow accepts the highlighted suggestion; Enter only does once the user
+      // picked one with the arrow keys, so it still submits forms and inserts newlines
+      e.preventDefault();
+      this._acceptSuggestion(currentSuggestion);
     } else if (e.key === "Escape") {
-      this._hideTooltip();
+      this._hideSuggestions();
     }
   }
 
+  /**
+   * Returns the highlighted suggestion (the inline one in ghost mode, the first one when
+   * headless).
+   * @return {string} - Suggestion, or "" if none is showing
+   */
+  _currentSuggestion() {
+    if (this.options.headless) return this._suggestions[this._activeIndex] || "";
+    const display = this.options.display === "ghost" ? this.ghostElement : this.tooltipElement;
+    return display ? display.dataset.suggestion || "" : "";
+  }
+
+  /**
+   * Registers a listener for suggestion events, e.g. to render suggestions in a custom
+   * component with the `headless` option:
+   * - `suggest`: `{ element, value, suggestions }` whenever suggestions are shown or change
+   * - `accept`: `{ element, suggestion, value }` after a suggestion was written into the
+   *   field (`value` is the field's new value)
+   * - `dismiss`: `{ element }` when suggestions close without being accepted
+   * @param {string} type - "suggest", "accept" or "dismiss"
+   * @param {Function} listener - Called with the event detail
+   * @return {FormAutocompleteEngine} - This engine
+   * @throws {Error} If the event type is unknown
+   */
+  on(type, listener) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`GrokJS FormAutocompleteEngine: Unknown event "${type}"`);
+    }
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener registered with on().
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener to remove
+   * @return {FormAutocompleteEngine} - This engine
+   */
+  off(type, listener) {
+    if (this._listeners.has(type)) this._listeners.get(type).delete(listener);
+    return this;
+  }
+
+  _emit(type, detail) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+    Array.from(listeners).forEach((listener) => listener(detail));
+  }
+
+  /**
+   * Accepts a suggestion for the focused field, e.g. when it is picked in a custom
+   * component. Such components should cancel `mousedown` so the field keeps focus.
+   * @param {string} [suggestion] - Word or phrase to accept (defaults to the highlighted
+   *   suggestion)
+   */
+  accept(suggestion = this._currentSuggestion()) {
+    if (suggestion) this._acceptSuggestion(suggestion);
+  }
+
+  /**
+   * Closes the suggestions of the focused field without accepting one.
+   */
+  dismiss() {
+    this._hideSuggestions();
+  }
+
+  /**
+   * Writes an accepted suggestion into the active field and closes the suggestions.
+   * @param {string} suggestion - Accepted word or phrase
+   * @param {string} [suffix=""] - Text written after it, e.g. the space before the rest of
+   *   a phrase accepted word by word
+   */
+  _acceptSuggestion(suggestion, suffix = "") {
+    const el = this.activeElement;
+    if (!el) return;
+    const updatedVal = `${this._completeValue(this._getValue(el), suggestion)}${suffix}`;
+    // Accepting is not a dismissal
+    this._suggesting = null;
+    this._hideSuggestions();
+    this._accepting = true;
+    try {
+      this._setValue(el, updatedVal);
+    } finally {
+      this._accepting = false;
+    }
+    this._emit("accept", { element: el, suggestion, value: updatedVal });
+  }
+
+  /**
+   * Applies a suggestion to a field value: appended after a trailing space, otherwise
+   * replacing the partial last word.
+   * @param {string} val - Current field value
+   * @param {string} suggestion - Accepted word or phrase
+   * @return {string} - Updated value
+   */
+  _completeValue(val, suggestion) {
+    if (val.endsWith(" ")) return val + suggestion;
+    const parts = val.split(/\s+/);
+    parts[parts.length - 1] = suggestion;
+    return parts.join(" ");
+  }
+
   _onFocusOut(e) {
+    const target = FormAutocompleteEngine._eventTarget(e);
+    if (this._isFormTarget(target)) this._commit(target);
     setTimeout(() => {
-      if (this.activeElement === e.target) {
-        this._hideTooltip();
+      if (this.activeElement === target) {
+        this._hideSuggestions();
+        this._clearAria();
         this.activeElement = null;
       }
     }, 200);
   }
 
+  /**
+   * Listens for form submits in the shadow root of a field. Submit events are not composed,
+   * so those of forms inside a shadow root never reach the document or an attached host.
+   * @param {HTMLElement} el - Focused field
+   */
+  _listenForSubmit(el) {
+    const root = FormAutocompleteEngine._shadowRoot(el);
+    if (!root || this._submitRoots.has(root)) return;
+    const handler = this._createHandlers().submit;
+    root.addEventListener("submit", handler);
+    this._submitRoots.set(root, handler);
+  }
+
+  /**
+   * Returns the shadow root a node is in.
+   * @param {Node} node - Node
+   * @return {ShadowRoot|null} - Its shadow root, or null in the document
+   */
+  static _shadowRoot(node) {
+    const root = typeof node.getRootNode === "function" ? node.getRootNode() : null;
+    return typeof ShadowRoot !== "undefined" && root instanceof ShadowRoot ? root : null;
+  }
+
+  _onSubmit(e) {
+    const form = FormAutocompleteEngine._eventTarget(e);
+    if (!form || typeof form.querySelectorAll !== "function") return;
+    form.querySelectorAll("input, textarea, [contenteditable]").forEach((el) => {
+      if (this._isFormTarget(el)) this._commit(el);
+    });
+    // The page may navigate away before the browser is idle
+    this.flush();
+  }
+
   _isCursorAtEnd(el) {
     if (!el) return true;
     if (el.isContentEditable) return true;
@@ -455,75 +1654,360 @@ class FormAutocompleteEngine {
 
   _updateSuggestions(el) {
     const val = this._getValue(el);
-    if (!val || val.trim().length === 0) {
-      this._hideTooltip();
+    if (
+      !val ||
+      val.trim().length === 0 ||
+      (!this.options.suggestOnExcluded && this._isExcludedField(el))
+    ) {
+      this._hideSuggestions();
       return;
     }
 
-    const predictions = this.predict(val, this.options.maxSuggestions);
-    if (predictions && predictions.length > 0) {
-      this._showTooltip(el, predictions[0]);
+    const suggestions = this._suggestionsFor(val, this._namespaceFor(el));
+    if (suggestions.length > 0) {
+      this._showSuggestions(el, suggestions);
     } else {
-      this._hideTooltip();
+      this._hideSuggestions();
+    }
+  }
+
+  /**
+   * Returns the dropdown items for a field value: the phrase suggestion first, then other
+   * next-word predictions, up to `maxSuggestions` in total.
+   * @param {string} val - Current field value
+   * @param {string|null} [namespace=null] - Namespace of the field
+   * @return {string[]} - Suggestions, best first
+   */
+  _suggestionsFor(val, namespace = null) {
+    const phrase = this.predictPhrase(val, { namespace });
+    if (!phrase) return [];
+    const suggestions = [phrase.text];
+    for (const word of this.predict(val, this.options.maxSuggestions, { namespace })) {
+      if (suggestions.length >= this.options.maxSuggestions) break;
+      if (word !== phrase.words[0]) suggestions.push(word);
     }
+    return suggestions;
   }
 
+  /**
+   * Creates this engine's suggestion listbox. Every engine has its own, so engines attached
+   * to different fields each accept their own suggestions and detach independently.
+   */
   _createTooltip() {
     if (typeof document === "undefined") return;
 
-    if (!document.getElementById("grokjs-autocomplete-tooltip")) {
-      const div = document.createElement("div");
-      div.id = "grokjs-autocomplete-tooltip";
-      div.style.cssText = `
-        position: absolute;
-        z-index: 999999;
-        background: rgba(15, 23, 42, 0.95);
-        border: 1px solid #38bdf8;
-        color: #38bdf8;
-        padding: 4px 10px;
-        border-radius: 6px;
-        font-family: system-ui, -apple-system, sans-serif;
-        font-size: 12px;
-        font-weight: 600;
-        box-shadow: 0 4px 20px rgba(56, 189, 248, 0.3);
-        pointer-events: none;
-        display: none;
-        transition: opacity 0.15s ease;
-      `;
-      document.body.appendChild(div);
-      this.tooltipElement = div;
-    } else {
-      this.tooltipElement = document.getElementById("grokjs-autocomplete-tooltip");
-    }
+    const div = document.createElement("div");
+    div.id = `${LISTBOX_ID}-${++displayCount}`;
+    div.setAttribute("role", "listbox");
+    div.setAttribute("aria-label", "Autocomplete suggestions");
+    div.style.cssText = `
+      position: absolute;
+      z-index: 999999;
+      background: rgba(15, 23, 42, 0.95);
+      border: 1px solid #38bdf8;
+      color: #38bdf8;
+      padding: 4px;
+      border-radius: 6px;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 12px;
+      font-weight: 600;
+      box-shadow: 0 4px 20px rgba(56, 189, 248, 0.3);
+      display: none;
+      transition: opacity 0.15s ease;
+    `;
+    document.body.appendChild(div);
+    this.tooltipElement = div;
+
+    // Mouse selection; mousedown is cancelled so the field keeps focus
+    const optionIndex = (e) => {
+      const option = e.target.closest ? e.target.closest('[role="option"]') : null;
+      return option ? Number(option.dataset.index) : -1;
+    };
+    div.addEventListener("mouseover", (e) => {
+      const index = optionIndex(e);
+      if (index >= 0) this._setActive(index);
+    });
+    div.addEventListener("mousedown", (e) => {
+      const index = optionIndex(e);
+      if (index < 0) return;
+      e.preventDefault();
+      this._acceptSuggestion(this._suggestions[index]);
+    });
   }
 
-  _showTooltip(el, suggestion) {
-    if (!this.tooltipElement || !el) return;
+  /**
+   * Renders the suggestions as listbox options below the field and wires the field up as
+   * the listbox's combobox. The first suggestion starts highlighted.
+   * @param {HTMLElement} el - Field the suggestions are for
+   * @param {string[]} suggestions - Suggestions, best first
+   * @return {boolean} - True if the dropdown is shown
+   */
+  _showTooltip(el, suggestions) {
+    if (!this.tooltipElement || !el) return false;
+
+    // The listbox lives in the field's root, so the field's aria-controls and
+    // aria-activedescendant IDs resolve for fields inside shadow roots too
+    const container = FormAutocompleteEngine._shadowRoot(el) || document.body;
+    if (this.tooltipElement.parentNode !== container) container.appendChild(this.tooltipElement);
 
     const rect = el.getBoundingClientRect();
     const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
     const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
 
-    const safeSuggestion = String(suggestion || "")
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-
     this.tooltipElement.style.top = `${rect.bottom + scrollTop + 4}px`;
     this.tooltipElement.style.left = `${rect.left + scrollLeft}px`;
-    this.tooltipElement.innerHTML = `Suggested: <strong>${safeSuggestion}</strong> <span style="opacity:0.6;font-size:10px;">[Tab to accept]</span>`;
-    this.tooltipElement.dataset.suggestion = suggestion;
+    this.tooltipElement.textContent = "";
+    suggestions.forEach((suggestion, i) => {
+      const option = document.createElement("div");
+      option.id = `${this.tooltipElement.id}-option-${i}`;
+      option.setAttribute("role", "option");
+      option.dataset.index = String(i);
+      option.textContent = suggestion;
+      option.style.cssText = "padding: 3px 6px; border-radius: 4px; cursor: pointer;";
+      this.tooltipElement.appendChild(option);
+    });
+    const hint = document.createElement("div");
+    hint.setAttribute("aria-hidden", "true");
+    hint.style.cssText = "padding: 2px 6px 0; opacity: 0.6; font-size: 10px;";
+    this.tooltipElement.appendChild(hint);
+
+    this._suggestions = suggestions;
+    this._navigated = false;
     this.tooltipElement.style.display = "block";
+    this._setAria(el);
+    this._setActive(0);
+    return true;
+  }
+
+  /**
+   * Highlights a suggestion, wrapping around at either end of the list.
+   * @param {number} index - Suggestion index
+   */
+  _setActive(index) {
+    const count = this._suggestions.length;
+    if (count === 0 || !this.tooltipElement) return;
+    this._activeIndex = ((index % count) + count) % count;
+
+    const options = this.tooltipElement.querySelectorAll('[role="option"]');
+    options.forEach((option, i) => {
+      const active = i === this._activeIndex;
+      option.setAttribute("aria-selected", String(active));
+      option.style.background = active ? "rgba(56, 189, 248, 0.2)" : "transparent";
+    });
+    const suggestion = this._suggestions[this._activeIndex];
+    this.tooltipElement.dataset.suggestion = suggestion;
+    if (this._ariaTarget && options[this._activeIndex]) {
+      this._ariaTarget.setAttribute("aria-activedescendant", options[this._activeIndex].id);
+    }
+
+    const hint = this.tooltipElement.lastElementChild;
+    if (hint && hint.getAttribute("aria-hidden") === "true") {
+      const keys = ["Tab to accept"];
+      if (suggestion.includes(" ")) keys.push("Ctrl+→ for one word");
+      if (count > 1) keys.push("↑/↓ to choose");
+      hint.textContent = `[${keys.join(", ")}]`;
+    }
   }
 
-  _hideTooltip() {
+  /**
+   * Marks a field as the combobox controlling the suggestion listbox.
+   * @param {HTMLElement} el - Focused field
+   */
+  _setAria(el) {
+    if (this._ariaTarget !== el) {
+      this._clearAria();
+      this._ariaTarget = el;
+      // Text inputs become comboboxes; textareas and contenteditables keep their own role
+      this._addedRole =
+        !el.hasAttribute("role") && Boolean(el.tagName) && el.tagName.toLowerCase() === "input";
+      if (this._addedRole) el.setAttribute("role", "combobox");
+      el.setAttribute("aria-autocomplete", "list");
+      el.setAttribute("aria-controls", this.tooltipElement.id);
+    }
+    el.setAttribute("aria-expanded", "true");
+  }
+
+  /**
+   * Removes the combobox attributes added by _setAria().
+   */
+  _clearAria() {
+    const el = this._ariaTarget;
+    if (!el) return;
+    if (this._addedRole) el.removeAttribute("role");
+    ["aria-autocomplete", "aria-controls", "aria-expanded", "aria-activedescendant"].forEach(
+      (attribute) => el.removeAttribute(attribute)
+    );
+    this._ariaTarget = null;
+    this._addedRole = false;
+  }
+
+  /**
+   * Shows suggestions for a field in the configured display mode.
+   * @param {HTMLElement} el - Field the suggestions are for
+   * @param {string[]} suggestions - Suggestions, best first
+   */
+  _showSuggestions(el, suggestions) {
+    let shown = true;
+    if (this.options.headless) {
+      this._suggestions = suggestions;
+      this._activeIndex = 0;
+      this._navigated = false;
+    } else if (this.options.display === "ghost") {
+      shown = this._showGhost(el, suggestions[0]);
+    } else {
+      shown = this._showTooltip(el, suggestions);
+    }
+    if (!shown) return;
+    this._suggesting = el;
+    this._emit("suggest", { element: el, value: this._getValue(el), suggestions });
+  }
+
+  _createGhost() {
+    if (typeof document === "undefined") return;
+
+    const span = document.createElement("span");
+    span.id = `${GHOST_ID}-${++displayCount}`;
+    span.setAttribute("aria-hidden", "true");
+    span.style.cssText = `
+      position: absolute;
+      z-index: 999999;
+      color: #94a3b8;
+      opacity: 0.8;
+      white-space: pre;
+      pointer-events: none;
+      display: none;
+    `;
+    document.body.appendChild(span);
+    this.ghostElement = span;
+  }
+
+  /**
+   * Renders the part of a suggestion the user has not typed yet as greyed-out text at the
+   * caret, in the field's font. Nothing is shown unless the caret is at the end of the text.
+   * @param {HTMLElement} el - Field the suggestion is for
+   * @param {string} suggestion - Suggested word or phrase
+   * @return {boolean} - True if the suggestion is shown
+   */
+  _showGhost(el, suggestion) {
+    if (!this.ghostElement || !el) return false;
+
+    const val = this._getValue(el);
+    const partial = val.endsWith(" ") ? "" : val.split(/\s+/).pop();
+    if (
+      !this._isCursorAtEnd(el) ||
+      !suggestion.toLowerCase().startsWith(partial.toLowerCase()) ||
+      suggestion.length === partial.length
+    ) {
+      this._hideSuggestions();
+      return false;
+    }
+
+    const style = window.getComputedStyle(el);
+    const caret = this._caretCoordinates(el);
+    const ghost = this.ghostElement;
+    ["fontStyle", "fontWeight", "fontSize", "fontFamily", "letterSpacing", "lineHeight"].forEach(
+      (property) => {
+        ghost.style[property] = style[property];
+      }
+    );
+    ghost.style.top = `${caret.top}px`;
+    ghost.style.left = `${caret.left}px`;
+    ghost.textContent = suggestion.slice(partial.length);
+    ghost.dataset.suggestion = suggestion;
+    ghost.style.display = "block";
+    return true;
+  }
+
+  /**
+   * Returns the page coordinates of the caret in a field. Inputs and textareas are measured
+   * with an invisible mirror element that copies their box and font styles and wraps the
+   * text before the caret the same way; contenteditables use the selection's range.
+   * @param {HTMLElement} el - Focused field
+   * @return {{ top: number, left: number, height: number }} - Caret position and line height
+   */
+  _caretCoordinates(el) {
+    const rect = el.getBoundingClientRect();
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+    const style = window.getComputedStyle(el);
+
+    if (el.isContentEditable && window.getSelection) {
+      const selection = window.getSelection();
+      if (selection.rangeCount > 0 && el.contains(selection.focusNode)) {
+        const range = selection.getRangeAt(0).cloneRange();
+        range.collapse(false);
+        const box = range.getClientRects ? range.getClientRects()[0] : null;
+        if (box) {
+          return { top: box.top + scrollTop, left: box.left + scrollLeft, height: box.height };
+        }
+      }
+    }
+
+    const mirror = document.createElement("div");
+    MIRROR_PROPERTIES.forEach((property) => {
+      mirror.style[property] = style[property];
+    });
+    const isInput = Boolean(el.tagName) && el.tagName.toLowerCase() === "input";
+    mirror.style.position = "absolute";
+    mirror.style.visibility = "hidden";
+    mirror.style.top = "0";
+    mirror.style.left = "-9999px";
+    mirror.style.overflow = "hidden";
+    mirror.style.whiteSpace = isInput ? "pre" : "pre-wrap";
+    mirror.style.wordWrap = isInput ? "normal" : "break-word";
+
+    const val = this._getValue(el);
+    const caretIndex = typeof el.selectionEnd === "number" ? el.selectionEnd : val.length;
+    mirror.textContent = val.slice(0, caretIndex);
+    const marker = document.createElement("span");
+    // The marker needs content to sit on the caret's line
+    marker.textContent = val.slice(caretIndex) || ".";
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+
+    // offsetTop/offsetLeft are measured inside the mirror's border, the rect outside it
+    const coordinates = {
+      top:
+        rect.top +
+        scrollTop +
+        (parseFloat(style.borderTopWidth) || 0) +
+        marker.offsetTop -
+        (el.scrollTop || 0),
+      left:
+        rect.left +
+        scrollLeft +
+        (parseFloat(style.borderLeftWidth) || 0) +
+        marker.offsetLeft -
+        (el.scrollLeft || 0),
+      height: parseFloat(style.lineHeight) || marker.offsetHeight,
+    };
+    mirror.remove();
+    return coordinates;
+  }
+
+  _hideSuggestions() {
+    if (this.ghostElement) {
+      this.ghostElement.style.display = "none";
+      this.ghostElement.dataset.suggestion = "";
+    }
     if (this.tooltipElement) {
       this.tooltipElement.style.display = "none";
       this.tooltipElement.dataset.suggestion = "";
     }
+    this._suggestions = [];
+    this._navigated = false;
+    if (this._ariaTarget) {
+      this._ariaTarget.setAttribute("aria-expanded", "false");
+      this._ariaTarget.removeAttribute("aria-activedescendant");
+    }
+    if (this._suggesting) {
+      const element = this._suggesting;
+      this._suggesting = null;
+      this._emit("dismiss", { element });
+    }
   }
 }
 
+FormAutocompleteEngine.SENSITIVE_PATTERNS = SENSITIVE_PATTERNS;
+
 module.exports = FormAutocompleteEngine;
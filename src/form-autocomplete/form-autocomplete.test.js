@@ -1,10 +1,11 @@
 const FormAutocompleteEngine = require("./form-autocomplete");
 const LanguageModel = require("../language-model/language-model");
+const MemoryStorageAdapter = require("../storage-adapter/memory");
 
 describe("FormAutocompleteEngine Class with Full Lifecycle & DOM Mocking", () => {
   let engine;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     document.body.innerHTML = "";
     if (typeof localStorage !== "undefined") {
       localStorage.clear();
@@ -14,6 +15,11 @@ describe("FormAutocompleteEngine Class with Full Lifecycle & DOM Mocking", () =>
       storageKey: "test_grok_key",
       showSetup: false,
     });
+    await engine.ready;
+  });
+
+  afterEach(() => {
+    engine.detach();
   });
 
   test("initializes correctly with LanguageModel", () => {
@@ -95,16 +101,824 @@ describe("FormAutocompleteEngine Class with Full Lifecycle & DOM Mocking", () =>
     expect(engine.tooltipElement.style.display).toBe("none");
   });
 
-  test("saveState and loadState persist model to localStorage", () => {
+  test("predictPhrase extends the next word while the model stays confident", () => {
+    engine.model.clearModel();
+    engine.model.train("looking forward to speaking with you soon");
+    engine.model.train("looking forward to meeting you");
+
+    expect(engine.predictPhrase("Looking forw")).toEqual({
+      words: ["forward", "to", "speaking", "with", "you", "soon"],
+      text: "forward to speaking with you soon",
+      probability: 0.5,
+    });
+    engine.options.phraseThreshold = 0.6;
+    expect(engine.predictPhrase("looking forward ").text).toBe("to");
+    expect(engine.predictPhrase("looking f").text).toBe("forward to");
+    engine.options.phraseThreshold = 0.3;
+    engine.options.phraseLength = 3;
+    expect(engine.predictPhrase("looking forward ").text).toBe("to speaking with");
+    engine.options.phraseLength = 1;
+    expect(engine.predictPhrase("looking forward ").text).toBe("to");
+    expect(engine.predictPhrase("   ")).toBeNull();
+  });
+
+  test("Ctrl+Right accepts a phrase word by word and Tab accepts all of it", () => {
+    engine.attachToDocument();
+    engine.model.clearModel();
+    engine.model.train("see you at the office tomorrow");
+    const input = document.createElement("input");
+    input.type = "text";
+    document.body.appendChild(input);
+    input.dispatchEvent(new Event("focusin", { bubbles: true }));
+
+    input.value = "see y";
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    expect(engine.tooltipElement.dataset.suggestion).toBe("you at the office tomorrow");
+    expect(engine.tooltipElement.innerHTML).toContain("Ctrl+→");
+
+    const ctrlRight = () =>
+      new KeyboardEvent("keydown", {
+        key: "ArrowRight",
+        ctrlKey: true,
+        bubbles: true,
+        cancelable: true,
+      });
+    input.dispatchEvent(ctrlRight());
+    expect(input.value).toBe("see you ");
+    expect(engine.tooltipElement.dataset.suggestion).toBe("at the office tomorrow");
+    input.dispatchEvent(ctrlRight());
+    expect(input.value).toBe("see you at ");
+
+    input.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Tab", bubbles: true, cancelable: true })
+    );
+    expect(input.value).toBe("see you at the office tomorrow");
+    expect(engine.tooltipElement.style.display).toBe("none");
+  });
+
+  test("suggestions render as an accessible listbox with keyboard and mouse selection", () => {
+    engine.attachToDocument();
+    engine.model.clearModel();
+    engine.model.train("thanks for the update");
+    engine.model.train("thanks for the help");
+    engine.model.train("thanks again");
+    engine.options.phraseThreshold = 0.6;
+    const input = document.createElement("input");
+    input.type = "text";
+    document.body.appendChild(input);
+    input.dispatchEvent(new Event("focusin", { bubbles: true }));
+    const key = (name) =>
+      input.dispatchEvent(
+        new KeyboardEvent("keydown", { key: name, bubbles: true, cancelable: true })
+      );
+
+    input.value = "thanks ";
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    const listbox = engine.tooltipElement;
+    const options = () => Array.from(listbox.querySelectorAll('[role="option"]'));
+    expect(listbox.getAttribute("role")).toBe("listbox");
+    expect(options().map((option) => option.textContent)).toEqual(["for the", "again"]);
+    expect(input.getAttribute("role")).toBe("combobox");
+    expect(input.getAttribute("aria-controls")).toBe(listbox.id);
+    expect(input.getAttribute("aria-expanded")).toBe("true");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options()[0].id);
+
+    // Enter is left alone until an option is chosen with the arrow keys
+    const enter = new KeyboardEvent("keydown", { key: "Enter", bubbles: true, cancelable: true });
+    input.dispatchEvent(enter);
+    expect(enter.defaultPrevented).toBe(false);
+    key("ArrowDown");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options()[1].id);
+    expect(options()[1].getAttribute("aria-selected")).toBe("true");
+    key("ArrowDown");
+    key("ArrowUp");
+    expect(listbox.dataset.suggestion).toBe("again");
+    key("Enter");
+    expect(input.value).toBe("thanks again");
+    expect(input.getAttribute("aria-expanded")).toBe("false");
+    expect(input.hasAttribute("aria-activedescendant")).toBe(false);
+
+    input.value = "thanks f";
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    const click = new MouseEvent("mousedown", { bubbles: true, cancelable: true });
+    options()[0].dispatchEvent(click);
+    expect(click.defaultPrevented).toBe(true);
+    expect(input.value).toBe("thanks for the");
+
+    engine.detach();
+    expect(input.hasAttribute("role")).toBe(false);
+    expect(input.hasAttribute("aria-controls")).toBe(false);
+  });
+
+  test("engines attached to different fields each accept their own clicked suggestions", () => {
+    const other = new FormAutocompleteEngine({ autoSave: false });
+    engine.model.clearModel();
+    engine.model.train("see you at the office tomorrow");
+    other.model.clearModel();
+    other.model.train("see yellow tulips in spring");
+    document.body.innerHTML = `<input id="first" type="text"><input id="second" type="text">`;
+    const first = document.getElementById("first");
+    const second = document.getElementById("second");
+    engine.attach(first);
+    other.attach(second);
+    expect(other.tooltipElement).not.toBe(engine.tooltipElement);
+    const accepted = jest.fn();
+    engine.on("accept", accepted);
+    other.on("accept", accepted);
+    const click = (instance) =>
+      instance.tooltipElement
+        .querySelector('[role="option"]')
+        .dispatchEvent(new MouseEvent("mousedown", { bubbles: true, cancelable: true }));
+
+    try {
+      second.dispatchEvent(new Event("focusin", { bubbles: true }));
+      second.value = "see y";
+      second.dispatchEvent(new Event("input", { bubbles: true }));
+      expect(second.getAttribute("aria-controls")).toBe(other.tooltipElement.id);
+      click(other);
+      expect(accepted).toHaveBeenCalledTimes(1);
+      expect(second.value).toBe("see yellow tulips in spring");
+
+      // Detaching one engine leaves the other's listbox in place
+      engine.detach();
+      expect(document.body.contains(other.tooltipElement)).toBe(true);
+      first.dispatchEvent(new Event("focusin", { bubbles: true }));
+      second.dispatchEvent(new Event("focusin", { bubbles: true }));
+      second.value = "see y";
+      second.dispatchEvent(new Event("input", { bubbles: true }));
+      expect(other.tooltipElement.style.display).toBe("block");
+      click(other);
+      expect(second.value).toBe("see yellow tulips in spring");
+    } finally {
+      other.detach();
+    }
+  });
+
+  test("ghost display renders the untyped part of the suggestion at the caret", () => {
+    engine.detach();
+    engine = new FormAutocompleteEngine({ autoSave: false, display: "ghost" });
+    engine.model.clearModel();
+    engine.model.train("looking forward to it");
+    engine.attachToDocument();
+    expect(engine.tooltipElement).toBeNull();
+    const textarea = document.createElement("textarea");
+    textarea.style.font = "14px monospace";
+    document.body.appendChild(textarea);
+    textarea.dispatchEvent(new Event("focusin", { bubbles: true }));
+
+    textarea.value = "Loo";
+    textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    const ghost = engine.ghostElement;
+    expect(ghost.getAttribute("aria-hidden")).toBe("true");
+    expect(ghost.textContent).toBe("king forward to it");
+    expect(ghost.style.display).toBe("block");
+    expect(ghost.style.fontFamily).toBe("monospace");
+    expect(ghost.style.top).toMatch(/px$/);
+    // The caret mirror is removed after measuring
+    expect(document.body.children.length).toBe(2);
+
+    // No ghost text while the caret is inside the text
+    textarea.setSelectionRange(1, 1);
+    engine._updateSuggestions(textarea);
+    expect(ghost.style.display).toBe("none");
+
+    textarea.setSelectionRange(3, 3);
+    engine._updateSuggestions(textarea);
+    // Arrow keys keep moving the caret: there is no list to navigate
+    const arrowDown = new KeyboardEvent("keydown", {
+      key: "ArrowDown",
+      bubbles: true,
+      cancelable: true,
+    });
+    textarea.dispatchEvent(arrowDown);
+    expect(arrowDown.defaultPrevented).toBe(false);
+    textarea.dispatchEvent(
+      new KeyboardEvent("keydown", {
+        key: "ArrowRight",
+        ctrlKey: true,
+        bubbles: true,
+        cancelable: true,
+      })
+    );
+    expect(textarea.value).toBe("looking ");
+    expect(ghost.textContent).toBe("forward to it");
+    textarea.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Tab", bubbles: true, cancelable: true })
+    );
+    expect(textarea.value).toBe("looking forward to it");
+    expect(ghost.style.display).toBe("none");
+
+    const editable = document.createElement("div");
+    Object.defineProperty(editable, "isContentEditable", { value: true, configurable: true });
+    editable.textContent = "looking ";
+    document.body.appendChild(editable);
+    engine.activeElement = editable;
+    engine._updateSuggestions(editable);
+    expect(ghost.textContent).toBe("forward to it");
+
+    expect(() => new FormAutocompleteEngine({ autoSave: false, display: "popup" })).toThrow(
+      'GrokJS FormAutocompleteEngine: Unknown display mode "popup"'
+    );
+  });
+
+  test("namespaces resolve from data attributes, autocomplete tokens and form-qualified names", () => {
+    const scoped = new FormAutocompleteEngine({ autoSave: false, namespaces: true });
+    document.body.innerHTML = `
+      <form id="signup" data-grokjs-namespace="onboarding"><input id="a" name="bio"></form>
+      <form name="search"><input id="b" name="q"><input id="c" autocomplete="email"></form>
+      <input id="d" name="notes"><input id="e" autocomplete="on"><div id="f"></div>`;
+    const namespaceOf = (id) => scoped._namespaceFor(document.getElementById(id));
+
+    expect(namespaceOf("a")).toBe("onboarding");
+    expect(namespaceOf("b")).toBe("search/q");
+    expect(namespaceOf("c")).toBe("autocomplete:email");
+    expect(namespaceOf("d")).toBe("notes");
+    expect(namespaceOf("e")).toBe("e");
+    expect(engine._namespaceFor(document.getElementById("d"))).toBeNull();
+    expect(() => new FormAutocompleteEngine({ autoSave: false, namespaceWeight: 2 })).toThrow(
+      "namespaceWeight must be between 0 and 1"
+    );
+  });
+
+  test("namespace models keep field text apart, blend in the shared model and persist", async () => {
+    engine.detach();
+    engine = new FormAutocompleteEngine({
+      storageKey: "test_namespaces",
+      namespaces: true,
+    });
+    await engine.ready;
+    engine.model.clearModel();
+    engine.model.train("thanks for the update");
+    engine._learn("best regards team", "autocomplete:email");
+    engine._learn("best pizza near me", "search/q");
+    await engine.flush();
+
+    expect(engine.predict("best ", 1, { namespace: "search/q" })).toEqual(["pizza"]);
+    expect(engine.predict("best ", 1, { namespace: "autocomplete:email" })).toEqual(["regards"]);
+    expect(engine.predict("thanks ", 1, { namespace: "search/q" })).toEqual(["for"]);
+    expect(engine.predict("be", 1, { namespace: "search/q" })).toEqual(["best"]);
+    expect(engine.predictPhrase("best ", { namespace: "search/q" }).text).toBe("pizza near me");
+    expect(engine.model.vocabulary.has("pizza")).toBe(true);
+
+    // The blend is reused across keystrokes until the weight changes
+    const mixture = engine._modelFor("search/q");
+    expect(engine._modelFor("search/q")).toBe(mixture);
+    engine.options.namespaceWeight = 0.9;
+    expect(engine._modelFor("search/q")).not.toBe(mixture);
+    expect(engine._modelFor("search/q").weights[0]).toBeCloseTo(0.9);
+
+    const saved = JSON.parse(localStorage.getItem("test_namespaces:search/q"));
+    expect(saved.vocabulary).toContain("pizza");
+    expect(saved.vocabulary).not.toContain("regards");
+
+    // Reloaded namespaces are found by forget() even before they are used again
+    const reloaded = new FormAutocompleteEngine({
+      storageKey: "test_namespaces",
+      namespaces: true,
+    });
+    await reloaded.ready;
+    expect(reloaded.namespaceModels.size).toBe(0);
+    reloaded.forget("pizza");
+    await reloaded.flush();
+    expect(reloaded.predict("best ", 1, { namespace: "search/q" })).toEqual(["regards"]);
+    expect(localStorage.getItem("test_namespaces:search/q")).not.toContain("pizza");
+    expect(localStorage.getItem("test_namespaces:autocomplete:email")).toContain("regards");
+  });
+
+  test("opted-out and sensitive fields are excluded from learning", () => {
+    document.body.innerHTML = `
+      <form autocomplete="off"><input id="a"><input id="b" data-grokjs="on"></form>
+      <div data-grokjs="off"><textarea id="c"></textarea></div>
+      <input id="d" autocomplete="billing cc-number"><input id="e" autocomplete="one-time-code">
+      <input id="f" name="cardNumber"><input id="g" inputmode="numeric" maxlength="6">
+      <input id="h" name="notes"><input id="i" autocomplete="on" data-grokjs="off">`;
+    const excluded = (id) => engine._isExcludedField(document.getElementById(id));
+
+    ["a", "c", "d", "e", "f", "g", "i"].forEach((id) => expect(excluded(id)).toBe(true));
+    expect(excluded("b")).toBe(false);
+    expect(excluded("h")).toBe(false);
+
+    const optIn = new FormAutocompleteEngine({ autoSave: false, optIn: true });
+    expect(optIn._isExcludedField(document.getElementById("b"))).toBe(false);
+    expect(optIn._isExcludedField(document.getElementById("h"))).toBe(true);
+  });
+
+  test("sensitive text is never learned and excluded fields only suggest when allowed", async () => {
+    engine.attachToDocument();
+    engine.model.clearModel();
+    engine.model.train("please call me back");
+    document.body.innerHTML = `<input id="notes"><input id="otp" autocomplete="one-time-code">`;
+    const notes = document.getElementById("notes");
+    const otp = document.getElementById("otp");
+    const type = (el, value) => {
+      el.value = value;
+      el.dispatchEvent(new Event("input", { bubbles: true }));
+    };
+    const commit = (el, value) => {
+      type(el, value);
+      el.dispatchEvent(new Event("focusout", { bubbles: true }));
+    };
+
+    commit(notes, "mail jane.doe@example.com today");
+    commit(notes, "ring 555-867-5309 later");
+    commit(notes, "ssn 123-45-6789 here");
+    commit(notes, "card 4111 1111 1111 1111 now");
+    commit(otp, "zebra crossing");
+    commit(notes, "meet at the harbor");
+    await engine.flush();
+    expect(localStorage.getItem("test_grok_key")).toContain("harbor");
+    ["jane.doe", "example", "5309", "6789", "4111", "zebra"].forEach((word) => {
+      expect(localStorage.getItem("test_grok_key")).not.toContain(word);
+    });
+
+    engine.activeElement = otp;
+    type(otp, "please ");
+    expect(engine._suggestions).toEqual([]);
+    engine.options.suggestOnExcluded = true;
+    type(otp, "please ");
+    expect(engine._suggestions[0]).toMatch(/^call/);
+
+    const custom = new FormAutocompleteEngine({
+      autoSave: false,
+      sensitivePatterns: [/\bproject \w+/i],
+    });
+    expect(custom._sensitiveSpans("working on Project Falcon")).toEqual([[11, 25]]);
+    expect(custom._sensitiveSpans("mail jane.doe@example.com")).toEqual([]);
+    expect(FormAutocompleteEngine.SENSITIVE_PATTERNS.ssn.test("123-45-6789")).toBe(true);
+  });
+
+  test("sensitive text is not used as context and is caught across commits", () => {
+    engine.attachToDocument();
+    document.body.innerHTML = `<textarea id="mail"></textarea><input id="prefilled" value="Ref zq81 for">`;
+    const mail = document.getElementById("mail");
+    const prefilled = document.getElementById("prefilled");
+    const keys = () =>
+      engine.model.ngram.ngrams.flatMap((level) => Array.from(level.keys())).join("|");
+    const edit = (el, value) => {
+      el.dispatchEvent(new Event("focusin", { bubbles: true }));
+      el.value = value;
+      el.dispatchEvent(new Event("input", { bubbles: true }));
+      el.dispatchEvent(new Event("focusout", { bubbles: true }));
+    };
+
+    edit(mail, "Email me at john.doe@example.com and");
+    edit(mail, "Email me at john.doe@example.com and thanks for the help.");
+    expect(engine.model.ngram.getCounter(["thanks"]).get("for")).toBe(1);
+    expect(keys()).not.toMatch(/john|doe|example/);
+
+    // Neither half of the number looks sensitive on its own
+    edit(mail, "please call me on 555");
+    edit(mail, "please call me on 555 867 5309 tonight");
+    expect(keys()).not.toMatch(/867|5309|tonight/);
+    edit(mail, "please call me on 555 867 5309 tonight, thanks zorbly");
+    expect(engine.model.ngram.getCounter(["zorbly"])).toBeDefined();
+    expect(keys()).not.toMatch(/867|5309/);
+
+    // Text the page put in the field is not context either
+    edit(prefilled, "Ref zq81 for quarterly review");
+    expect(engine.model.ngram.getCounter(["quarterly"]).get("review")).toBe(1);
+    expect(keys()).not.toMatch(/zq81/);
+  });
+
+  test("fields are learned once per commit and only their changed words are trained", () => {
+    engine.attachToDocument();
+    document.body.innerHTML = `<textarea id="draft">Dear team,</textarea>`;
+    const draft = document.getElementById("draft");
+    const count = (word) => engine.model.ngram.getCounter([]).get(word);
+    const type = (value) => {
+      draft.value = value;
+      draft.dispatchEvent(new Event("input", { bubbles: true }));
+    };
+    draft.dispatchEvent(new Event("focusin", { bubbles: true }));
+
+    type("Dear team, the zephyr");
+    type("Dear team, the zephyr rollout");
+    expect(count("zephyr")).toBe(0);
+
+    // Completing a sentence commits it; later keystrokes do not recount it
+    type("Dear team, the zephyr rollout starts.");
+    type("Dear team, the zephyr rollout starts. Kindly");
+    expect(count("zephyr")).toBe(1);
+    expect(count("dear")).toBe(0);
+    expect(count("kindly")).toBe(0);
+
+    // Blur commits the rest; edits only train the words they touch
+    draft.dispatchEvent(new Event("focusout", { bubbles: true }));
+    expect(count("kindly")).toBe(1);
+    expect(count("starts")).toBe(1);
+    type("Dear team, the zephyr rollout begins. Kindly");
+    draft.dispatchEvent(new Event("focusout", { bubbles: true }));
+    expect(count("begins")).toBe(1);
+    expect(count("zephyr")).toBe(1);
+    expect(count("kindly")).toBe(1);
+    expect(engine.model.ngram.getCounter(["rollout"]).get("begins")).toBe(1);
+    expect(FormAutocompleteEngine._changedSpan("a quick fox", "a fox")).toEqual([2, 2]);
+    expect(FormAutocompleteEngine._changedSpan("a quick fox", "a quiet fox")).toEqual([2, 7]);
+  });
+
+  test("text typed after a blur continues the sentence it was added to", () => {
+    engine.attachToDocument();
+    document.body.innerHTML = `<input id="note" type="text">`;
+    const note = document.getElementById("note");
+    const edit = (value) => {
+      note.dispatchEvent(new Event("focusin", { bubbles: true }));
+      note.value = value;
+      note.dispatchEvent(new Event("input", { bubbles: true }));
+      note.dispatchEvent(new Event("focusout", { bubbles: true }));
+    };
+
+    const ngram = engine.model.ngram;
+    const counts = () => ["please", "call", "the"].map((word) => ngram.getCounter([]).get(word));
+    const before = counts();
+    edit("please call the");
+    edit("please call the plumber today");
+    expect(ngram.getCounter(["the"]).get("plumber")).toBe(1);
+    expect(ngram.getCounter(["call", "the"]).get("plumber")).toBe(1);
+    expect(engine.predict("please call the ", 3)).toContain("plumber");
+    // The context words are not counted again
+    expect(counts()).toEqual(before.map((count) => count + 1));
+    expect(ngram.getCounter(["the"]).get("")).toBe(0);
+  });
+
+  test("learned text is saved when idle, on flush and on form submit", async () => {
+    jest.useFakeTimers();
+    try {
+      const deferred = new FormAutocompleteEngine({ storageKey: "test_grok_idle", saveDelay: 500 });
+      await deferred.ready;
+      deferred.attachToDocument();
+      document.body.innerHTML = `
+        <form id="f"><input id="subject"><div id="body" contenteditable="true"></div></form>`;
+      const subject = document.getElementById("subject");
+      subject.dispatchEvent(new Event("focusin", { bubbles: true }));
+      subject.value = "quarterly zephyr report";
+      subject.dispatchEvent(new Event("focusout", { bubbles: true }));
+      deferred._learn("another zephyr update");
+
+      expect(localStorage.getItem("test_grok_idle")).not.toContain("zephyr");
+      jest.advanceTimersByTime(500);
+      await deferred.flush();
+      expect(localStorage.getItem("test_grok_idle")).toContain("quarterly");
+
+      subject.value = "quarterly zephyr report draft";
+      document.getElementById("f").dispatchEvent(new Event("submit", { bubbles: true }));
+      await deferred.flush();
+      expect(localStorage.getItem("test_grok_idle")).toContain("draft");
+      expect(deferred._saveHandle).toBeNull();
+      deferred.detach();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("saveState and loadState persist model to localStorage", async () => {
     engine.model.train("Persistence test string for local storage");
-    engine.saveState();
+    expect(await engine.saveState()).toBe(true);
 
     const newEngine = new FormAutocompleteEngine({ autoSave: true, storageKey: "test_grok_key" });
-    const isFirstRun = newEngine.loadState();
+    expect(await newEngine.ready).toBe(false);
+    const isFirstRun = await newEngine.loadState();
     expect(isFirstRun).toBe(false);
     expect(newEngine.model.vocabulary.has("persistence")).toBe(true);
   });
 
+  test("storageAdapter selects where state is saved and save failures are reported", async () => {
+    const storageAdapter = new MemoryStorageAdapter();
+    const first = new FormAutocompleteEngine({ storageAdapter, storageKey: "mem" });
+    expect(await first.ready).toBe(true);
+    first._learn("memory adapters keep state per instance");
+    await first.flush();
+    expect(await storageAdapter.get("mem")).toContain("adapters");
+    expect(localStorage.getItem("mem")).toBeNull();
+
+    const second = new FormAutocompleteEngine({ storageAdapter, storageKey: "mem" });
+    expect(await second.ready).toBe(false);
+    expect(second.model.vocabulary.has("adapters")).toBe(true);
+    expect(new FormAutocompleteEngine({ storageAdapter: "memory" }).storageAdapter).toBeInstanceOf(
+      MemoryStorageAdapter
+    );
+    expect(() => new FormAutocompleteEngine({ storageAdapter: "cookies" })).toThrow(
+      'Unknown storage adapter "cookies"'
+    );
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const onStorageError = jest.fn();
+    const full = new FormAutocompleteEngine({
+      storageAdapter,
+      storageKey: "mem",
+      namespaces: true,
+      onStorageError,
+    });
+    await full.ready;
+    storageAdapter.set = () => Promise.reject(new Error("quota exceeded"));
+    full._learn("a namespace that cannot be saved", "notes");
+    expect(await full.flush()).toBe(false);
+    expect(onStorageError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "quota exceeded" })
+    );
+    expect(full._dirtyNamespaces.has("notes")).toBe(true);
+    warn.mockRestore();
+  });
+
+  test("tabs sharing a storage key merge their learning instead of overwriting it", async () => {
+    const options = { storageAdapter: new MemoryStorageAdapter(), storageKey: "tabs" };
+    const first = new FormAutocompleteEngine(options);
+    const second = new FormAutocompleteEngine(options);
+    await Promise.all([first.ready, second.ready]);
+    // jsdom has no Web Locks, so let the first-run saves take turns as locked tabs would
+    await first.flush();
+    await second.flush();
+
+    first._learn("alpha zephyr notes");
+    second._learn("beta quokka notes", "memo");
+    await first.flush();
+    await second.flush();
+    expect(second.model.vocabulary.has("zephyr")).toBe(true);
+
+    first.forget("quokka");
+    await first.flush();
+    const third = new FormAutocompleteEngine({ ...options, namespaces: true });
+    await third.ready;
+    const unigrams = third.model.ngram.getCounter([]);
+    expect(unigrams.get("zephyr")).toBe(1);
+    expect(unigrams.get("notes")).toBe(2);
+    expect(third.model.vocabulary.has("quokka")).toBe(false);
+    expect(third._storedNamespaces()).toEqual(["memo"]);
+    expect(third._namespaceModel("memo").vocabulary.has("quokka")).toBe(false);
+  });
+
+  test("learning is only kept for syncing while it can be saved", async () => {
+    const unsaved = new FormAutocompleteEngine({ autoSave: false, storageKey: "test_grok_off" });
+    await unsaved.ready;
+    for (let i = 0; i < 100; i++) unsaved._learn(`note number ${i}`);
+    expect(unsaved._pendingOps).toEqual([]);
+
+    engine._learn("waiting for the next save");
+    expect(engine._pendingOps).toHaveLength(1);
+    engine._disableAutoSave();
+    expect(engine._pendingOps).toEqual([]);
+  });
+
+  test("a save writes every state as of its start while learning continues", async () => {
+    const storageAdapter = new MemoryStorageAdapter();
+    const tab = new FormAutocompleteEngine({
+      storageAdapter,
+      storageKey: "test_grok_snapshot",
+      namespaces: true,
+    });
+    await tab.ready;
+    tab._learn("first memo line", "memo");
+    const set = storageAdapter.set.bind(storageAdapter);
+    storageAdapter.set = async (key, value) => {
+      await set(key, value);
+      // Learn while the shared state is written and the namespace is not yet
+      if (key === "test_grok_snapshot") tab._learn("second memo paragraph", "memo");
+    };
+
+    expect(await tab.saveState()).toBe(true);
+    const memo = storageAdapter.entries.get("test_grok_snapshot:memo");
+    expect(memo).toContain("first");
+    expect(memo).not.toContain("paragraph");
+    expect(tab._pendingOps).toHaveLength(1);
+    expect(tab._dirtyNamespaces.has("memo")).toBe(true);
+    tab._cancelSave();
+  });
+
+  test("attached tabs pick up each other's saves from broadcasts and storage events", async () => {
+    global.BroadcastChannel = require("worker_threads").BroadcastChannel;
+    const options = { storageAdapter: new MemoryStorageAdapter(), storageKey: "live" };
+    const first = new FormAutocompleteEngine(options);
+    const second = new FormAutocompleteEngine(options);
+    try {
+      await Promise.all([first.ready, second.ready]);
+      await first.flush();
+      await second.flush();
+      first.attachToDocument();
+      second.attachToDocument();
+
+      first._learn("gamma walrus");
+      await first.flush();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await second.flush();
+      expect(second.model.vocabulary.has("walrus")).toBe(true);
+
+      // Without a broadcast, a storage event for the sync stamp triggers the refresh too
+      second.detach();
+      second._listenToOtherTabs();
+      first._learn("delta narwhal");
+      await first.flush();
+      window.dispatchEvent(new StorageEvent("storage", { key: "live#sync" }));
+      await second.flush();
+      expect(second.model.vocabulary.has("narwhal")).toBe(true);
+    } finally {
+      first.detach();
+      second.detach();
+      delete global.BroadcastChannel;
+    }
+  });
+
+  test("attach binds only the given elements and detach(element) unbinds them", () => {
+    engine.model.clearModel();
+    engine.model.train("see you at the office tomorrow");
+    document.body.innerHTML = `
+      <form id="scoped"><input id="inside" type="text"></form>
+      <input id="outside" type="text">`;
+    const inside = document.getElementById("inside");
+    const outside = document.getElementById("outside");
+    const type = (input, value) => {
+      input.dispatchEvent(new Event("focusin", { bubbles: true }));
+      input.value = value;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+    };
+
+    expect(engine.attach("#scoped")).toBe(engine);
+    type(outside, "see y");
+    expect(engine.activeElement).toBeNull();
+    type(inside, "see y");
+    expect(engine.activeElement).toBe(inside);
+    expect(engine.tooltipElement.style.display).toBe("block");
+    inside.dispatchEvent(new KeyboardEvent("keydown", { key: "Tab", bubbles: true }));
+    expect(inside.value).toBe("see you at the office tomorrow");
+
+    // Events are handled once even when the document is attached as well
+    engine.attachToDocument();
+    const accepted = jest.fn();
+    engine.on("accept", accepted);
+    type(inside, "see y");
+    inside.dispatchEvent(new KeyboardEvent("keydown", { key: "Tab", bubbles: true }));
+    expect(accepted).toHaveBeenCalledTimes(1);
+
+    engine.detach(document.getElementById("scoped"));
+    expect(engine.activeElement).toBeNull();
+    expect(engine.tooltipElement).not.toBeNull();
+    engine.detach();
+
+    engine.attach(inside, { namespace: "notes" });
+    engine.options.namespaces = true;
+    type(inside, "see y");
+    expect(engine._namespaceFor(inside)).toBe("notes");
+    // Detaching the last element cleans up like detach()
+    engine.detach(inside);
+    expect(engine.tooltipElement).toBeNull();
+    type(inside, "see y");
+    expect(engine.activeElement).toBeNull();
+    expect(() => engine.attach(null)).toThrow("needs an element, shadow root or selector");
+  });
+
+  test("fields inside shadow roots get suggestions", () => {
+    engine.model.clearModel();
+    engine.model.train("see you at the office tomorrow");
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    const input = document.createElement("input");
+    input.type = "text";
+    host.attachShadow({ mode: "open" }).appendChild(input);
+    const type = (value) => {
+      input.dispatchEvent(new Event("focusin", { bubbles: true, composed: true }));
+      input.value = value;
+      input.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    };
+
+    engine.attachToDocument();
+    type("see y");
+    expect(engine.activeElement).toBe(input);
+    expect(engine.tooltipElement.dataset.suggestion).toBe("you at the office tomorrow");
+    engine.detach();
+
+    engine.attach(host.shadowRoot);
+    type("see you at the o");
+    expect(engine.activeElement).toBe(input);
+    expect(engine.tooltipElement.dataset.suggestion).toBe("office tomorrow");
+    engine.detach(host.shadowRoot);
+    expect(engine.activeElement).toBeNull();
+
+    // Selectors are looked up in the same root when attaching and detaching
+    input.id = "shadowed";
+    engine.attach("#shadowed", { root: host.shadowRoot });
+    type("see y");
+    expect(engine.activeElement).toBe(input);
+    engine.detach("#shadowed", { root: host.shadowRoot });
+    expect(engine.activeElement).toBeNull();
+    expect(engine._attachments.size).toBe(0);
+  });
+
+  test("the listbox and form submits work for fields inside shadow roots", () => {
+    engine.model.clearModel();
+    engine.model.train("see you at the office tomorrow");
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    const shadow = host.attachShadow({ mode: "open" });
+    shadow.innerHTML = `<form><input id="shadowed" type="text"></form>`;
+    const input = shadow.getElementById("shadowed");
+    const light = document.createElement("input");
+    light.type = "text";
+    document.body.appendChild(light);
+    const type = (el, value) => {
+      el.dispatchEvent(new Event("focusin", { bubbles: true, composed: true }));
+      el.value = value;
+      el.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    };
+
+    engine.attachToDocument();
+    type(input, "see y");
+    expect(engine.tooltipElement.parentNode).toBe(shadow);
+    expect(shadow.getElementById(input.getAttribute("aria-controls"))).toBe(engine.tooltipElement);
+    expect(shadow.getElementById(input.getAttribute("aria-activedescendant"))).not.toBeNull();
+
+    // Submit events do not leave the shadow root
+    type(input, "see you at the quarry");
+    shadow.querySelector("form").dispatchEvent(new Event("submit", { bubbles: true }));
+    expect(engine.model.vocabulary.has("quarry")).toBe(true);
+
+    type(light, "see y");
+    expect(engine.tooltipElement.parentNode).toBe(document.body);
+    engine.detach();
+    expect(engine._submitRoots.size).toBe(0);
+  });
+
+  test("headless mode renders nothing and reports suggest, accept and dismiss events", () => {
+    const headless = new FormAutocompleteEngine({ autoSave: false, headless: true });
+    headless.model.clearModel();
+    headless.model.train("see you at the office tomorrow");
+    const input = document.createElement("input");
+    input.type = "text";
+    document.body.appendChild(input);
+    const events = [];
+    const record = (type) => (detail) => events.push({ type, ...detail });
+    headless.on("suggest", record("suggest"));
+    headless.on("accept", record("accept"));
+    const dismissed = record("dismiss");
+    headless.on("dismiss", dismissed);
+    expect(() => headless.on("select", () => {})).toThrow('Unknown event "select"');
+
+    try {
+      headless.attach(input);
+      expect(headless.tooltipElement).toBeNull();
+      expect(document.querySelector('[role="listbox"]')).toBeNull();
+
+      input.dispatchEvent(new Event("focusin", { bubbles: true }));
+      input.value = "see y";
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      expect(events).toEqual([
+        {
+          type: "suggest",
+          element: input,
+          value: "see y",
+          suggestions: ["you at the office tomorrow"],
+        },
+      ]);
+
+      input.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+      expect(events[1]).toEqual({ type: "dismiss", element: input });
+
+      // A custom component accepts through the engine
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      headless.accept("you");
+      expect(input.value).toBe("see you");
+      expect(events.slice(3)).toEqual([
+        { type: "accept", element: input, suggestion: "you", value: "see you" },
+      ]);
+
+      input.value = "see you at the o";
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(new KeyboardEvent("keydown", { key: "Tab", bubbles: true }));
+      expect(input.value).toBe("see you at the office tomorrow");
+      expect(events.map((event) => event.type)).toEqual([
+        "suggest",
+        "dismiss",
+        "suggest",
+        "accept",
+        "suggest",
+        "accept",
+      ]);
+
+      // Ctrl+Right accepts one word of the phrase and suggests the rest
+      events.length = 0;
+      input.value = "see y";
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "ArrowRight", ctrlKey: true, bubbles: true })
+      );
+      expect(input.value).toBe("see you ");
+      expect(events.slice(1)).toEqual([
+        { type: "accept", element: input, suggestion: "you", value: "see you " },
+        {
+          type: "suggest",
+          element: input,
+          value: "see you ",
+          suggestions: ["at the office tomorrow"],
+        },
+      ]);
+
+      headless.off("dismiss", dismissed);
+      input.value = "see y";
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      headless.dismiss();
+      expect(events[events.length - 1].type).toBe("suggest");
+    } finally {
+      headless.detach();
+    }
+  });
+
   test("showSetupModal handles checkbox selections and custom text input", () => {
     engine.showSetupModal();
     const customInput = document.getElementById("custom-train-input");
@@ -164,4 +978,178 @@ describe("FormAutocompleteEngine Class with Full Lifecycle & DOM Mocking", () =>
     });
     expect(namespaced.options.storageKey).toBeDefined();
   });
+
+  test("trie storage saves a packed trie and restores it on load", async () => {
+    const trieEngine = new FormAutocompleteEngine({
+      autoSave: true,
+      storageKey: "test_grok_trie",
+      storage: "trie",
+    });
+    await trieEngine.ready;
+    trieEngine.model.train("Packed trie storage keeps localStorage small");
+    await trieEngine.saveState();
+
+    const saved = JSON.parse(localStorage.getItem("test_grok_trie"));
+    expect(saved.storage).toBe("trie");
+    expect(saved.ngrams).toBeUndefined();
+
+    const restored = new FormAutocompleteEngine({
+      autoSave: true,
+      storageKey: "test_grok_trie",
+    });
+    await restored.ready;
+    expect(restored.model.ngram.storage).toBe("trie");
+    expect(restored.model.predict("packed trie")).toEqual(trieEngine.model.predict("packed trie"));
+  });
+
+  test("loadState migrates legacy snapshots through LanguageModel.importState", async () => {
+    localStorage.setItem(
+      "test_grok_legacy",
+      JSON.stringify({
+        maxN: 3,
+        ngrams: [{ legacy: [["snapshot", 2]] }, { "legacy snapshot": [["loads", 1]] }, {}],
+        vocabulary: ["legacy", "snapshot", "loads"],
+        context: {},
+      })
+    );
+    const legacy = new FormAutocompleteEngine({ autoSave: true, storageKey: "test_grok_legacy" });
+    await legacy.ready;
+    expect(legacy.model.predict("legacy")).toEqual(["snapshot"]);
+    expect(legacy.model.maxN).toBe(3);
+
+    await legacy.saveState();
+    const saved = JSON.parse(localStorage.getItem("test_grok_legacy"));
+    expect(saved.schemaVersion).toBe(legacy.model.exportState().schemaVersion);
+  });
+
+  test("loadState leaves newer snapshots untouched and disables autosave", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const future = JSON.stringify({ schemaVersion: 999, maxN: 3 });
+    localStorage.setItem("test_grok_future", future);
+
+    const newer = new FormAutocompleteEngine({ autoSave: true, storageKey: "test_grok_future" });
+    await newer.ready;
+    newer.model.train("something new");
+    expect(await newer.saveState()).toBe(false);
+
+    expect(newer.options.autoSave).toBe(false);
+    newer._learn("nothing will save this");
+    expect(newer._pendingOps).toEqual([]);
+    expect(localStorage.getItem("test_grok_future")).toBe(future);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/schema version 999/));
+    warn.mockRestore();
+  });
+
+  test("ready resolves when loading fails outside of storage reads", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const preload = jest
+      .spyOn(FormAutocompleteEngine.prototype, "preloadCorpora")
+      .mockImplementation(() => {
+        throw new Error("corpus unavailable");
+      });
+    try {
+      const storageAdapter = new MemoryStorageAdapter();
+      const failing = new FormAutocompleteEngine({ storageAdapter, storageKey: "test_grok_fail" });
+      expect(await failing.ready).toBe(true);
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining("Could not finish loading"),
+        expect.objectContaining({ message: "corpus unavailable" })
+      );
+      failing._learn("still learning afterwards");
+      expect(failing.model.vocabulary.has("afterwards")).toBe(true);
+      expect(await failing.saveState()).toBe(true);
+
+      // Failing before the saved state was read leaves it untouched
+      preload.mockRestore();
+      storageAdapter.isAvailable = jest.fn(() => {
+        throw new Error("storage unavailable");
+      });
+      const unread = new FormAutocompleteEngine({ storageAdapter, storageKey: "test_grok_fail" });
+      expect(await unread.ready).toBe(true);
+      expect(unread.options.autoSave).toBe(false);
+    } finally {
+      preload.mockRestore();
+      warn.mockRestore();
+    }
+  });
+
+  test("prune option bounds the model while learning from input", () => {
+    const pruning = new FormAutocompleteEngine({
+      autoSave: false,
+      prune: { minCount: 2 },
+      pruneInterval: 2,
+    });
+    const spy = jest.spyOn(pruning.model, "prune");
+    pruning._learn("one-off words appear once");
+    expect(spy).not.toHaveBeenCalled();
+    pruning._learn("another unique sentence here");
+    expect(spy).toHaveBeenCalledWith({ minCount: 2 });
+    expect(pruning.model.vocabulary.has("unique")).toBe(false);
+  });
+
+  test("halfLife option makes the default model favor recent input", () => {
+    const decaying = new FormAutocompleteEngine({ autoSave: false, halfLife: 1000 });
+    expect(decaying.model.ngram.halfLife).toBe(1000);
+
+    let now = 0;
+    decaying.model.ngram.clock = () => now;
+    decaying.model.ngram.decayLandmark = 0;
+    decaying._learn("see you tomorrow");
+    decaying._learn("see you tomorrow");
+    now = 5000;
+    decaying._learn("see you soon");
+    expect(decaying.predict("see you ", 1)).toEqual(["soon"]);
+  });
+
+  test("forget and untrain delete learned text from the saved model", async () => {
+    localStorage.clear();
+    const engine = new FormAutocompleteEngine({ storageKey: "test_grok_forget" });
+    await engine.ready;
+    engine._learn("my account number is 998877 thanks");
+    engine._learn("the weather is nice");
+
+    const report = engine.forget("998877");
+    expect(report.removedWords).toEqual(["998877"]);
+    await engine.flush();
+    const saved = localStorage.getItem("test_grok_forget");
+    expect(saved).not.toContain("998877");
+    expect(engine.predict("my account number is ", 3)).not.toContain("998877");
+
+    engine.untrain("the weather is nice");
+    expect(engine.model.getVocabulary().has("weather")).toBe(false);
+    await engine.flush();
+    expect(localStorage.getItem("test_grok_forget")).not.toContain("weather");
+  });
+
+  test("partial words are ranked by the character model", () => {
+    const ranked = new FormAutocompleteEngine({ autoSave: false });
+    ranked.model.clearModel();
+    ranked.model.train("process progress");
+    ranked.predict("pro", 3);
+    const startsWithP = () => ranked.characterModel.ngram.getCounter(["<w>"]).get("p");
+    expect(startsWithP()).toBe(2);
+
+    ranked._learn("program program program");
+    expect(startsWithP()).toBe(5);
+    expect(ranked.predict("pro", 3)[0]).toBe("program");
+
+    // Changes outside _learn() rebuild the character model from the word model
+    ranked.model.forget("program");
+    expect(ranked.predict("pro", 3)).not.toContain("program");
+    expect(startsWithP()).toBe(2);
+  });
+
+  test("partial words are looked up in the prefix index", () => {
+    const indexed = new FormAutocompleteEngine({ autoSave: false });
+    indexed.model.clearModel();
+    const words = Array.from({ length: 200 }, (_, i) => `word${i}`);
+    indexed.model.train(words.join(" "));
+    indexed._learn("word7 word7 word42");
+    const lookup = jest.spyOn(indexed.model, "completePrefix");
+
+    const suggestions = indexed.predict("word", 3);
+
+    expect(lookup).toHaveBeenCalledWith("word", 50);
+    expect(suggestions.slice(0, 2).sort()).toEqual(["word42", "word7"]);
+  });
 });
@@ -7,6 +7,9 @@ class FrequencyDistribution {
   constructor() {
     // Map of context string -> Counter of next tokens
     this.distributions = new Map();
+    // Bumped on every mutation so derived statistics (e.g. smoothing caches) can be invalidated
+    this.revision = 0;
+    this._marginal = null;
   }
 
   /**
@@ -20,6 +23,7 @@ class FrequencyDistribution {
       this.distributions.set(context, new Counter());
     }
     this.distributions.get(context).increment(token, count);
+    this.revision++;
   }
 
   /**
@@ -61,6 +65,39 @@ class FrequencyDistribution {
   allContexts() {
     return Array.from(this.distributions.keys());
   }
+
+  /**
+   * Returns the Counter of tokens observed after the given context tokens.
+   * An empty context returns the "" distribution if recorded, otherwise the marginal
+   * counts of tokens observed after single-token contexts.
+   * @param {string[]} contextTokens - Context tokens
+   * @return {Counter|undefined} - Counter of following tokens, or undefined if unseen
+   */
+  getCounter(contextTokens) {
+    const key = contextTokens.join(" ");
+    if (key || this.distributions.has("")) return this.distributions.get(key);
+
+    if (!this._marginal || this._marginal.revision !== this.revision) {
+      const counter = new Counter();
+      for (const [, next] of this.contexts(1)) {
+        for (const [token, count] of next.counter) counter.increment(token, count);
+      }
+      this._marginal = { revision: this.revision, counter };
+    }
+    return this._marginal.counter;
+  }
+
+  /**
+   * Iterates over every recorded context made of the given number of tokens.
+   * @param {number} length - Context length in tokens
+   * @yields {Array} - [contextTokens, Counter] pairs
+   */
+  *contexts(length) {
+    for (const [context, counter] of this.distributions) {
+      const tokens = context ? context.trim().split(/\s+/) : [];
+      if (tokens.length === length) yield [tokens, counter];
+    }
+  }
 }
 
 module.exports = FrequencyDistribution;
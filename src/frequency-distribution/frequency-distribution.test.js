@@ -32,4 +32,20 @@ describe("FrequencyDistribution Class", () => {
       ["js", 5],
     ]);
   });
+
+  test("exposes contexts and counters as a smoothing count source", () => {
+    fd.record("deep", "learning", 2);
+    fd.record("deep learning", "models", 1);
+    fd.record("machine", "learning", 1);
+
+    expect(fd.getCounter(["deep", "learning"]).get("models")).toBe(1);
+    expect(Array.from(fd.contexts(1), ([tokens]) => tokens[0])).toEqual(["deep", "machine"]);
+    // Without a recorded "" context the unigram counter is the marginal of 1-token contexts
+    expect(fd.getCounter([]).get("learning")).toBe(3);
+
+    const revision = fd.revision;
+    fd.record("", "learning", 7);
+    expect(fd.revision).toBeGreaterThan(revision);
+    expect(fd.getCounter([]).get("learning")).toBe(7);
+  });
 });
@@ -1,7 +1,8 @@
 /**
  * InferenceEngine class for advanced text generation and sampling.
  * Supports greedy search, temperature scaling, Top-K sampling, Top-P (nucleus) sampling,
- * repetition penalties, beam search, and stop sequence termination.
+ * repetition penalties, beam search, stop sequence termination, and stopping at the model's
+ * end-of-sentence token.
  */
 class InferenceEngine {
   /**
@@ -32,6 +33,7 @@ class InferenceEngine {
     let generated = prompt;
     const generatedTokens = model.tokenize ? model.tokenize(prompt) : prompt.split(/\s+/);
     const maxN = model.maxN || 5;
+    const eosToken = InferenceEngine._eosToken(model);
 
     for (let i = 0; i < length; i++) {
       const currentPrefix = generatedTokens.slice(-maxN).join(" ");
@@ -47,10 +49,10 @@ class InferenceEngine {
         opts
       );
 
-      if (!nextToken) break;
+      if (!nextToken || nextToken === eosToken) break;
 
       generatedTokens.push(nextToken);
-      generated += " " + nextToken;
+      generated += (generated ? " " : "") + nextToken;
 
       // Check stop sequences
       if (opts.stopSequences.some((seq) => generated.endsWith(seq))) {
@@ -72,15 +74,42 @@ class InferenceEngine {
   static beamSearch(model, prompt, length = 5, beamWidth = 3) {
     if (!model || typeof prompt !== "string") return prompt || "";
 
+    const beams = InferenceEngine.beamSearchWithConfidence(model, prompt, length, beamWidth);
+    return beams.length > 0 ? beams[0].text : prompt;
+  }
+
+  /**
+   * Runs Beam Search decoding and returns every final beam with the probability of each
+   * generated word, e.g. to cut a phrase suggestion where the model becomes unsure.
+   * @param {Object} model - LanguageModel instance
+   * @param {string} prompt - Initial prompt text
+   * @param {number} [length=5] - Number of tokens to generate
+   * @param {number} [beamWidth=3] - Number of parallel beams to maintain
+   * @return {Array<{ text: string, words: string[], probabilities: number[], probability: number }>}
+   *   - Beams, best first: the full text, the generated words up to the first end marker,
+   *   each word's conditional probability, and their product
+   */
+  static beamSearchWithConfidence(model, prompt, length = 5, beamWidth = 3) {
+    if (!model || typeof prompt !== "string") return [];
+
     const initialTokens = model.tokenize ? model.tokenize(prompt) : prompt.split(/\s+/);
     const maxN = model.maxN || 5;
+    const eosToken = InferenceEngine._eosToken(model);
 
-    let beams = [{ tokens: [...initialTokens], text: prompt, logProbSum: 0.0, score: 0.0 }];
+    let beams = [
+      { tokens: [...initialTokens], text: prompt, logProbSum: 0.0, score: 0.0, probabilities: [] },
+    ];
 
     for (let step = 0; step < length; step++) {
       const candidates = [];
 
       for (const beam of beams) {
+        // Beams that reached the end of a sentence compete unchanged
+        if (beam.finished) {
+          candidates.push(beam);
+          continue;
+        }
+
         const prefix = beam.tokens.slice(-maxN).join(" ");
         const predictions = model.predict ? model.predict(prefix, beamWidth * 2) : [];
 
@@ -92,11 +121,16 @@ class InferenceEngine {
           // Length-normalized score
           const normScore = newLogProbSum / Math.pow(addedLen, 0.75);
 
+          const finished = word === eosToken;
           candidates.push({
             tokens: [...beam.tokens, word],
-            text: beam.text + " " + word,
+            text: finished ? beam.text : beam.text + (beam.text ? " " : "") + word,
             logProbSum: newLogProbSum,
             score: normScore,
+            probabilities: finished
+              ? beam.probabilities
+              : [...beam.probabilities, Math.max(prob, 0)],
+            finished,
           });
         }
       }
@@ -105,9 +139,24 @@ class InferenceEngine {
 
       candidates.sort((a, b) => b.score - a.score);
       beams = candidates.slice(0, beamWidth);
+      if (beams.every((beam) => beam.finished)) break;
     }
 
-    return beams.length > 0 ? beams[0].text : prompt;
+    return beams.map((beam) => {
+      const generated = beam.tokens
+        .slice(initialTokens.length)
+        .filter((token) => token !== eosToken);
+      // The empty end-of-text marker of models trained without sentence boundaries ends the words
+      const end = generated.indexOf("");
+      const words = end === -1 ? generated : generated.slice(0, end);
+      const probabilities = beam.probabilities.slice(0, words.length);
+      return {
+        text: beam.text,
+        words,
+        probabilities,
+        probability: probabilities.reduce((product, prob) => product * prob, 1),
+      };
+    });
   }
 
   /**
@@ -136,6 +185,7 @@ class InferenceEngine {
 
     const generatedTokens = model.tokenize ? model.tokenize(prompt) : prompt.split(/\s+/);
     const maxN = model.maxN || 5;
+    const eosToken = InferenceEngine._eosToken(model);
 
     yield prompt;
 
@@ -153,7 +203,7 @@ class InferenceEngine {
         opts
       );
 
-      if (!nextToken) break;
+      if (!nextToken || nextToken === eosToken) break;
 
       generatedTokens.push(nextToken);
       yield nextToken;
@@ -165,6 +215,11 @@ class InferenceEngine {
     }
   }
 
+  static _eosToken(model) {
+    if (model.eosToken !== undefined) return model.eosToken;
+    return model.ngram && model.ngram.sentenceBoundaries ? model.ngram.eosToken : null;
+  }
+
   static _sampleToken(model, context, candidates, history, opts) {
     if (candidates.length === 1 || opts.temperature <= 0.01) {
       return candidates[0];
@@ -20,6 +20,24 @@ describe("InferenceEngine Class", () => {
     expect(text).toContain("grokjs is");
   });
 
+  test("beamSearchWithConfidence reports each generated word's probability", () => {
+    lm.train("grokjs is fast");
+    const beams = InferenceEngine.beamSearchWithConfidence(lm, "grokjs is", 3, 2);
+
+    expect(beams[0].text).toBe(InferenceEngine.beamSearch(lm, "grokjs is", 3, 2));
+    expect(beams[0].probabilities).toEqual(
+      beams[0].words.map((word, i) =>
+        lm.getProbability(word, ["grokjs", "is", ...beams[0].words.slice(0, i)].join(" "))
+      )
+    );
+    expect(beams[0].probability).toBeCloseTo(
+      beams[0].probabilities.reduce((product, prob) => product * prob, 1)
+    );
+    expect(beams.map(({ words }) => words[0]).sort()).toEqual(["an", "fast"]);
+    expect(beams.find(({ words }) => words[0] === "fast").words).toEqual(["fast"]);
+    expect(InferenceEngine.beamSearchWithConfidence(null, "test")).toEqual([]);
+  });
+
   test("respects temperature and topK options", () => {
     const text = InferenceEngine.generate(lm, "grokjs", 3, {
       temperature: 0.1,
@@ -62,4 +80,30 @@ describe("InferenceEngine Class", () => {
     const streamNull = InferenceEngine.generateStream(lm, null);
     expect(Array.from(streamNull)).toEqual([null]);
   });
+
+  test("sampling and perplexity go through the model smoothing strategy", () => {
+    const probability = jest.fn((source, word) => (word === "language" ? 0.9 : 0.01));
+    lm.setSmoothing({ name: "custom", probability });
+
+    expect(InferenceEngine.generate(lm, "open source", 1, { temperature: 0 })).toBe(
+      "open source language"
+    );
+    InferenceEngine.generate(lm, "open source", 2, { temperature: 1.0 });
+    expect(probability).toHaveBeenCalled();
+  });
+
+  test("generation stops at the end-of-sentence token", () => {
+    const sentences = new LanguageModel(null, 3, { sentenceBoundaries: true });
+    sentences.train("The cat sat. The cat sat.");
+
+    expect(InferenceEngine.generate(sentences, "the", 10, { temperature: 0 })).toBe("the cat sat");
+    expect(InferenceEngine.beamSearch(sentences, "the", 10, 2)).toBe("the cat sat");
+    const [best] = InferenceEngine.beamSearchWithConfidence(sentences, "the", 10, 2);
+    expect(best.words).toEqual(["cat", "sat"]);
+    expect(Array.from(InferenceEngine.generateStream(sentences, "the", 10))).toEqual([
+      "the",
+      "cat",
+      "sat",
+    ]);
+  });
 });
@@ -1,39 +1,186 @@
 const fs = require("fs");
 const Ngram = require("../ngram/ngram");
 const Counter = require("../counter/counter");
+const Vocabulary = require("../vocabulary/vocabulary");
+const NgramTrie = require("../ngram-trie/ngram-trie");
+const BinaryFormat = require("../binary-format/binary-format");
+const ModelSchema = require("../model-schema/model-schema");
+const ModelPruner = require("../model-pruner/model-pruner");
+const CacheModel = require("../cache-model/cache-model");
+const PrefixTrie = require("../prefix-trie/prefix-trie");
 const EvaluationMetrics = require("../evaluation-metrics/evaluation-metrics");
 const InferenceEngine = require("../inference-engine/inference-engine");
 const Embedding = require("../embedding/embedding");
 const AttentionMechanism = require("../attention-mechanism/attention-mechanism");
+const MleSmoothing = require("../smoothing/mle");
+const AddKSmoothing = require("../smoothing/add-k");
+const StupidBackoffSmoothing = require("../smoothing/stupid-backoff");
+const KatzBackoffSmoothing = require("../smoothing/katz-backoff");
+const InterpolatedSmoothing = require("../smoothing/interpolated");
+const KneserNeySmoothing = require("../smoothing/kneser-ney");
+const WittenBellSmoothing = require("../smoothing/witten-bell");
+
+/**
+ * Smoothing strategies selectable by name through the `smoothing` option.
+ */
+const SMOOTHING_STRATEGIES = {
+  mle: MleSmoothing,
+  "add-k": AddKSmoothing,
+  "stupid-backoff": StupidBackoffSmoothing,
+  katz: KatzBackoffSmoothing,
+  interpolated: InterpolatedSmoothing,
+  "kneser-ney": KneserNeySmoothing,
+  "witten-bell": WittenBellSmoothing,
+};
+
+// Unigram candidates scored when no context of a prefix has been observed
+const CANDIDATE_POOL_SIZE = 50;
+
+// Decayed counts below this are dropped so repeated fine-tuning does not leave dust behind
+const MIN_DECAYED_COUNT = 1e-6;
+
+/**
+ * Instantiates a smoothing strategy from a name, a { name, options } descriptor, or an instance.
+ * @param {string|Object|Smoothing|null} spec - Strategy specification
+ * @return {Smoothing|null} - Strategy instance, or null for raw MLE lookup
+ * @throws {Error} If the strategy is unknown or malformed
+ */
+function createSmoothing(spec) {
+  if (!spec) return null;
+  if (typeof spec.probability === "function") return spec;
+
+  const name = typeof spec === "string" ? spec : spec.name;
+  const Strategy = SMOOTHING_STRATEGIES[name];
+  if (!Strategy) {
+    throw new Error(`GrokJS LanguageModel: Unknown smoothing strategy "${name}"`);
+  }
+  return new Strategy((typeof spec === "object" && spec.options) || {});
+}
 
 class LanguageModel {
   /**
    * Constructs a LanguageModel instance.
    * @param {Ngram} [ngram] - Optional pre-configured Ngram instance
    * @param {number} [maxN=5] - Maximum n-gram level
+   * @param {Object} [options={}] - Configuration options
+   * @param {string|Object|Smoothing} [options.smoothing] - Smoothing strategy used by
+   *   prediction, probabilities, perplexity and sampling (a name such as "kneser-ney", a
+   *   { name, options } descriptor, or a Smoothing instance); raw n-gram lookup when omitted
+   * @param {boolean} [options.sentenceBoundaries=false] - Train sentence by sentence with
+   *   `<s>`/`</s>` padding (ignored when an Ngram instance is supplied)
+   * @param {string} [options.storage="map"] - Ngram storage backend, "map" or "trie"
+   *   (ignored when an Ngram instance is supplied)
+   * @param {number} [options.halfLife] - Time decay half-life in milliseconds, so recent
+   *   usage outweighs old text (ignored when an Ngram instance is supplied)
+   * @param {Object|boolean} [options.cache] - Interpolate a cache model of recently trained
+   *   and fine-tuned text ({ size, weight, order }, see setCache)
    */
-  constructor(ngram, maxN = 5) {
-    this.ngram = ngram || new Ngram(maxN);
+  constructor(ngram, maxN = 5, options = {}) {
+    this.ngram =
+      ngram ||
+      new Ngram(maxN, {
+        sentenceBoundaries: Boolean(options.sentenceBoundaries),
+        storage: options.storage,
+        halfLife: options.halfLife,
+      });
     this.maxN = this.ngram.maxN;
     this.vocabulary = new Set();
     this.context = {};
     this.embedding = null;
     this.attention = null;
+    this.smoothing = createSmoothing(options.smoothing);
+    this.cache = null;
+    if (options.cache) this.setCache(options.cache === true ? {} : options.cache);
+    // Unigram counts indexed by prefix; train() keeps it in sync incrementally, any other
+    // change to the n-gram counts makes completePrefix() rebuild it
+    this.prefixIndex = new PrefixTrie();
+    this._prefixSource = null;
+    this._prefixRevision = -1;
+  }
+
+  /**
+   * Selects the smoothing strategy honored by predict(), predictWithConfidence(),
+   * getProbability(), perplexity() and InferenceEngine sampling.
+   * @param {string|Object|Smoothing|null} smoothing - Strategy name, { name, options }
+   *   descriptor, instance, or null for raw n-gram lookup
+   * @throws {Error} If the strategy is unknown
+   */
+  setSmoothing(smoothing) {
+    this.smoothing = createSmoothing(smoothing);
+  }
+
+  /**
+   * Enables or disables the cache model. While enabled, every trained or fine-tuned text
+   * enters a sliding window of recent tokens, and probabilities become
+   * (1 - weight) * P_model + weight * P_cache, so recently seen n-grams are boosted
+   * without changing the model's counts. The window is not serialized.
+   * @param {Object|null} options - Cache options, or null to disable the cache
+   * @param {number} [options.size=200] - Number of recent tokens kept
+   * @param {number} [options.weight=0.1] - Interpolation weight of the cache (0 to 1)
+   * @param {number} [options.order=3] - Highest n-gram order counted in the window
+   * @throws {Error} If an option is out of range
+   */
+  setCache(options) {
+    this.cache = options ? new CacheModel(options) : null;
   }
 
   /**
    * Trains the model on the provided text.
    * @param {string} text - The text to train the model with
+   * @param {Object} [options] - Training options
+   * @param {string} [options.context] - Text the trained text continues, e.g. the words
+   *   before an edit; its last words seed the first n-grams but are not counted themselves
    */
-  train(text) {
+  train(text, options = {}) {
     if (typeof text !== "string") {
       throw new Error("Input must be a string");
     }
-    let tokens = this.ngram.tokenize(text);
-    this.ngram.learn(text);
+    const ngram = this.ngram;
+    const inSync = this._prefixSource === ngram && this._prefixRevision === ngram.revision;
+    const revision = ngram.revision;
+    const autoPrunes = ngram.autoPrunes;
+    let tokens = ngram.tokenize(text);
+    const sequences = ngram.sequences(text);
+    // The last context word gains a count unless the new words replace an end of text
+    let seeded = null;
+    const first = ngram.sentenceBoundaries ? 1 : 0;
+    sequences.forEach((sequence, index) => {
+      if (index > 0 || !options.context || sequence.length <= first) {
+        ngram.updateModel(sequence);
+        return;
+      }
+      // The longest context reaches maxN words back; with sentence boundaries the context
+      // starts with <s> itself when the text continues a sentence of fewer words
+      const context = ngram.tokenizeContext(options.context).slice(-this.maxN);
+      const last = context.slice(-1);
+      const total = () => (last.length > 0 ? (ngram.getCounter(last) || new Counter()).total() : 0);
+      const before = total();
+      ngram.updateModel([...context, ...sequence.slice(first)], 1, context.length);
+      seeded = { word: last[0], count: total() - before };
+    });
     tokens.forEach((word) => {
       if (word) this.vocabulary.add(word);
     });
+    // Trie storage prunes unigrams too once it outgrows its node budget
+    if (ngram.autoPrunes !== autoPrunes) this._recomputeVocabulary();
+    // Each sequence bumps the revision once; any further bump means the update also rescaled
+    // decayed counts or pruned the trie, which change other unigrams, so the index is then
+    // rebuilt instead
+    if (inSync && ngram.revision === revision + sequences.length) {
+      const weight = ngram.decayWeight();
+      if (seeded && seeded.count > 0 && seeded.word !== ngram.bosToken) {
+        this.prefixIndex.add(seeded.word, seeded.count);
+      }
+      for (const sequence of sequences) {
+        for (const word of sequence) {
+          if (word && word !== ngram.bosToken && word !== ngram.eosToken) {
+            this.prefixIndex.add(word, weight);
+          }
+        }
+      }
+      this._prefixRevision = ngram.revision;
+    }
+    if (this.cache) this.cache.add(sequences);
   }
 
   /**
@@ -46,6 +193,9 @@ class LanguageModel {
     if (typeof prefix !== "string") {
       throw new Error("Prefix must be a string");
     }
+    if (this.smoothing || this.cache) {
+      return this._rankCandidates(prefix, numPredictions).map(({ word }) => word);
+    }
     return this.ngram.predictNextWord(prefix).slice(0, numPredictions);
   }
 
@@ -59,7 +209,10 @@ class LanguageModel {
     if (typeof prefix !== "string") {
       throw new Error("Prefix must be a string");
     }
-    const tokens = this.ngram.tokenize(prefix);
+    if (this.smoothing || this.cache) {
+      return this._rankCandidates(prefix, numPredictions);
+    }
+    const tokens = this.ngram.tokenizeContext(prefix);
     const predictions = [];
 
     for (let n = Math.min(tokens.length, this.maxN); n > 0; n--) {
@@ -82,6 +235,48 @@ class LanguageModel {
     return predictions;
   }
 
+  /**
+   * Scores every word observed after any suffix of the prefix (and every word the cache
+   * saw after it) with getProbability(). ngramLevel is the longest context length at which
+   * the word was observed (0 = unigram or cache only).
+   * @param {string} prefix - The context or prefix to predict from
+   * @param {number} numPredictions - Number of predictions to return
+   * @return {Array<{ word: string, probability: number, ngramLevel: number }>} - Ranked words
+   */
+  _rankCandidates(prefix, numPredictions) {
+    const tokens = this.ngram.tokenizeContext(prefix);
+    const contextN = Math.min(tokens.length, this.maxN - 1);
+    const context = contextN > 0 ? tokens.slice(-contextN) : [];
+    const levels = new Map();
+
+    for (let n = context.length; n > 0; n--) {
+      const counter = this.ngram.getCounter(context.slice(-n));
+      if (!counter) continue;
+      for (const [word] of counter.mostCommon()) {
+        if (!levels.has(word)) levels.set(word, n);
+      }
+    }
+
+    if (levels.size === 0) {
+      for (const [word] of this.ngram.getCounter([]).mostCommon(CANDIDATE_POOL_SIZE)) {
+        levels.set(word, 0);
+      }
+    }
+    if (this.cache) {
+      for (const word of this.cache.candidates(tokens)) {
+        if (!levels.has(word)) levels.set(word, 0);
+      }
+    }
+
+    return Array.from(levels, ([word, ngramLevel]) => ({
+      word,
+      probability: this._probability(word, tokens),
+      ngramLevel,
+    }))
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, numPredictions);
+  }
+
   /**
    * Generates text based on a starting sequence using InferenceEngine.
    * @param {string} start - The starting sequence
@@ -120,6 +315,36 @@ class LanguageModel {
     return this.vocabulary.size;
   }
 
+  /**
+   * Returns the most frequent words starting with a prefix, by unigram count, from a
+   * frequency-weighted prefix trie instead of a scan of the vocabulary.
+   * @param {string} prefix - Partial word
+   * @param {number} [k=5] - Number of words to return
+   * @return {string[]} - Words, most frequent first
+   */
+  completePrefix(prefix, k = 5) {
+    if (typeof prefix !== "string") {
+      throw new Error("Prefix must be a string");
+    }
+    this._syncPrefixIndex();
+    return this.prefixIndex.completePrefix(prefix, k);
+  }
+
+  /**
+   * Rebuilds the prefix index from the unigram counts if the n-gram counts changed other
+   * than through train().
+   */
+  _syncPrefixIndex() {
+    const ngram = this.ngram;
+    if (this._prefixSource === ngram && this._prefixRevision === ngram.revision) return;
+    this.prefixIndex.clear();
+    for (const [word, count] of ngram.getCounter([]).counter) {
+      if (word !== ngram.eosToken) this.prefixIndex.add(word, count);
+    }
+    this._prefixSource = ngram;
+    this._prefixRevision = ngram.revision;
+  }
+
   /**
    * Evaluates the model's performance on a test dataset.
    * @param {Object[]} testData - Array of objects with 'input' and 'reference' properties
@@ -218,29 +443,49 @@ class LanguageModel {
 
   /**
    * Serializes the current model state into a plain JSON-serializable object.
+   * Trie-backed models are written as a packed trie (token table plus flat numeric
+   * streams) instead of one space-joined key per n-gram.
+   * @param {Object} [options={}] - Export options
+   * @param {boolean} [options.typedArrays=false] - Pack trie streams as typed arrays, for
+   *   stores that keep them natively (e.g. IndexedDB); not suitable for JSON.stringify
    * @return {Object} - Model state object
    */
-  exportState() {
-    const serializedNgrams = this.ngram.ngrams.map((map) => {
-      const obj = {};
-      for (let [key, counter] of map.entries()) {
-        obj[key] = Array.from(counter.counter.entries());
-      }
-      return obj;
-    });
+  exportState(options = {}) {
+    const packed = this.ngram.storage === "trie";
+    const serializedNgrams = packed
+      ? undefined
+      : this.ngram.ngrams.map((map) => {
+          const obj = {};
+          for (let [key, counter] of map.entries()) {
+            obj[key] = Array.from(counter.counter.entries());
+          }
+          return obj;
+        });
 
     return {
       version: "1.2.4",
+      schemaVersion: ModelSchema.CURRENT_VERSION,
       maxN: this.maxN,
-      ngrams: serializedNgrams,
+      ...(packed
+        ? { storage: "trie", trie: this.ngram.trie.pack(options) }
+        : { ngrams: serializedNgrams }),
       vocabulary: Array.from(this.vocabulary),
       context: this.context,
+      sentenceBoundaries: this.ngram.sentenceBoundaries,
+      timeDecay: this.ngram.halfLife
+        ? { halfLife: this.ngram.halfLife, landmark: this.ngram.decayLandmark }
+        : null,
+      smoothing: this.smoothing
+        ? { name: this.smoothing.name, options: this.smoothing.options || {} }
+        : null,
     };
   }
 
   /**
-   * Imports a model state from a JSON string or state object.
+   * Imports a model state from a JSON string or state object. Older snapshots are upgraded
+   * through the ModelSchema migration pipeline first.
    * @param {Object|string} state - Model state object or JSON string
+   * @throws {Error} If the JSON is invalid or the state uses a newer schema version
    */
   importState(state) {
     if (!state) return;
@@ -252,37 +497,62 @@ class LanguageModel {
     }
 
     if (!modelState || typeof modelState !== "object") return;
+    modelState = ModelSchema.migrate(modelState);
 
     const newMaxN = modelState.maxN || 5;
-    const newNgram = new Ngram(newMaxN);
+    const packed = Boolean(modelState.trie);
+    const timeDecay = modelState.timeDecay;
+    const newNgram = new Ngram(newMaxN, {
+      ...this.ngram.options,
+      sentenceBoundaries: Boolean(modelState.sentenceBoundaries),
+      // Fresh IDs keep the trie's Vocabulary from accumulating tokens of replaced models
+      vocabulary: new Vocabulary({ bosToken: this.ngram.bosToken, eosToken: this.ngram.eosToken }),
+      storage: modelState.storage || this.ngram.storage,
+      halfLife: timeDecay ? timeDecay.halfLife : this.ngram.halfLife,
+    });
+    // Saved counts are exact as of their landmark; states without one count as current
+    if (timeDecay && Number.isFinite(timeDecay.landmark)) {
+      newNgram.decayLandmark = timeDecay.landmark;
+    }
     const newVocab = new Set(modelState.vocabulary || []);
     const newContext = modelState.context || {};
+    const savedSmoothing = modelState.smoothing;
+    const newSmoothing =
+      savedSmoothing && SMOOTHING_STRATEGIES[savedSmoothing.name || savedSmoothing]
+        ? createSmoothing(savedSmoothing)
+        : this.smoothing;
+
+    const addWord = (word) => {
+      if (word && word !== newNgram.bosToken && word !== newNgram.eosToken) newVocab.add(word);
+    };
 
-    if (Array.isArray(modelState.ngrams)) {
+    if (packed && newNgram.storage === "trie") {
+      newNgram.trie.load(modelState.trie);
+      for (const [word] of newNgram.getCounter([]).counter) addWord(word);
+    } else if (packed) {
+      // Packed data for a Map-backed model (e.g. from importBinary): unpack level by level
+      const trie = new NgramTrie();
+      trie.load(modelState.trie);
+      for (let n = 1; n <= newMaxN; n++) {
+        for (const [tokens, counter] of trie.entries(n)) {
+          newNgram.ngrams[n - 1].set(tokens.join(" "), counter);
+          if (n === 1) addWord(tokens[0]);
+        }
+      }
+    } else if (Array.isArray(modelState.ngrams)) {
       modelState.ngrams.forEach((ngramObj, index) => {
         if (index < newNgram.ngrams.length && ngramObj && typeof ngramObj === "object") {
-          const map = new Map();
+          // Fill the level in place: it may be a trie-backed view rather than a Map
+          const map = newNgram.ngrams[index];
           for (let [key, entries] of Object.entries(ngramObj)) {
             const counter = new Counter();
-            if (Array.isArray(entries)) {
-              entries.forEach(([word, count]) => {
-                counter.increment(word, count);
-                if (word) newVocab.add(word);
-              });
-            } else if (typeof entries === "object" && entries !== null) {
-              Object.entries(entries).forEach(([word, count]) => {
-                counter.increment(word, count);
-                if (word) newVocab.add(word);
-              });
-            }
+            entries.forEach(([word, count]) => {
+              counter.increment(word, count);
+              addWord(word);
+            });
             map.set(key, counter);
-            if (key) {
-              key.split(" ").forEach((w) => {
-                if (w) newVocab.add(w);
-              });
-            }
+            if (key) key.split(" ").forEach(addWord);
           }
-          newNgram.ngrams[index] = map;
         }
       });
     }
@@ -292,6 +562,35 @@ class LanguageModel {
     this.ngram = newNgram;
     this.vocabulary = newVocab;
     this.context = newContext;
+    this.smoothing = newSmoothing;
+  }
+
+  /**
+   * Serializes the model into the compact binary format (see BinaryFormat): a header,
+   * a string table and varint-encoded trie structure and counts.
+   * @return {ArrayBuffer} - Encoded model, usable in Node.js and browsers
+   */
+  exportBinary() {
+    const state = this.exportState();
+    if (!state.trie) {
+      const trie = new NgramTrie();
+      this.ngram.ngrams.forEach((level) => {
+        for (const [key, counter] of level.entries()) trie.setCounter(key.split(" "), counter);
+      });
+      delete state.ngrams;
+      state.storage = this.ngram.storage;
+      state.trie = trie.pack();
+    }
+    return BinaryFormat.encode(state);
+  }
+
+  /**
+   * Restores a model from data produced by exportBinary().
+   * @param {ArrayBuffer|ArrayBufferView} data - Encoded model (ArrayBuffer, Uint8Array or Buffer)
+   * @throws {Error} If the data is not a GrokJS binary model or uses a newer format
+   */
+  importBinary(data) {
+    this.importState(BinaryFormat.decode(data));
   }
 
   /**
@@ -327,13 +626,186 @@ class LanguageModel {
    * Clears the model to its initial state.
    */
   clearModel() {
-    this.ngram = new Ngram(this.maxN);
+    this.ngram = new Ngram(this.maxN, {
+      ...this.ngram.options,
+      vocabulary: new Vocabulary({ bosToken: this.ngram.bosToken, eosToken: this.ngram.eosToken }),
+    });
     this.vocabulary.clear();
     this.context = {};
     this.embedding = null;
     this.attention = null;
   }
 
+  /**
+   * Adds another model's n-gram counts to this one, scaled by `weight`, and unions the
+   * vocabularies. If the other model has a higher maxN, this model is widened to match.
+   * @param {LanguageModel} other - Model to merge in
+   * @param {Object} [options={}] - Merge options
+   * @param {number} [options.weight=1] - Factor applied to the other model's counts
+   * @return {LanguageModel} - This model, for chaining
+   * @throws {Error} If the models are incompatible or the weight is invalid
+   */
+  merge(other, options = {}) {
+    if (!(other instanceof LanguageModel)) {
+      throw new Error("GrokJS LanguageModel: merge() expects a LanguageModel");
+    }
+    const weight = options.weight !== undefined ? options.weight : 1;
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      throw new Error("GrokJS LanguageModel: merge() weight must be a finite non-negative number");
+    }
+    if (Boolean(other.ngram.sentenceBoundaries) !== Boolean(this.ngram.sentenceBoundaries)) {
+      throw new Error(
+        "GrokJS LanguageModel: Cannot merge models with different sentenceBoundaries settings"
+      );
+    }
+
+    if (other.maxN > this.maxN) this._widen(other.maxN);
+
+    // Merged counts are treated as observed now
+    if (weight > 0) this._addCounts(other.ngram, weight * this.ngram.decayWeight());
+
+    other.vocabulary.forEach((word) => this.vocabulary.add(word));
+    return this;
+  }
+
+  /**
+   * Combines several models into a new one by summing their weighted counts. The result
+   * uses the highest maxN among them and the first model's settings.
+   * @param {LanguageModel[]} models - Models to combine
+   * @param {number[]} [weights] - One weight per model (defaults to 1 each)
+   * @return {LanguageModel} - New combined model
+   * @throws {Error} If no models are given or the weights do not match the models
+   */
+  static combine(models, weights) {
+    if (!Array.isArray(models) || models.length === 0) {
+      throw new Error("GrokJS LanguageModel: combine() expects a non-empty array of models");
+    }
+    if (weights !== undefined && (!Array.isArray(weights) || weights.length !== models.length)) {
+      throw new Error("GrokJS LanguageModel: combine() needs exactly one weight per model");
+    }
+
+    const [first] = models;
+    const maxN = Math.max(...models.map((model) => model.maxN));
+    const combined = new LanguageModel(
+      new Ngram(maxN, {
+        ...first.ngram.options,
+        vocabulary: new Vocabulary({
+          bosToken: first.ngram.bosToken,
+          eosToken: first.ngram.eosToken,
+        }),
+      }),
+      maxN,
+      { smoothing: first.smoothing }
+    );
+    combined.context = { ...first.context };
+
+    models.forEach((model, i) => {
+      combined.merge(model, { weight: weights ? weights[i] : 1 });
+    });
+    return combined;
+  }
+
+  /**
+   * Adds the counts of another Ngram's levels into this model's, scaled by `weight`. With
+   * `decay`, the existing counts of every context being added to are first multiplied by
+   * (1 - decay); counts that fall below MIN_DECAYED_COUNT are dropped.
+   * @param {Ngram} source - Ngram whose counts are added
+   * @param {number} weight - Factor applied to the added counts
+   * @param {number} [decay=0] - Decay applied to the touched contexts (0 to 1)
+   */
+  _addCounts(source, weight, decay = 0) {
+    source.ngrams.forEach((level, i) => {
+      if (i >= this.maxN) return;
+      const target = this.ngram.ngrams[i];
+      for (const [key, counter] of level.entries()) {
+        if (!target.has(key)) target.set(key, new Counter());
+        const merged = target.get(key);
+        if (decay > 0) {
+          for (const [word, count] of merged.counter) {
+            const decayed = count * (1 - decay);
+            if (decayed < MIN_DECAYED_COUNT) merged.counter.delete(word);
+            else merged.counter.set(word, decayed);
+          }
+        }
+        for (const [word, count] of counter.counter) {
+          if (count > 0) merged.increment(word, count * weight);
+        }
+      }
+    });
+    this.ngram.revision++;
+  }
+
+  /**
+   * Raises maxN, carrying the existing levels over into a wider Ngram.
+   * @param {number} maxN - New maximum n-gram level
+   */
+  _widen(maxN) {
+    const widened = new Ngram(maxN, this.ngram.options);
+    this.ngram.ngrams.forEach((level, i) => {
+      for (const [key, counter] of level.entries()) widened.ngrams[i].set(key, counter);
+    });
+    widened.decayLandmark = this.ngram.decayLandmark;
+    widened.revision = this.ngram.revision + 1;
+    this.ngram = widened;
+    this.maxN = widened.maxN;
+  }
+
+  /**
+   * Shrinks the model by removing n-grams across all levels, then recomputes the vocabulary
+   * from what remains. Count cutoff and entropy pruning are evaluated against the unpruned
+   * model; the per-level context limit ranks contexts by the counts they keep.
+   * @param {Object} [options={}] - Pruning options
+   * @param {number} [options.minCount] - Remove n-grams seen fewer times than this
+   * @param {number} [options.maxContextsPerLevel] - Keep only this many of the most
+   *   frequent contexts per level
+   * @param {number} [options.entropyThreshold] - Remove n-grams whose removal raises the
+   *   model's relative entropy by less than this (Stolcke pruning, in nats)
+   * @return {Object} - Report with removedNgrams, removedContexts, removedWords, levels
+   *   (per-level counts) and vocabularySize
+   */
+  prune(options = {}) {
+    const { minCount, maxContextsPerLevel, entropyThreshold } = options;
+    for (const [name, value] of Object.entries({
+      minCount,
+      maxContextsPerLevel,
+      entropyThreshold,
+    })) {
+      if (value !== undefined && (typeof value !== "number" || !(value >= 0))) {
+        throw new Error(
+          `GrokJS LanguageModel: prune() option ${name} must be a non-negative number`
+        );
+      }
+    }
+
+    let selected = [];
+    if (minCount !== undefined) {
+      selected = selected.concat(ModelPruner.countCutoff(this.ngram, minCount));
+    }
+    if (entropyThreshold !== undefined) {
+      selected = selected.concat(ModelPruner.entropyPrune(this.ngram, entropyThreshold));
+    }
+    if (maxContextsPerLevel !== undefined) {
+      const removed = new Set(selected.map(([n, key, word]) => `${n}|${key}|${word}`));
+      selected = selected.concat(
+        ModelPruner.limitContexts(this.ngram, maxContextsPerLevel, removed)
+      );
+    }
+
+    const levels = ModelPruner.remove(this.ngram, selected);
+    const removedNgrams = levels.reduce((sum, level) => sum + level.removedNgrams, 0);
+    const removedContexts = levels.reduce((sum, level) => sum + level.removedContexts, 0);
+    if (removedNgrams > 0) this.ngram.revision++;
+    const removedWords = this._recomputeVocabulary();
+
+    return {
+      removedNgrams,
+      removedContexts,
+      removedWords,
+      levels,
+      vocabularySize: this.vocabulary.size,
+    };
+  }
+
   /**
    * Checks if the model has been trained and is ready for inference.
    * @return {Object} - Health status object
@@ -350,23 +822,50 @@ class LanguageModel {
 
   /**
    * Returns the probability of a word given a context.
+   * Uses the configured smoothing strategy when one is set; otherwise returns the raw
+   * MLE estimate at the longest context, with a small constant for unseen events.
    * @param {string} word - The word to find the probability for
    * @param {string} context - The context or prefix
    * @return {number} - Probability of the word in the given context
    */
   getProbability(word, context) {
-    const tokens = this.ngram.tokenize(context || "");
+    return this._probability(word, this.ngram.tokenizeContext(context || ""));
+  }
+
+  /**
+   * Returns the probability of a word after context tokens: the smoothed (or raw n-gram)
+   * estimate, interpolated with the cache model when it is enabled.
+   * @param {string} word - The word to find the probability for
+   * @param {string[]} tokens - Context tokens
+   * @return {number} - Probability of the word
+   */
+  _probability(word, tokens) {
     const contextN = Math.min(tokens.length, this.maxN - 1);
+    const context = contextN > 0 ? tokens.slice(-contextN) : [];
+    const prob = this.smoothing
+      ? this.smoothing.probability(this.ngram, word, context)
+      : this._rawProbability(word, context);
 
-    if (contextN === 0) {
+    if (!this.cache || this.cache.weight === 0) return prob;
+    const { weight } = this.cache;
+    return (1 - weight) * prob + weight * this.cache.probability(word, tokens);
+  }
+
+  /**
+   * Returns the relative frequency of a word after the context, or a small floor for
+   * unseen contexts.
+   * @param {string} word - The word to find the probability for
+   * @param {string[]} context - Context tokens (at most maxN - 1)
+   * @return {number} - Probability of the word
+   */
+  _rawProbability(word, context) {
+    if (context.length === 0) {
       const counter = this.ngram.ngrams[0]?.get("");
       const total = counter ? counter.total() : 0;
       return total > 0 ? (counter.get(word) || 0) / total : 0.0001;
     }
 
-    const trimmedContext = tokens.slice(-contextN).join(" ");
-    const counter = this.ngram.ngrams[contextN - 1]?.get(trimmedContext);
-
+    const counter = this.ngram.ngrams[context.length - 1]?.get(context.join(" "));
     if (counter) {
       const totalCount = counter.total();
       if (totalCount > 0) {
@@ -396,36 +895,157 @@ class LanguageModel {
   }
 
   /**
-   * Fine-tunes the model on new data with a specified learning rate.
+   * Adapts the model toward new text, e.g. a user's recent writing. Every n-gram of the
+   * text is added with weight `learningRate`. With `decay`, each context the text touches
+   * first has its existing counts multiplied by (1 - decay), so repeated fine-tuning moves
+   * those contexts' distributions exponentially toward the new text; contexts the text
+   * does not touch keep their base-corpus counts. Text also enters the cache model when
+   * it is enabled.
    * @param {string} text - Text to fine-tune on
-   * @param {number} learningRate - Learning rate for fine-tuning (0 to 1)
+   * @param {number} [learningRate=0.1] - Weight of the new counts (0 to 1)
+   * @param {Object} [options={}] - Adaptation options
+   * @param {number} [options.decay=0] - Exponential decay applied to the existing counts
+   *   of touched contexts (0 to 1, exclusive of 1)
+   * @throws {Error} If the learning rate or decay is out of range
    */
-  fineTune(text, learningRate = 0.1) {
-    if (learningRate <= 0 || learningRate > 1) {
+  fineTune(text, learningRate = 0.1, options = {}) {
+    if (!(learningRate > 0 && learningRate <= 1)) {
       throw new Error("Learning rate must be between 0 and 1");
     }
+    const { decay = 0 } = options;
+    if (typeof decay !== "number" || !(decay >= 0 && decay < 1)) {
+      throw new Error("GrokJS LanguageModel: fineTune() decay must be at least 0 and below 1");
+    }
 
-    let tokens = this.tokenize(text);
-    for (let n = 1; n <= this.maxN; n++) {
-      for (let i = 0; i <= tokens.length - n; i++) {
-        let ngram = tokens.slice(i, i + n).join(" ");
-        let nextWord = tokens[i + n] || "";
-
-        if (this.ngram.ngrams[n - 1].has(ngram)) {
-          let counter = this.ngram.ngrams[n - 1].get(ngram);
-          let currentCount = counter.get(nextWord);
-
-          if (currentCount > this.maxN) {
-            counter.decrement(nextWord, learningRate);
-          } else {
-            counter.increment(nextWord, learningRate);
-          }
-        } else {
-          this.ngram.ngrams[n - 1].set(ngram, new Counter());
-          this.ngram.ngrams[n - 1].get(ngram).increment(nextWord, learningRate);
+    // Count the text first, so decay is applied once per touched context rather than once
+    // per occurrence
+    const { update, sequences } = this._countText(text);
+    this._addCounts(update, learningRate * this.ngram.decayWeight(), decay);
+    this.ngram.tokenize(text).forEach((word) => {
+      if (word) this.vocabulary.add(word);
+    });
+    if (this.cache) this.cache.add(sequences);
+  }
+
+  /**
+   * Removes text from the model, the inverse of train(): every n-gram count the text
+   * contributed is decremented, contexts left without counts are removed, and words that
+   * no longer occur anywhere in the model are dropped from the vocabulary. With time decay,
+   * counts are decremented by the weight of a fresh observation, which removes at least
+   * what the text contributed whenever it was trained. The cache model is cleared.
+   * @param {string} text - Text previously passed to train()
+   * @return {{ removedNgrams: number, removedContexts: number, removedWords: string[] }} -
+   *   Number of n-grams and contexts removed entirely, and the words dropped
+   */
+  untrain(text) {
+    if (typeof text !== "string") {
+      throw new Error("Input must be a string");
+    }
+    const { update } = this._countText(text);
+    const weight = this.ngram.decayWeight();
+    let removedNgrams = 0;
+    let removedContexts = 0;
+
+    update.ngrams.forEach((level, i) => {
+      if (i >= this.maxN) return;
+      const target = this.ngram.ngrams[i];
+      for (const [key, counts] of level.entries()) {
+        const counter = target.get(key);
+        if (!counter) continue;
+        for (const [word, count] of counts.counter) {
+          if (!counter.counter.has(word)) continue;
+          counter.decrement(word, count * weight);
+          if (!counter.counter.has(word)) removedNgrams++;
+        }
+        if (counter.counter.size === 0) {
+          target.delete(key);
+          removedContexts++;
         }
       }
+    });
+    this.ngram.revision++;
+    if (this.cache) this.cache.clear();
+
+    return { removedNgrams, removedContexts, removedWords: this._recomputeVocabulary() };
+  }
+
+  /**
+   * Removes every n-gram that contains the phrase, wherever it was learned (e.g. inside a
+   * longer text), so the model can no longer predict or complete it. Words of the phrase
+   * that no longer occur anywhere are dropped from the vocabulary, and the cache model is
+   * cleared.
+   * @param {string} phrase - Phrase to forget
+   * @return {{ removedNgrams: number, removedContexts: number, removedWords: string[] }} -
+   *   Number of n-grams and contexts removed, and the words dropped
+   */
+  forget(phrase) {
+    if (typeof phrase !== "string") {
+      throw new Error("Input must be a string");
+    }
+    const target = this.ngram.tokenize(phrase);
+    let removedNgrams = 0;
+    let removedContexts = 0;
+    if (target.length === 0) return { removedNgrams, removedContexts, removedWords: [] };
+
+    const contains = (tokens) => {
+      for (let i = 0; i + target.length <= tokens.length; i++) {
+        if (target.every((token, j) => tokens[i + j] === token)) return true;
+      }
+      return false;
+    };
+
+    const selected = [];
+    this.ngram.ngrams.forEach((level, i) => {
+      if (i + 1 < target.length - 1) return;
+      for (const [key, counter] of level.entries()) {
+        const context = key.split(" ");
+        for (const word of counter.counter.keys()) {
+          if (contains(word ? [...context, word] : context)) selected.push([i + 1, key, word]);
+        }
+      }
+    });
+    ModelPruner.remove(this.ngram, selected).forEach((level) => {
+      removedNgrams += level.removedNgrams;
+      removedContexts += level.removedContexts;
+    });
+    this.ngram.revision++;
+    if (this.cache) this.cache.clear();
+
+    return { removedNgrams, removedContexts, removedWords: this._recomputeVocabulary() };
+  }
+
+  /**
+   * Counts text into a scratch Ngram with this model's order, tokenization and sentence
+   * handling, without time decay.
+   * @param {string} text - Text to count
+   * @return {{ update: Ngram, sequences: string[][] }} - Counts and the token sequences
+   */
+  _countText(text) {
+    const update = new Ngram(this.maxN, {
+      ...this.ngram.options,
+      vocabulary: new Vocabulary({ bosToken: this.ngram.bosToken, eosToken: this.ngram.eosToken }),
+      halfLife: null,
+    });
+    const sequences = this.ngram.sequences(text);
+    sequences.forEach((tokens) => update.updateModel(tokens));
+    return { update, sequences };
+  }
+
+  /**
+   * Drops vocabulary words that no longer occur in the n-gram levels.
+   * @return {string[]} - Words that were dropped
+   */
+  _recomputeVocabulary() {
+    const present = new Set();
+    for (const level of this.ngram.ngrams) {
+      for (const [key, counter] of level.entries()) {
+        key.split(" ").forEach((word) => present.add(word));
+        for (const word of counter.counter.keys()) present.add(word);
+      }
     }
+    const removed = Array.from(this.vocabulary).filter((word) => !present.has(word));
+    removed.forEach((word) => this.vocabulary.delete(word));
+    return removed;
   }
 
   /**
@@ -193,6 +193,81 @@ describe("LanguageModel", () => {
     expect(preds[0]).toHaveProperty("ngramLevel");
   });
 
+  test("smoothing option replaces the constant fallback in getProbability", () => {
+    const smoothed = new LanguageModel(new Ngram(3), 3, { smoothing: "kneser-ney" });
+    smoothed.train("hello world how are you");
+    languageModel.train("hello world how are you");
+
+    expect(languageModel.getProbability("zebra", "hello world")).toBe(0);
+    const unseen = smoothed.getProbability("zebra", "hello world");
+    expect(unseen).toBeGreaterThan(0);
+    expect(unseen).not.toBe(0.0001);
+    expect(smoothed.getProbability("how", "hello world")).toBeGreaterThan(unseen);
+
+    smoothed.setSmoothing("witten-bell");
+    expect(smoothed.smoothing.name).toBe("witten-bell");
+    expect(Number.isFinite(smoothed.perplexity("hello world how"))).toBe(true);
+
+    expect(() => smoothed.setSmoothing("unknown")).toThrow("Unknown smoothing strategy");
+    smoothed.setSmoothing(null);
+    expect(smoothed.smoothing).toBeNull();
+  });
+
+  test("exportState preserves the selected smoothing strategy", () => {
+    const smoothed = new LanguageModel(new Ngram(3), 3, { smoothing: "witten-bell" });
+    smoothed.train("hello world how are you");
+    const restored = new LanguageModel();
+    restored.importState(smoothed.exportState());
+    expect(restored.smoothing.name).toBe("witten-bell");
+    expect(restored.getProbability("how", "hello world")).toBeCloseTo(
+      smoothed.getProbability("how", "hello world"),
+      10
+    );
+  });
+
+  test("smoothing strategy ranks predict and predictWithConfidence", () => {
+    const AddKSmoothing = require("../smoothing/add-k");
+    const smoothed = new LanguageModel(new Ngram(3), 3, {
+      smoothing: new AddKSmoothing({ k: 0.5 }),
+    });
+    smoothed.train("a b c a b d a b c");
+
+    expect(smoothed.predict("a b", 2)).toEqual(["c", "d"]);
+    const preds = smoothed.predictWithConfidence("a b", 3);
+    expect(preds[0]).toEqual({
+      word: "c",
+      probability: smoothed.getProbability("c", "a b"),
+      ngramLevel: 2,
+    });
+    expect(preds[0].probability).toBeGreaterThan(preds[1].probability);
+    expect(smoothed.predictWithConfidence("x b", 1)[0].ngramLevel).toBe(1);
+
+    // Unseen prefixes fall back to unigram candidates scored by the strategy
+    expect(smoothed.predict("zebra", 1)).toEqual(["a"]);
+  });
+
+  test("custom strategy objects are honored by getProbability and predict", () => {
+    const favorite = {
+      name: "favorite",
+      probability: (source, word) => (word === "you" ? 0.9 : 0.01),
+    };
+    languageModel.train("hello world hello you");
+    languageModel.setSmoothing(favorite);
+    expect(languageModel.getProbability("you", "anything")).toBe(0.9);
+    expect(languageModel.predict("hello", 1)).toEqual(["you"]);
+  });
+
+  test("setSmoothing accepts descriptors and exportState persists their options", () => {
+    languageModel.setSmoothing({ name: "katz", options: { k: 3 } });
+    expect(languageModel.smoothing.k).toBe(3);
+    languageModel.train("hello world how are you");
+
+    const restored = new LanguageModel();
+    restored.importState(languageModel.exportState());
+    expect(restored.smoothing.name).toBe("katz");
+    expect(restored.smoothing.k).toBe(3);
+  });
+
   test("bleuPrecision returns 1-gram precision", () => {
     const prec = languageModel.bleuPrecision(["hello", "world"], ["hello", "world"]);
     expect(prec).toBeGreaterThan(0);
@@ -267,6 +342,374 @@ describe("General LanguageModel Tests", () => {
     expect(newModel.predict("hello")).toEqual(languageModel.predict("hello"));
   });
 
+  test("sentenceBoundaries option trains per sentence and survives export/import", () => {
+    const sentences = new LanguageModel(null, 3, { sentenceBoundaries: true });
+    sentences.train("Hello world. Good morning world.");
+
+    expect(sentences.ngram.sentenceBoundaries).toBe(true);
+    expect(sentences.predict("", 2)).toEqual(["hello", "good"]);
+    expect(sentences.predict("Good morning world. Hello")).toEqual(["world"]);
+    expect(sentences.vocabulary.has("<s>")).toBe(false);
+
+    const exported = sentences.exportState();
+    expect(exported.sentenceBoundaries).toBe(true);
+    const restored = new LanguageModel();
+    restored.importState(exported);
+    expect(restored.ngram.sentenceBoundaries).toBe(true);
+    expect(restored.predict("", 2)).toEqual(["hello", "good"]);
+    expect(restored.getVocabularySize()).toBe(sentences.getVocabularySize());
+  });
+
+  test("models above order 5 train, predict and round-trip through exportState", () => {
+    const deep = new LanguageModel(null, 7);
+    deep.train("for i in range ten print i for j in range ten print j");
+    expect(deep.maxN).toBe(7);
+    expect(deep.predict("for j in range ten print")).toEqual(["j"]);
+
+    const restored = new LanguageModel();
+    restored.importState(deep.exportState());
+    expect(restored.maxN).toBe(7);
+    expect(restored.ngram.ngrams[6].size).toBe(deep.ngram.ngrams[6].size);
+    expect(restored.predict("for j in range ten print")).toEqual(["j"]);
+  });
+
+  test("trie storage matches map storage and exports a much smaller state", () => {
+    const text = "the cat sat on the mat the cat ate the fish the dog sat on the log";
+    const maps = new LanguageModel(null, 5);
+    const trie = new LanguageModel(null, 5, { storage: "trie", smoothing: "kneser-ney" });
+    maps.train(text);
+    trie.train(text);
+
+    expect(trie.ngram.storage).toBe("trie");
+    expect(trie.predict("the cat", 2)).toEqual(maps.predict("the cat", 2));
+    expect(trie.getProbability("sat", "the cat")).toBeGreaterThan(0);
+    trie.setSmoothing(null);
+    expect(trie.getProbability("sat", "the cat")).toBe(maps.getProbability("sat", "the cat"));
+    trie.setSmoothing("kneser-ney");
+
+    const exported = trie.exportState();
+    expect(exported.storage).toBe("trie");
+    expect(exported.ngrams).toBeUndefined();
+    expect(JSON.stringify(exported.trie).length).toBeLessThan(
+      JSON.stringify(maps.exportState().ngrams).length / 2
+    );
+
+    const restored = new LanguageModel();
+    restored.importState(JSON.parse(JSON.stringify(exported)));
+    expect(restored.ngram.storage).toBe("trie");
+    expect(restored.getVocabularySize()).toBe(trie.getVocabularySize());
+    expect(restored.getProbability("sat", "the cat")).toBeCloseTo(
+      trie.getProbability("sat", "the cat"),
+      12
+    );
+
+    const typed = trie.exportState({ typedArrays: true });
+    expect(typed.trie.counts).toBeInstanceOf(Float64Array);
+    const fromTyped = new LanguageModel();
+    fromTyped.importState(typed);
+    expect(fromTyped.predict("the dog")).toEqual(trie.predict("the dog"));
+  });
+
+  test("automatic trie pruning keeps the vocabulary in step with the unigrams", () => {
+    const model = new LanguageModel(new Ngram(3, { storage: "trie", maxTrieNodes: 60 }));
+    model.train("the cat sat on the mat the cat sat on the mat the cat sat");
+    for (let i = 0; i < 20; i++) model.train(`rare${i} word${i}`);
+
+    expect(model.ngram.autoPrunes).toBeGreaterThan(0);
+    const unigrams = model.ngram.getCounter([]);
+    for (const word of model.getVocabulary()) expect(unigrams.get(word)).toBeGreaterThan(0);
+    expect(model.getVocabulary().has("cat")).toBe(true);
+  });
+
+  test("exportBinary and importBinary round-trip map and trie storage", () => {
+    languageModel.fineTune("hello there", 0.25);
+    const binary = languageModel.exportBinary();
+    expect(Object.prototype.toString.call(binary)).toBe("[object ArrayBuffer]");
+    expect(binary.byteLength).toBeLessThan(JSON.stringify(languageModel.exportState()).length);
+
+    const restored = new LanguageModel();
+    restored.importBinary(binary);
+    expect(restored.ngram.storage).toBe("map");
+    const viaJson = new LanguageModel();
+    viaJson.importState(JSON.parse(JSON.stringify(languageModel.exportState())));
+    expect(restored.exportState()).toEqual(viaJson.exportState());
+
+    const trie = new LanguageModel(null, 3, { storage: "trie", sentenceBoundaries: true });
+    trie.train("Hello world. Good morning world.");
+    const fromTrie = new LanguageModel();
+    fromTrie.importBinary(Buffer.from(trie.exportBinary()));
+    expect(fromTrie.ngram.storage).toBe("trie");
+    expect(fromTrie.ngram.sentenceBoundaries).toBe(true);
+    expect(fromTrie.predict("", 2)).toEqual(["hello", "good"]);
+
+    expect(() => restored.importBinary(new ArrayBuffer(8))).toThrow(/not a GrokJS binary model/);
+    expect(restored.predict("hello")).toEqual(languageModel.predict("hello"));
+  });
+
+  test("importState migrates older snapshots and rejects newer schema versions", () => {
+    expect(languageModel.exportState().schemaVersion).toBe(2);
+
+    const legacy = new LanguageModel();
+    legacy.importState({
+      version: "1.2.4",
+      maxN: 2,
+      ngrams: [{ hello: { world: 2 } }, { "hello world": { again: 1 } }],
+      vocabulary: ["hello", "world", "again"],
+    });
+    expect(legacy.predict("hello")).toEqual(["world"]);
+    expect(legacy.predict("hello world")).toEqual(["again"]);
+
+    const before = languageModel.exportState();
+    expect(() => languageModel.importState({ ...before, schemaVersion: 99 })).toThrow(
+      /schema version 99 is newer than supported version 2/
+    );
+    expect(languageModel.exportState()).toEqual(before);
+  });
+
+  test("prune removes n-grams, recomputes the vocabulary and reports removals", () => {
+    const model = new LanguageModel(null, 3);
+    model.train("the cat sat on the mat the cat ate the fish the cat sat on the rug");
+    const revision = model.ngram.revision;
+
+    const report = model.prune({ minCount: 2 });
+    expect(report.removedNgrams).toBeGreaterThan(0);
+    expect(report.removedContexts).toBeGreaterThan(0);
+    expect(report.removedWords).toEqual(expect.arrayContaining(["mat", "ate", "fish", "rug"]));
+    expect(report.levels).toHaveLength(3);
+    expect(report.vocabularySize).toBe(model.getVocabularySize());
+    expect(model.vocabulary.has("mat")).toBe(false);
+    expect(model.ngram.revision).toBeGreaterThan(revision);
+    expect(model.predict("the cat")).toEqual(["sat"]);
+
+    const limited = model.prune({ maxContextsPerLevel: 1, entropyThreshold: 0 });
+    expect(model.ngram.ngrams.every((level) => level.size <= 1)).toBe(true);
+    expect(limited.levels.map((level) => level.level)).toEqual([1, 2, 3]);
+
+    expect(() => model.prune({ minCount: "2" })).toThrow(/minCount must be a non-negative number/);
+  });
+
+  test("merge adds weighted counts, unions vocabularies and widens maxN", () => {
+    const base = new LanguageModel(null, 2);
+    base.train("hello world");
+    const other = new LanguageModel(null, 3);
+    other.train("hello there friend");
+
+    expect(base.merge(other, { weight: 0.5 })).toBe(base);
+    expect(base.maxN).toBe(3);
+    expect(base.ngram.ngrams).toHaveLength(3);
+    expect(base.ngram.ngrams[0].get("hello").get("world")).toBe(1);
+    expect(base.ngram.ngrams[0].get("hello").get("there")).toBe(0.5);
+    expect(base.ngram.ngrams[1].get("hello there").get("friend")).toBe(0.5);
+    expect(base.vocabulary).toEqual(new Set(["hello", "world", "there", "friend"]));
+    // The merged model's counters are copies, not shared references
+    expect(other.ngram.ngrams[0].get("hello").get("world")).toBe(0);
+
+    const sentences = new LanguageModel(null, 2, { sentenceBoundaries: true });
+    expect(() => base.merge(sentences)).toThrow(/different sentenceBoundaries/);
+    expect(() => base.merge(other, { weight: -1 })).toThrow(/non-negative/);
+    expect(() => base.merge({})).toThrow(/expects a LanguageModel/);
+  });
+
+  test("combine builds a new model from weighted shards", () => {
+    const shards = ["the cat sat", "the cat ran", "the dog ran"].map((text) => {
+      const shard = new LanguageModel(null, 2, { smoothing: "witten-bell" });
+      shard.train(text);
+      return shard;
+    });
+
+    const combined = LanguageModel.combine(shards, [1, 1, 3]);
+    expect(combined).not.toBe(shards[0]);
+    expect(combined.smoothing.name).toBe("witten-bell");
+    expect(combined.ngram.ngrams[0].get("the").get("cat")).toBe(2);
+    expect(combined.ngram.ngrams[0].get("the").get("dog")).toBe(3);
+    expect(combined.predict("the")).toEqual(["dog"]);
+    expect(shards[0].ngram.ngrams[0].get("the").get("dog")).toBe(0);
+
+    const whole = new LanguageModel(null, 2);
+    whole.train("the cat sat");
+    whole.train("the cat ran");
+    whole.train("the dog ran");
+    expect(LanguageModel.combine(shards).exportState().ngrams).toEqual(whole.exportState().ngrams);
+
+    expect(() => LanguageModel.combine([])).toThrow(/non-empty array/);
+    expect(() => LanguageModel.combine(shards, [1])).toThrow(/one weight per model/);
+  });
+
+  test("halfLife decay state persists through exportState and exportBinary", () => {
+    let now = 1000;
+    const decaying = new LanguageModel(null, 3, { halfLife: 500 });
+    decaying.ngram.clock = () => now;
+    decaying.ngram.decayLandmark = now;
+    decaying.train("good morning");
+    now = 1050;
+    decaying.train("good night");
+
+    const state = decaying.exportState();
+    expect(state.timeDecay).toEqual({ halfLife: 500, landmark: 1000 });
+
+    const restored = new LanguageModel();
+    restored.importState(JSON.parse(JSON.stringify(state)));
+    expect(restored.ngram.halfLife).toBe(500);
+    expect(restored.ngram.decayLandmark).toBe(1000);
+    expect(restored.ngram.getCounter(["good"]).get("night")).toBeCloseTo(Math.pow(2, 0.1), 10);
+
+    const fromBinary = new LanguageModel();
+    fromBinary.importBinary(decaying.exportBinary());
+    expect(fromBinary.exportState()).toEqual(restored.exportState());
+    expect(new LanguageModel().exportState().timeDecay).toBeNull();
+  });
+
+  test("untrain is the exact inverse of train", () => {
+    const base = new LanguageModel(new Ngram(3));
+    base.train("the cat sat on the mat");
+    const before = JSON.stringify(base.exportState());
+
+    base.train("the cat chased a secret mouse");
+    const report = base.untrain("the cat chased a secret mouse");
+
+    expect(JSON.stringify(base.exportState())).toBe(before);
+    expect(report.removedWords.sort()).toEqual(["a", "chased", "mouse", "secret"]);
+    expect(report.removedContexts).toBeGreaterThan(0);
+    expect(base.ngram.ngrams[0].has("secret")).toBe(false);
+    expect(base.ngram.ngrams[0].get("cat").get("sat")).toBe(1);
+    expect(() => base.untrain(null)).toThrow("Input must be a string");
+  });
+
+  test("untrain handles sentence boundaries, trie storage and time decay", () => {
+    let now = 0;
+    const model = new LanguageModel(null, 3, {
+      sentenceBoundaries: true,
+      storage: "trie",
+      halfLife: 1000,
+    });
+    model.ngram.clock = () => now;
+    model.ngram.decayLandmark = 0;
+    model.train("Hello there. See you soon.");
+    now = 3000;
+    model.train("See you later.");
+    model.untrain("Hello there. See you soon.");
+
+    expect(model.getVocabulary().has("hello")).toBe(false);
+    expect(model.getVocabulary().has("soon")).toBe(false);
+    expect(model.predict("See you", 1)).toEqual(["later"]);
+    expect(model.ngram.getCounter(["<s>"]).counter.has("hello")).toBe(false);
+  });
+
+  test("completePrefix returns the most frequent words with a prefix", () => {
+    const model = new LanguageModel(null, 3, { sentenceBoundaries: true });
+    model.train("The theory is there. Then there was the thermal noise.");
+    model.train("There it is.");
+
+    expect(model.completePrefix("the", 2)).toEqual(["there", "the"]);
+    expect(model.prefixIndex.count("there")).toBe(model.ngram.getCounter([]).get("there"));
+    expect(model.completePrefix("<", 5)).toEqual([]);
+    expect(() => model.completePrefix(null)).toThrow("Prefix must be a string");
+
+    // Changes other than train() rebuild the index from the unigram counts
+    model.forget("there");
+    expect(model.completePrefix("the", 1)).toEqual(["the"]);
+    model.fineTune("thermal thermal thermal", 1);
+    expect(model.completePrefix("ther", 1)).toEqual(["thermal"]);
+    model.importState(model.exportState());
+    expect(model.completePrefix("no", 1)).toEqual(["noise"]);
+  });
+
+  test("completePrefix follows decayed counts", () => {
+    let now = 0;
+    const model = new LanguageModel(null, 2, { halfLife: 1000 });
+    model.ngram.clock = () => now;
+    model.ngram.decayLandmark = 0;
+    model.completePrefix("");
+    model.train("cart cart cart");
+    now = 500;
+    model.train("car car");
+    expect(model.completePrefix("car", 2)).toEqual(["cart", "car"]);
+    now = 2000;
+    model.train("car");
+    expect(model.completePrefix("car", 2)).toEqual(["car", "cart"]);
+    const unigrams = model.ngram.getCounter([]);
+    expect(model.prefixIndex.count("car")).toBeCloseTo(unigrams.get("car"), 6);
+  });
+
+  test("completePrefix drops words the trie pruned while training", () => {
+    const model = new LanguageModel(new Ngram(3, { storage: "trie", maxTrieNodes: 60 }));
+    model.train("the cat sat on the mat the cat sat on the mat the cat sat");
+    model.completePrefix("");
+    for (let i = 0; i < 20; i++) model.train(`rare${i} word${i}`);
+
+    const unigrams = model.ngram.getCounter([]);
+    for (const word of model.completePrefix("", 100)) {
+      expect(unigrams.get(word)).toBeGreaterThan(0);
+    }
+    expect(model.completePrefix("ca", 1)).toEqual(["cat"]);
+  });
+
+  test("train with context counts the same n-grams as training the whole text", () => {
+    const counts = (model) =>
+      [1, 2, 3].map((n) =>
+        Array.from(model.ngram.contexts(n), ([tokens, counter]) => [
+          tokens.join(" "),
+          Array.from(counter.counter).sort(),
+        ]).sort()
+      );
+    for (const options of [{}, { storage: "trie" }, { sentenceBoundaries: true }]) {
+      const whole = new LanguageModel(new Ngram(3, options));
+      whole.train("please call the plumber today");
+      const continued = new LanguageModel(new Ngram(3, options));
+      continued.completePrefix("");
+      continued.train("please call the");
+      continued.train("plumber today", { context: "please call the" });
+
+      expect(counts(continued)).toEqual(counts(whole));
+      expect(continued.completePrefix("", 10)).toEqual(whole.completePrefix("", 10));
+      expect(continued._prefixRevision).toBe(continued.ngram.revision);
+    }
+  });
+
+  test("forgotten words are left out of trie exports", () => {
+    const model = new LanguageModel(new Ngram(3, { storage: "trie" }));
+    model.train("my password is hunter2xyz and nothing else");
+    model.train("my password is secret");
+
+    expect(model.forget("hunter2xyz").removedWords).toEqual(["hunter2xyz"]);
+    expect(JSON.stringify(model.exportState())).not.toContain("hunter2xyz");
+    expect(Buffer.from(model.exportBinary()).toString("latin1")).not.toContain("hunter2xyz");
+
+    const restored = new LanguageModel(new Ngram(3, { storage: "trie" }));
+    restored.importBinary(model.exportBinary());
+    expect(restored.predict("my password is", 1)).toEqual(["secret"]);
+  });
+
+  test("forget removes every n-gram containing a phrase", () => {
+    const model = new LanguageModel(new Ngram(3), 3, { cache: true });
+    model.train("my pin is 4321 thanks");
+    model.train("remember my pin is 4321");
+    model.train("my pin is required");
+
+    const report = model.forget("is 4321");
+
+    expect(report.removedNgrams).toBeGreaterThan(0);
+    expect(model.predict("my pin is", 3)).toEqual(["required"]);
+    expect(model.cache.tokenCount).toBe(0);
+    for (const level of model.ngram.ngrams) {
+      for (const [key, counter] of level.entries()) {
+        expect(` ${key} `).not.toContain(" is 4321 ");
+        expect(key.endsWith("is") && counter.get("4321") > 0).toBe(false);
+      }
+    }
+    // "4321 thanks" does not contain the phrase, so the word itself survives
+    expect(model.getVocabulary().has("4321")).toBe(true);
+
+    expect(model.forget("4321").removedWords).toEqual(["4321"]);
+    for (const level of model.ngram.ngrams) {
+      for (const [key, counter] of level.entries()) {
+        expect(key.split(" ")).not.toContain("4321");
+        expect(counter.get("4321")).toBe(0);
+      }
+    }
+    expect(model.forget("").removedNgrams).toBe(0);
+  });
+
   // Test evaluation metrics
   test("model can be evaluated", () => {
     const testData = [
@@ -348,23 +791,74 @@ describe("LanguageModel - fineTune", () => {
     expect(updatedCount).toBeGreaterThan(initialCount);
   });
 
-  test("fineTune decreases count for overrepresented words", () => {
+  test("fineTune with decay shifts overrepresented words toward the new text", () => {
     const languageModel = new LanguageModel(new Ngram(3));
     languageModel.train("hello world how are you hello world again");
-    const initialCount = languageModel.ngram.ngrams[0].get("world").get("how");
-
-    const overtrainCount = 10;
     // Over-train on "world how" to make it overrepresented
-    for (let i = 0; i < overtrainCount; i++) {
+    for (let i = 0; i < 10; i++) {
       languageModel.train("world how");
     }
+    const initialCount = languageModel.ngram.ngrams[0].get("world").get("how");
+    const initialProbability = languageModel.getProbability("how", "world");
 
-    console.log("getVocabulary", languageModel.getVocabulary());
-    // Fine-tune with text that reduces the frequency of "how" after "world"
-    languageModel.fineTune("world how", 0.1);
+    // Fine-tune on text in which "world" is followed by something else
+    languageModel.fineTune("world are", 0.1, { decay: 0.5 });
 
     const updatedCount = languageModel.ngram.ngrams[0].get("world").get("how");
-    expect(updatedCount).toBeLessThan(initialCount + overtrainCount);
+    expect(updatedCount).toBeCloseTo(initialCount * 0.5, 10);
+    expect(languageModel.getProbability("how", "world")).toBeLessThan(initialProbability);
+    expect(languageModel.ngram.ngrams[0].get("world").get("are")).toBeCloseTo(0.1, 10);
+    // Contexts the text does not touch keep their counts
+    expect(languageModel.ngram.ngrams[0].get("hello").get("world")).toBe(2);
+  });
+
+  test("repeated decayed fineTune converges on the new text without forgetting other contexts", () => {
+    const languageModel = new LanguageModel(new Ngram(2));
+    languageModel.train("the cat sat. the cat ran. the dog sat.");
+    for (let i = 0; i < 30; i++) {
+      languageModel.fineTune("the bird", 0.5, { decay: 0.2 });
+    }
+
+    expect(languageModel.predict("the", 1)).toEqual(["bird"]);
+    expect(languageModel.getProbability("bird", "the")).toBeGreaterThan(0.9);
+    expect(languageModel.getVocabulary().has("bird")).toBe(true);
+    expect(languageModel.ngram.ngrams[0].get("cat").get("sat")).toBe(1);
+  });
+
+  test("cache option boosts recently seen n-grams without changing counts", () => {
+    const base = "the cat sat on the mat. the cat ate. the cat ran. the dog barked.";
+    const cached = new LanguageModel(new Ngram(3), 3, { cache: { size: 20, weight: 0.5 } });
+    cached.train(base);
+    cached.cache.clear();
+    expect(cached.predict("the", 1)).toEqual(["cat"]);
+
+    cached.fineTune("the dog barked at the dog", 0.01);
+    const countBefore = cached.ngram.ngrams[0].get("the").get("dog");
+    expect(cached.predict("the", 1)).toEqual(["dog"]);
+    expect(cached.getProbability("dog", "the")).toBeGreaterThan(
+      (1 - 0.5) * cached._rawProbability("dog", ["the"])
+    );
+
+    cached.setCache(null);
+    expect(cached.predict("the", 1)).toEqual(["cat"]);
+    expect(cached.ngram.ngrams[0].get("the").get("dog")).toBe(countBefore);
+    expect(() => cached.setCache({ weight: 1.5 })).toThrow("weight");
+  });
+
+  test("fineTune validates decay", () => {
+    expect(() => languageModel.fineTune("hello", 0.1, { decay: 1 })).toThrow("decay");
+    expect(() => languageModel.fineTune("hello", 0.1, { decay: -0.1 })).toThrow("decay");
+  });
+
+  test("fineTune honors sentence boundaries", () => {
+    const languageModel = new LanguageModel(null, 3, { sentenceBoundaries: true });
+    languageModel.train("the cat sat.");
+    languageModel.fineTune("a dog ran. the cat ate.", 0.5);
+
+    expect(languageModel.ngram.ngrams[0].get("<s>").get("a")).toBe(0.5);
+    expect(languageModel.ngram.ngrams[0].get("ran").get("</s>")).toBe(0.5);
+    expect(languageModel.ngram.ngrams[0].has("ran the")).toBe(false);
+    expect(languageModel.ngram.ngrams[1].has("ran the")).toBe(false);
   });
 
   test("fineTune initializes new n-grams", () => {
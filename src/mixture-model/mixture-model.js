@@ -0,0 +1,237 @@
+const EvaluationMetrics = require("../evaluation-metrics/evaluation-metrics");
+const InferenceEngine = require("../inference-engine/inference-engine");
+
+// Candidates requested from each component before the mixture re-ranks them
+const CANDIDATE_POOL_SIZE = 20;
+
+/**
+ * Linear interpolation of several language models at inference time:
+ * P(w | h) = sum_i weight_i * P_i(w | h). Components are only read, never modified, and
+ * only need the duck-typed interface InferenceEngine and EvaluationMetrics rely on
+ * (predict, getProbability, tokenize, maxN), so a MixtureModel can itself be a component.
+ */
+class MixtureModel {
+  /**
+   * Constructs a MixtureModel.
+   * @param {Object[]} models - Component models, e.g. a domain model and a general model
+   * @param {Object} [options={}] - Configuration options
+   * @param {number[]} [options.weights] - One non-negative weight per model, normalized to
+   *   sum to 1 (uniform when omitted)
+   * @throws {Error} If no models are given or the weights are invalid
+   */
+  constructor(models, options = {}) {
+    if (!Array.isArray(models) || models.length === 0) {
+      throw new Error("GrokJS MixtureModel: Expected a non-empty array of models");
+    }
+    models.forEach((model) => {
+      if (!model || typeof model.getProbability !== "function") {
+        throw new Error("GrokJS MixtureModel: Every model must implement getProbability()");
+      }
+    });
+    this.models = models;
+    this.maxN = Math.max(...models.map((model) => model.maxN || 5));
+    this.setWeights(options.weights || models.map(() => 1));
+  }
+
+  /**
+   * End-of-sentence token of the first component, so InferenceEngine stops generation
+   * at sentence ends when the components were trained in sentence mode.
+   * @return {string|null} - End-of-sentence token, or null
+   */
+  get eosToken() {
+    const [first] = this.models;
+    if (first.eosToken !== undefined) return first.eosToken;
+    return first.ngram && first.ngram.sentenceBoundaries ? first.ngram.eosToken : null;
+  }
+
+  /**
+   * Sets the interpolation weights.
+   * @param {number[]} weights - One non-negative weight per model; normalized to sum to 1
+   * @throws {Error} If the weights do not match the models or are all zero
+   */
+  setWeights(weights) {
+    if (!Array.isArray(weights) || weights.length !== this.models.length) {
+      throw new Error("GrokJS MixtureModel: Expected exactly one weight per model");
+    }
+    if (weights.some((weight) => typeof weight !== "number" || !(weight >= 0))) {
+      throw new Error("GrokJS MixtureModel: Weights must be non-negative numbers");
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0) || !Number.isFinite(total)) {
+      throw new Error("GrokJS MixtureModel: Weights must have a positive finite sum");
+    }
+    this.weights = weights.map((weight) => weight / total);
+  }
+
+  /**
+   * Returns the interpolated probability of a word given a context.
+   * @param {string} word - The word to find the probability for
+   * @param {string} context - The context or prefix
+   * @return {number} - Mixture probability
+   */
+  getProbability(word, context) {
+    return this._componentProbabilities(word, context).reduce(
+      (sum, prob, i) => sum + this.weights[i] * prob,
+      0
+    );
+  }
+
+  /**
+   * Predicts the next word by re-ranking every component's candidates with the mixture
+   * probability.
+   * @param {string} prefix - The context or prefix to predict from
+   * @param {number} [numPredictions=1] - Number of predictions to return
+   * @return {string[]} - Predicted words, most probable first
+   */
+  predict(prefix, numPredictions = 1) {
+    return this.predictWithConfidence(prefix, numPredictions).map(({ word }) => word);
+  }
+
+  /**
+   * Predicts the next word with mixture probabilities.
+   * @param {string} prefix - The context or prefix to predict from
+   * @param {number} [numPredictions=5] - Number of predictions to return
+   * @return {Array<{ word: string, probability: number }>} - Predicted words with probabilities
+   */
+  predictWithConfidence(prefix, numPredictions = 5) {
+    if (typeof prefix !== "string") {
+      throw new Error("Prefix must be a string");
+    }
+    const poolSize = Math.max(numPredictions, CANDIDATE_POOL_SIZE);
+    const candidates = new Set();
+    this.models.forEach((model, i) => {
+      if (this.weights[i] === 0 || typeof model.predict !== "function") return;
+      model.predict(prefix, poolSize).forEach((word) => candidates.add(word));
+    });
+
+    return Array.from(candidates, (word) => ({
+      word,
+      probability: this.getProbability(word, prefix),
+    }))
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, numPredictions);
+  }
+
+  /**
+   * Tokenizes text with the first component's tokenizer.
+   * @param {string} text - The text to tokenize
+   * @return {string[]} - Array of tokens
+   */
+  tokenize(text) {
+    const [first] = this.models;
+    return first.tokenize ? first.tokenize(text) : text.trim().split(/\s+/);
+  }
+
+  /**
+   * Calculates the mixture's perplexity on a text.
+   * @param {string} text - Test text
+   * @return {number} - Perplexity score
+   */
+  perplexity(text) {
+    return EvaluationMetrics.perplexity(this, text);
+  }
+
+  /**
+   * Generates text with InferenceEngine sampling over the mixture.
+   * @param {string} start - The starting sequence
+   * @param {number} [length=10] - Length of text to generate
+   * @param {Object} [options={}] - Advanced sampling options
+   * @return {string} - Generated text
+   */
+  generateText(start, length = 10, options = {}) {
+    return InferenceEngine.generate(this, start, length, options);
+  }
+
+  /**
+   * Fits the weights by expectation-maximization on held-out text, e.g. the `val` documents
+   * of Corpus.split(). Each iteration assigns every held-out token to the components in
+   * proportion to weight_i * P_i(token | context) and sets each weight to its average share,
+   * which never lowers the held-out likelihood. EM starts from the current weights, so a
+   * component whose weight is 0 stays excluded.
+   * @param {string|string[]} heldOut - Held-out text or documents
+   * @param {Object} [options={}] - Fitting options
+   * @param {number} [options.maxIterations=50] - Maximum EM iterations
+   * @param {number} [options.tolerance=1e-6] - Stop once the average log-likelihood per
+   *   token improves by less than this
+   * @return {{ weights: number[], iterations: number, logLikelihood: number, perplexity: number }}
+   *   - Fitted weights and the held-out fit they achieve
+   * @throws {Error} If the held-out data contains no tokens
+   */
+  fitWeights(heldOut, options = {}) {
+    const { maxIterations = 50, tolerance = 1e-6 } = options;
+    const documents = (Array.isArray(heldOut) ? heldOut : [heldOut]).filter(
+      (doc) => typeof doc === "string" && doc.trim().length > 0
+    );
+
+    // Component probabilities never change during EM, so score every token once
+    const table = [];
+    for (const doc of documents) {
+      const tokens = this.tokenize(doc);
+      tokens.forEach((token, i) => {
+        const context = tokens.slice(Math.max(0, i - this.maxN + 1), i).join(" ");
+        table.push(
+          this._componentProbabilities(token, context).map((prob) =>
+            prob > 0 ? prob : Number.EPSILON
+          )
+        );
+      });
+    }
+    if (table.length === 0) {
+      throw new Error("GrokJS MixtureModel: Held-out data must contain at least one token");
+    }
+
+    let weights = this.weights.slice();
+    let logLikelihood = MixtureModel._averageLogLikelihood(table, weights);
+    let iterations = 0;
+    while (iterations < maxIterations) {
+      const shares = weights.map(() => 0);
+      for (const probs of table) {
+        const total = probs.reduce((sum, prob, i) => sum + weights[i] * prob, 0);
+        probs.forEach((prob, i) => {
+          shares[i] += (weights[i] * prob) / total;
+        });
+      }
+      weights = shares.map((share) => share / table.length);
+      iterations++;
+
+      const next = MixtureModel._averageLogLikelihood(table, weights);
+      const improvement = next - logLikelihood;
+      logLikelihood = next;
+      if (improvement < tolerance) break;
+    }
+
+    this.setWeights(weights);
+    return {
+      weights: this.weights.slice(),
+      iterations,
+      logLikelihood,
+      perplexity: Math.exp(-logLikelihood),
+    };
+  }
+
+  /**
+   * Returns each component's probability for a word in a context.
+   * @param {string} word - The word to score
+   * @param {string} context - The context or prefix
+   * @return {number[]} - One probability per component
+   */
+  _componentProbabilities(word, context) {
+    return this.models.map((model) => model.getProbability(word, context || ""));
+  }
+
+  /**
+   * Average log-likelihood per token of a probability table under the given weights.
+   * @param {number[][]} table - Component probabilities per token
+   * @param {number[]} weights - Component weights
+   * @return {number} - Average log-likelihood
+   */
+  static _averageLogLikelihood(table, weights) {
+    let sum = 0;
+    for (const probs of table) {
+      sum += Math.log(probs.reduce((total, prob, i) => total + weights[i] * prob, 0));
+    }
+    return sum / table.length;
+  }
+}
+
+module.exports = MixtureModel;
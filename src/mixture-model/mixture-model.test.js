@@ -0,0 +1,115 @@
+const MixtureModel = require("./mixture-model");
+const LanguageModel = require("../language-model/language-model");
+const Corpus = require("../corpus/corpus");
+const EvaluationMetrics = require("../evaluation-metrics/evaluation-metrics");
+const InferenceEngine = require("../inference-engine/inference-engine");
+
+describe("MixtureModel", () => {
+  const domainText =
+    "the patient has a fever. the patient needs rest. the doctor sees the patient.";
+  const generalText = "the cat sat on the mat. the dog sat on the rug. the cat ate the fish.";
+
+  function trained(text) {
+    const lm = new LanguageModel(null, 3, { smoothing: "witten-bell" });
+    lm.train(text);
+    return lm;
+  }
+
+  test("interpolates component probabilities with normalized weights", () => {
+    const domain = trained(domainText);
+    const general = trained(generalText);
+    const mixture = new MixtureModel([domain, general], { weights: [3, 1] });
+
+    expect(mixture.weights).toEqual([0.75, 0.25]);
+    expect(mixture.maxN).toBe(3);
+    const expected =
+      0.75 * domain.getProbability("patient", "the") +
+      0.25 * general.getProbability("patient", "the");
+    expect(mixture.getProbability("patient", "the")).toBeCloseTo(expected, 12);
+  });
+
+  test("defaults to uniform weights and validates them", () => {
+    const mixture = new MixtureModel([trained(domainText), trained(generalText)]);
+    expect(mixture.weights).toEqual([0.5, 0.5]);
+
+    expect(() => new MixtureModel([])).toThrow("non-empty array");
+    expect(() => new MixtureModel([{}])).toThrow("getProbability");
+    expect(() => mixture.setWeights([1])).toThrow("one weight per model");
+    expect(() => mixture.setWeights([1, -1])).toThrow("non-negative");
+    expect(() => mixture.setWeights([0, 0])).toThrow("positive finite sum");
+  });
+
+  test("predict re-ranks candidates from every component", () => {
+    const domain = trained(domainText);
+    const general = trained(generalText);
+
+    const domainHeavy = new MixtureModel([domain, general], { weights: [0.9, 0.1] });
+    expect(domainHeavy.predict("the", 1)).toEqual(["patient"]);
+
+    const generalHeavy = new MixtureModel([domain, general], { weights: [0.1, 0.9] });
+    expect(generalHeavy.predict("the", 1)).toEqual(["cat"]);
+
+    const ranked = domainHeavy.predictWithConfidence("the", 10);
+    const words = ranked.map(({ word }) => word);
+    expect(words).toEqual(expect.arrayContaining(["patient", "cat", "doctor"]));
+    for (let i = 1; i < ranked.length; i++) {
+      expect(ranked[i - 1].probability).toBeGreaterThanOrEqual(ranked[i].probability);
+    }
+    expect(() => domainHeavy.predict(42)).toThrow("Prefix must be a string");
+  });
+
+  test("works with EvaluationMetrics and InferenceEngine", () => {
+    const mixture = new MixtureModel([trained(domainText), trained(generalText)]);
+
+    expect(mixture.tokenize("The Cat")).toEqual(["the", "cat"]);
+    const perplexity = EvaluationMetrics.perplexity(mixture, "the cat sat on the mat");
+    expect(Number.isFinite(perplexity)).toBe(true);
+    expect(mixture.perplexity("the cat sat on the mat")).toBe(perplexity);
+
+    const generated = InferenceEngine.generate(mixture, "the", 4, { temperature: 0 });
+    expect(generated.startsWith("the")).toBe(true);
+    expect(InferenceEngine.beamSearch(mixture, "the", 3, 2)).toEqual(expect.any(String));
+  });
+
+  test("fitWeights runs EM on held-out documents from Corpus.split", () => {
+    const corpus = new Corpus();
+    const medical = [
+      "the doctor sees the patient and the patient has a fever",
+      "the doctor sees the patient and the patient needs rest",
+      "the nurse sees the patient and the patient has a fever",
+      "the doctor gives the patient medicine for the fever",
+      "the nurse gives the patient medicine and the patient needs rest",
+      "the doctor sees the patient and the patient needs medicine",
+    ];
+    medical.forEach((doc) => corpus.addDocument(doc));
+    const { train, val } = corpus.split(0.6, 0.4, 0, 7);
+    expect(val.length).toBeGreaterThan(0);
+
+    const domain = trained(train.join(" "));
+    const general = trained(generalText);
+    const mixture = new MixtureModel([domain, general]);
+    const before = EvaluationMetrics.perplexity(mixture, val.join(" "));
+
+    const fit = mixture.fitWeights(val);
+
+    expect(fit.iterations).toBeGreaterThan(0);
+    expect(fit.weights[0]).toBeGreaterThan(fit.weights[1]);
+    expect(fit.weights[0] + fit.weights[1]).toBeCloseTo(1, 12);
+    expect(mixture.weights).toEqual(fit.weights);
+    expect(fit.perplexity).toBeCloseTo(Math.exp(-fit.logLikelihood), 12);
+    expect(EvaluationMetrics.perplexity(mixture, val.join(" "))).toBeLessThan(before);
+    expect(() => mixture.fitWeights(["   "])).toThrow("at least one token");
+  });
+
+  test("mixtures can be nested as components", () => {
+    const domain = trained(domainText);
+    const general = trained(generalText);
+    const inner = new MixtureModel([domain, general], { weights: [1, 1] });
+    const outer = new MixtureModel([inner, general], { weights: [1, 1] });
+
+    const expected =
+      0.5 * inner.getProbability("cat", "the") + 0.5 * general.getProbability("cat", "the");
+    expect(outer.getProbability("cat", "the")).toBeCloseTo(expected, 12);
+    expect(outer.predict("the", 3).length).toBe(3);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Pruning passes over an Ngram's levels. Each pass only selects [level, context, word]
+ * entries to remove; ModelPruner.remove() applies them, so the entropy criterion can be
+ * evaluated against the unpruned model as in Stolcke (1998).
+ */
+class ModelPruner {
+  /**
+   * Selects every n-gram seen fewer than `minCount` times.
+   * @param {Ngram} ngram - Ngram to inspect
+   * @param {number} minCount - Minimum count an n-gram needs to be kept
+   * @return {Array} - [level, contextKey, word] entries to remove
+   */
+  static countCutoff(ngram, minCount) {
+    const selected = [];
+    ngram.ngrams.forEach((level, i) => {
+      for (const [key, counter] of level.entries()) {
+        for (const [word, count] of counter.counter) {
+          if (count < minCount) selected.push([i + 1, key, word]);
+        }
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * Selects n-grams whose removal changes the model's relative entropy by less than
+   * `threshold`. The model is scored as a Witten-Bell backoff model: removing (h, w)
+   * moves P(w | h) into the backoff mass of h, and the cost is
+   * -P(h) * [P(w|h) * log(P'(w|h) / P(w|h)) + backoff(h) * log(alpha'(h) / alpha(h))].
+   * @param {Ngram} ngram - Ngram to inspect
+   * @param {number} threshold - Relative entropy (in nats) below which n-grams are pruned
+   * @return {Array} - [level, contextKey, word] entries to remove
+   */
+  static entropyPrune(ngram, threshold) {
+    const model = new BackoffModel(ngram);
+    const selected = [];
+
+    ngram.ngrams.forEach((level, i) => {
+      const levelTotal = Array.from(level.values()).reduce((sum, c) => sum + c.total(), 0);
+      if (levelTotal <= 0) return;
+
+      for (const [key, counter] of level.entries()) {
+        const context = key.split(" ");
+        const lower = context.slice(1);
+        const { total, leftover, lowerSeen } = model.summary(context, counter);
+        if (total <= 0) continue;
+
+        const contextProb = total / levelTotal;
+        const alpha = leftover / Math.max(1 - lowerSeen, Number.EPSILON);
+
+        for (const [word, count] of counter.counter) {
+          if (count <= 0) continue;
+          const prob = count / (total + counter.counter.size);
+          const lowerProb = model.probability(word, lower);
+          const prunedAlpha =
+            (leftover + prob) / Math.max(1 - lowerSeen + lowerProb, Number.EPSILON);
+
+          const delta =
+            -contextProb *
+            (prob * Math.log((prunedAlpha * lowerProb) / prob) +
+              leftover * Math.log(prunedAlpha / alpha));
+          if (delta < threshold) selected.push([i + 1, key, word]);
+        }
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * Selects all n-grams of the least frequent contexts beyond `maxContexts` per level.
+   * @param {Ngram} ngram - Ngram to inspect
+   * @param {number} maxContexts - Maximum contexts kept per level
+   * @param {Set<string>} [removed] - "level|key|word" entries already selected by other passes
+   * @return {Array} - [level, contextKey, word] entries to remove
+   */
+  static limitContexts(ngram, maxContexts, removed = new Set()) {
+    const selected = [];
+    ngram.ngrams.forEach((level, i) => {
+      // Rank contexts by the counts that survive the other passes
+      const ranked = Array.from(level.entries())
+        .map(([key, counter]) => {
+          let total = 0;
+          for (const [word, count] of counter.counter) {
+            if (!removed.has(`${i + 1}|${key}|${word}`)) total += count;
+          }
+          return { key, counter, total };
+        })
+        .filter(({ total }) => total > 0)
+        .sort((a, b) => b.total - a.total);
+
+      for (const { key, counter } of ranked.slice(maxContexts)) {
+        for (const word of counter.counter.keys()) selected.push([i + 1, key, word]);
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * Removes the selected entries, dropping contexts left without any counts.
+   * @param {Ngram} ngram - Ngram to modify
+   * @param {Array} selected - [level, contextKey, word] entries
+   * @return {Array<{ level: number, removedNgrams: number, removedContexts: number }>} -
+   *   Per-level removal counts
+   */
+  static remove(ngram, selected) {
+    const levels = ngram.ngrams.map((_, i) => ({
+      level: i + 1,
+      removedNgrams: 0,
+      removedContexts: 0,
+    }));
+
+    for (const [n, key, word] of selected) {
+      const level = ngram.ngrams[n - 1];
+      const counter = level.get(key);
+      if (!counter || !counter.counter.delete(word)) continue;
+      levels[n - 1].removedNgrams++;
+      if (counter.counter.size === 0) {
+        level.delete(key);
+        levels[n - 1].removedContexts++;
+      }
+    }
+    return levels;
+  }
+}
+
+/**
+ * Witten-Bell backoff estimates over an unpruned Ngram, memoized per context.
+ */
+class BackoffModel {
+  constructor(ngram) {
+    this.ngram = ngram;
+    this.summaries = new Map();
+    this.unigrams = ngram.getCounter([]);
+    this.unigramTotal = this.unigrams.total();
+    this.vocabSize = this.unigrams.counter.size;
+  }
+
+  /**
+   * Returns a context's total count, its backoff mass, and the lower-order mass of the
+   * words it has seen.
+   */
+  summary(context, counter) {
+    const key = context.join(" ");
+    let summary = this.summaries.get(key);
+    if (!summary) {
+      const total = counter.total();
+      const types = counter.counter.size;
+      let lowerSeen = 0;
+      for (const word of counter.counter.keys()) {
+        lowerSeen += this.probability(word, context.slice(1));
+      }
+      summary = { total, leftover: types / (total + types), lowerSeen: Math.min(lowerSeen, 1) };
+      this.summaries.set(key, summary);
+    }
+    return summary;
+  }
+
+  probability(word, context) {
+    if (context.length === 0) {
+      // Witten-Bell against a uniform distribution with one slot for unseen words
+      const types = this.vocabSize;
+      const uniform = 1 / (types + 1);
+      return (this.unigrams.get(word) + types * uniform) / (this.unigramTotal + types || 1);
+    }
+
+    const counter = this.ngram.getCounter(context);
+    if (!counter || counter.total() <= 0) return this.probability(word, context.slice(1));
+
+    const count = counter.get(word);
+    if (count > 0) return count / (counter.total() + counter.counter.size);
+
+    const { leftover, lowerSeen } = this.summary(context, counter);
+    return (
+      (leftover / Math.max(1 - lowerSeen, Number.EPSILON)) *
+      this.probability(word, context.slice(1))
+    );
+  }
+}
+
+module.exports = ModelPruner;
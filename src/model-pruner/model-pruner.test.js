@@ -0,0 +1,52 @@
+const ModelPruner = require("./model-pruner");
+const Ngram = require("../ngram/ngram");
+
+describe("ModelPruner", () => {
+  let ngram;
+  const has = (selected, entry) => selected.some((e) => e.join("|") === entry.join("|"));
+
+  beforeEach(() => {
+    ngram = new Ngram(3);
+    ngram.learn(
+      "the cat sat on the mat the cat ate the fish the dog sat on the log the cat sat on the rug"
+    );
+  });
+
+  test("countCutoff selects n-grams below the minimum count", () => {
+    const selected = ModelPruner.countCutoff(ngram, 2);
+    expect(has(selected, [1, "the", "mat"])).toBe(true);
+    expect(has(selected, [1, "the", "cat"])).toBe(false);
+    expect(has(selected, [2, "sat on", "the"])).toBe(false);
+  });
+
+  test("entropyPrune removes redundant higher-order n-grams before informative ones", () => {
+    // "the cat" predicts exactly what "cat" alone predicts
+    const gentle = ModelPruner.entropyPrune(ngram, 0.001);
+    expect(has(gentle, [2, "the cat", "sat"])).toBe(true);
+    expect(has(gentle, [1, "the", "cat"])).toBe(false);
+
+    const aggressive = ModelPruner.entropyPrune(ngram, 0.02);
+    expect(aggressive.length).toBeGreaterThan(gentle.length);
+    gentle.forEach((entry) => expect(has(aggressive, entry)).toBe(true));
+    expect(ModelPruner.entropyPrune(ngram, -Infinity)).toEqual([]);
+  });
+
+  test("limitContexts keeps the most frequent contexts of each level", () => {
+    ModelPruner.remove(ngram, ModelPruner.limitContexts(ngram, 1));
+    expect(Array.from(ngram.ngrams[0].keys())).toEqual(["the"]);
+    expect(ngram.ngrams.every((level) => level.size === 1)).toBe(true);
+  });
+
+  test("remove deletes selected n-grams and empty contexts with per-level counts", () => {
+    const levels = ModelPruner.remove(ngram, [
+      [1, "mat", "the"],
+      [1, "the", "mat"],
+      [1, "the", "mat"],
+      [2, "missing context", "x"],
+    ]);
+    expect(ngram.ngrams[0].has("mat")).toBe(false);
+    expect(ngram.ngrams[0].get("the").get("mat")).toBe(0);
+    expect(levels[0]).toEqual({ level: 1, removedNgrams: 2, removedContexts: 1 });
+    expect(levels[1]).toEqual({ level: 2, removedNgrams: 0, removedContexts: 0 });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Current schema version of serialized LanguageModel state. Bump it whenever the state
+ * layout changes and register a migration from the previous version below.
+ */
+const CURRENT_VERSION = 2;
+
+/**
+ * Normalizes serialized counter entries to [word, count] pairs. Early snapshots stored
+ * counters either as pair arrays or as { word: count } objects.
+ * @param {Array|Object} entries - Serialized counter
+ * @return {Array} - [word, count] pairs
+ */
+function counterEntries(entries) {
+  if (Array.isArray(entries)) return entries.filter(Array.isArray);
+  if (entries && typeof entries === "object") return Object.entries(entries);
+  return [];
+}
+
+/**
+ * Checks that Map-backed n-gram levels hold counters serialized as [word, count] pairs.
+ * @param {Array} ngrams - Serialized n-gram levels
+ * @throws {Error} If a level or counter has another shape
+ */
+function validateNgrams(ngrams) {
+  ngrams.forEach((level, index) => {
+    if (!level || typeof level !== "object" || Array.isArray(level)) {
+      throw new Error(`GrokJS ModelSchema: N-gram level ${index + 1} must be an object`);
+    }
+    for (const [key, entries] of Object.entries(level)) {
+      const valid =
+        Array.isArray(entries) &&
+        entries.every(
+          (entry) =>
+            Array.isArray(entry) && typeof entry[0] === "string" && typeof entry[1] === "number"
+        );
+      if (!valid) {
+        throw new Error(
+          `GrokJS ModelSchema: Counter "${key}" of n-gram level ${index + 1} must be a list of [word, count] pairs`
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Migrations keyed by the version they upgrade from. Each receives a state at that
+ * version and returns a new state at the next version without mutating its input.
+ */
+const MIGRATIONS = {
+  // 1: unversioned snapshots, i.e. LanguageModel.exportState() up to 1.2.4 (tagged only with
+  //    the library version) and FormAutocompleteEngine.saveState() (no version at all).
+  // 2: adds schemaVersion, always-present storage/sentenceBoundaries/smoothing fields and
+  //    counters serialized as [word, count] pairs.
+  1: (state) => {
+    const migrated = {
+      ...state,
+      maxN: state.maxN || 5,
+      storage: state.storage || (state.trie ? "trie" : "map"),
+      sentenceBoundaries: Boolean(state.sentenceBoundaries),
+      smoothing: state.smoothing || null,
+      vocabulary: Array.isArray(state.vocabulary) ? state.vocabulary : [],
+      context: state.context && typeof state.context === "object" ? state.context : {},
+    };
+    if (Array.isArray(state.ngrams)) {
+      migrated.ngrams = state.ngrams.map((level) => {
+        const normalized = {};
+        if (level && typeof level === "object") {
+          for (const [key, entries] of Object.entries(level)) {
+            normalized[key] = counterEntries(entries);
+          }
+        }
+        return normalized;
+      });
+    }
+    return migrated;
+  },
+};
+
+/**
+ * Versioning and migration pipeline for serialized model state. Every loader in the
+ * library (LanguageModel.importState/loadModel/importBinary and
+ * FormAutocompleteEngine.loadState) passes saved state through migrate() so snapshots
+ * from older releases keep loading after upgrades.
+ */
+class ModelSchema {
+  /**
+   * Returns the schema version of a serialized state (1 for unversioned snapshots).
+   * @param {Object} state - Serialized model state
+   * @return {number} - Schema version
+   */
+  static versionOf(state) {
+    return state && Number.isInteger(state.schemaVersion) ? state.schemaVersion : 1;
+  }
+
+  /**
+   * Upgrades a serialized state to the current schema version.
+   * @param {Object} state - Serialized model state
+   * @return {Object} - State at the current schema version
+   * @throws {Error} If the state was written by a newer, unsupported schema version, or
+   *   its n-gram counters are malformed
+   */
+  static migrate(state) {
+    if (!state || typeof state !== "object") {
+      throw new Error("GrokJS ModelSchema: Model state must be an object");
+    }
+
+    let version = ModelSchema.versionOf(state);
+    if (version > CURRENT_VERSION) {
+      throw new Error(
+        `GrokJS ModelSchema: Model state schema version ${version} is newer than supported version ${CURRENT_VERSION}; upgrade GrokJS to load it`
+      );
+    }
+
+    let migrated = { ...state };
+    while (version < CURRENT_VERSION) {
+      const migration = MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`GrokJS ModelSchema: No migration from schema version ${version}`);
+      }
+      migrated = migration(migrated);
+      version++;
+    }
+    migrated.schemaVersion = CURRENT_VERSION;
+    if (Array.isArray(migrated.ngrams)) validateNgrams(migrated.ngrams);
+    return migrated;
+  }
+}
+
+ModelSchema.CURRENT_VERSION = CURRENT_VERSION;
+
+module.exports = ModelSchema;
@@ -0,0 +1,70 @@
+const ModelSchema = require("./model-schema");
+const LanguageModel = require("../language-model/language-model");
+
+describe("ModelSchema", () => {
+  test("versionOf treats unversioned snapshots as schema version 1", () => {
+    expect(ModelSchema.versionOf({ version: "1.2.4" })).toBe(1);
+    expect(ModelSchema.versionOf({ schemaVersion: 2 })).toBe(2);
+    expect(ModelSchema.versionOf(null)).toBe(1);
+  });
+
+  test("migrate upgrades 1.2.4 exports with object-form counters", () => {
+    const legacy = {
+      version: "1.2.4",
+      maxN: 2,
+      ngrams: [{ hello: { world: 2 } }, { "hello world": [["again", 1]] }],
+      vocabulary: ["hello", "world", "again"],
+    };
+    const migrated = ModelSchema.migrate(legacy);
+
+    expect(migrated.schemaVersion).toBe(ModelSchema.CURRENT_VERSION);
+    expect(migrated.version).toBe("1.2.4");
+    expect(migrated.ngrams).toEqual([{ hello: [["world", 2]] }, { "hello world": [["again", 1]] }]);
+    expect(migrated.storage).toBe("map");
+    expect(migrated.sentenceBoundaries).toBe(false);
+    expect(migrated.smoothing).toBeNull();
+    expect(migrated.context).toEqual({});
+    // The input snapshot is left untouched
+    expect(legacy.ngrams[0].hello).toEqual({ world: 2 });
+    expect(legacy.schemaVersion).toBeUndefined();
+  });
+
+  test("migrate upgrades unversioned FormAutocompleteEngine snapshots", () => {
+    const migrated = ModelSchema.migrate({
+      maxN: 3,
+      ngrams: [{ hi: [["there", 1]] }, {}, {}],
+      vocabulary: ["hi", "there"],
+      context: { language: "English" },
+    });
+    expect(migrated.schemaVersion).toBe(ModelSchema.CURRENT_VERSION);
+    expect(migrated.context).toEqual({ language: "English" });
+    expect(migrated.ngrams[0]).toEqual({ hi: [["there", 1]] });
+  });
+
+  test("migrate passes current states through and rejects newer or invalid ones", () => {
+    const current = { schemaVersion: ModelSchema.CURRENT_VERSION, maxN: 3, ngrams: [] };
+    expect(ModelSchema.migrate(current)).toEqual(current);
+    expect(ModelSchema.migrate(current)).not.toBe(current);
+
+    expect(() => ModelSchema.migrate({ schemaVersion: ModelSchema.CURRENT_VERSION + 1 })).toThrow(
+      /newer than supported version .*upgrade GrokJS/
+    );
+    expect(() => ModelSchema.migrate("state")).toThrow(/must be an object/);
+  });
+
+  test("migrate rejects malformed counters with a descriptive error", () => {
+    const state = (counter) => ({ schemaVersion: 2, maxN: 1, ngrams: [{ hello: counter }] });
+    expect(ModelSchema.migrate(state([["world", 2]])).ngrams[0].hello).toEqual([["world", 2]]);
+    expect(() => ModelSchema.migrate(state({ world: 2 }))).toThrow(
+      'Counter "hello" of n-gram level 1 must be a list of [word, count] pairs'
+    );
+    expect(() => ModelSchema.migrate(state([{ word: "world" }]))).toThrow(/\[word, count\] pairs/);
+    expect(() => ModelSchema.migrate({ schemaVersion: 2, ngrams: [null] })).toThrow(
+      "N-gram level 1 must be an object"
+    );
+
+    expect(() => new LanguageModel().importState(state({ world: 2 }))).toThrow(
+      /GrokJS ModelSchema: Counter "hello"/
+    );
+  });
+});
@@ -0,0 +1,387 @@
+const Counter = require("../counter/counter");
+
+/**
+ * Prefix trie of n-gram contexts. Every context is a path of tokens from the root, so
+ * contexts that share a prefix share nodes instead of each storing a full space-joined key.
+ * Nodes at depth n hold the Counter of words observed after that n-token context; only
+ * depths from `minDepth` upward carry counters, shallower nodes are pure prefix nodes.
+ * With a Vocabulary, path tokens are interned and children are keyed by integer IDs.
+ */
+class NgramTrie {
+  /**
+   * Constructs an NgramTrie.
+   * @param {number} [minDepth=1] - Shallowest context length that stores counters
+   * @param {Vocabulary} [vocabulary=null] - Vocabulary used to intern path tokens as IDs
+   */
+  constructor(minDepth = 1, vocabulary = null) {
+    this.minDepth = minDepth;
+    this.vocabulary = vocabulary;
+    this.root = NgramTrie._node();
+    this.nodeCount = 0;
+    // Number of stored contexts per depth
+    this.sizes = [];
+  }
+
+  static _node() {
+    return { children: new Map(), counter: null };
+  }
+
+  /**
+   * Maps a token to its child key: the token itself, or its Vocabulary ID when interning.
+   * @param {string} token - Path token
+   * @param {boolean} [create=false] - Whether to add unknown tokens to the Vocabulary
+   * @return {string|number|undefined} - Child key, or undefined for unknown tokens
+   */
+  _key(token, create = false) {
+    if (!this.vocabulary) return token;
+    if (create) return this.vocabulary.addToken(token);
+    return this.vocabulary.tokenToIdMap.get(token);
+  }
+
+  /**
+   * Maps a child key back to its token.
+   * @param {string|number} key - Child key
+   * @return {string} - Token
+   */
+  _token(key) {
+    return this.vocabulary ? this.vocabulary.lookupId(key) : key;
+  }
+
+  /**
+   * Returns the child of a node for a token, creating it when missing.
+   * @param {Object} node - Parent node
+   * @param {string} token - Path token
+   * @return {Object} - Child node
+   */
+  _child(node, token) {
+    const key = this._key(token, true);
+    let child = node.children.get(key);
+    if (!child) {
+      child = NgramTrie._node();
+      node.children.set(key, child);
+      this.nodeCount++;
+    }
+    return child;
+  }
+
+  /**
+   * Returns the node reached by following the given tokens, or undefined.
+   * @param {string[]} tokens - Context tokens
+   * @return {Object|undefined} - Trie node
+   */
+  _find(tokens) {
+    let node = this.root;
+    for (const token of tokens) {
+      const key = this._key(token);
+      node = key === undefined ? undefined : node.children.get(key);
+      if (!node) return undefined;
+    }
+    return node;
+  }
+
+  /**
+   * Returns the Counter stored for a context.
+   * @param {string[]} tokens - Context tokens
+   * @return {Counter|undefined} - Counter of following words, or undefined if unseen
+   */
+  getCounter(tokens) {
+    const node = this._find(tokens);
+    return node && node.counter ? node.counter : undefined;
+  }
+
+  /**
+   * Stores a Counter for a context, creating the path as needed.
+   * @param {string[]} tokens - Context tokens (at least `minDepth` of them)
+   * @param {Counter} counter - Counter to store
+   */
+  setCounter(tokens, counter) {
+    if (tokens.length < this.minDepth) {
+      throw new Error(
+        `GrokJS NgramTrie: contexts shorter than ${this.minDepth} tokens cannot hold counts`
+      );
+    }
+    let node = this.root;
+    for (const token of tokens) node = this._child(node, token);
+    if (!node.counter) this.sizes[tokens.length] = (this.sizes[tokens.length] || 0) + 1;
+    node.counter = counter;
+  }
+
+  /**
+   * Records every context of `minDepth`..`maxDepth` tokens starting at `start`, together with
+   * the word that follows it, walking the shared path once instead of once per order.
+   * @param {string[]} tokens - Token sequence
+   * @param {number} start - Index of the first context token
+   * @param {number} maxDepth - Longest context length to record
+   * @param {Function} [skip] - Predicate on a context's last token; matching contexts are not
+   *   recorded and the walk stops there
+   * @param {number} [weight=1] - Amount each observation is counted with
+   * @param {number} [from=0] - Index of the first new token; contexts followed by an earlier
+   *   token are walked but not recorded
+   */
+  addSequence(tokens, start, maxDepth, skip, weight = 1, from = 0) {
+    let node = this.root;
+    for (let depth = 1; depth <= maxDepth && start + depth <= tokens.length; depth++) {
+      const token = tokens[start + depth - 1];
+      if (skip && skip(token)) return;
+
+      node = this._child(node, token);
+
+      if (depth >= this.minDepth && start + depth >= from) {
+        if (!node.counter) {
+          node.counter = new Counter();
+          this.sizes[depth] = (this.sizes[depth] || 0) + 1;
+        }
+        node.counter.increment(tokens[start + depth] || "", weight);
+      }
+    }
+  }
+
+  /**
+   * Removes the Counter of a context and any prefix nodes left without descendants.
+   * @param {string[]} tokens - Context tokens
+   * @return {boolean} - True if a context was removed
+   */
+  delete(tokens) {
+    const keys = tokens.map((token) => this._key(token));
+    const path = [this.root];
+    for (const key of keys) {
+      const next = key === undefined ? undefined : path[path.length - 1].children.get(key);
+      if (!next) return false;
+      path.push(next);
+    }
+    const node = path[path.length - 1];
+    if (!node.counter) return false;
+
+    node.counter = null;
+    this.sizes[tokens.length]--;
+    for (let i = path.length - 1; i > 0; i--) {
+      const current = path[i];
+      if (current.counter || current.children.size > 0) break;
+      path[i - 1].children.delete(keys[i - 1]);
+      this.nodeCount--;
+    }
+    return true;
+  }
+
+  /**
+   * Iterates over every stored context of the given length.
+   * @param {number} depth - Context length in tokens
+   * @yields {Array} - [contextTokens, Counter] pairs
+   */
+  *entries(depth) {
+    const tokens = [];
+    const trie = this;
+    function* walk(node) {
+      if (tokens.length === depth) {
+        if (node.counter) yield [tokens.slice(), node.counter];
+        return;
+      }
+      for (const [key, child] of node.children) {
+        tokens.push(trie._token(key));
+        yield* walk(child);
+        tokens.pop();
+      }
+    }
+    yield* walk(this.root);
+  }
+
+  /**
+   * Returns the number of stored contexts of the given length.
+   * @param {number} depth - Context length in tokens
+   * @return {number} - Number of contexts
+   */
+  size(depth) {
+    return this.sizes[depth] || 0;
+  }
+
+  /**
+   * Removes every context of the given length whose total count is below `minCount`.
+   * @param {number} depth - Context length in tokens
+   * @param {number} minCount - Minimum total count a context needs to be kept
+   * @return {number} - Number of contexts removed
+   */
+  prune(depth, minCount) {
+    const doomed = [];
+    for (const [tokens, counter] of this.entries(depth)) {
+      if (counter.total() < minCount) doomed.push(tokens);
+    }
+    doomed.forEach((tokens) => this.delete(tokens));
+    return doomed.length;
+  }
+
+  /**
+   * Removes every stored context and node.
+   */
+  clear() {
+    this.root = NgramTrie._node();
+    this.nodeCount = 0;
+    this.sizes = [];
+  }
+
+  /**
+   * Packs the trie into a token table plus two flat numeric streams, written depth first.
+   * `structure` holds, per node, its outcome count (+1, 0 meaning no counter) and child
+   * count, then the outcome token indices (+1, 0 meaning the "" end marker), then each
+   * child's token index followed by the child itself. `counts` holds the outcome counts
+   * in the same order. The token table holds only the tokens the trie still references, so
+   * words removed from it (e.g. by forget or pruning) are not packed, even though an
+   * interning Vocabulary keeps their IDs.
+   * @param {Object} [options={}] - Packing options
+   * @param {boolean} [options.typedArrays=false] - Return Uint32Array/Float64Array streams
+   * @return {{ tokens: string[], structure: number[]|Uint32Array, counts: number[]|Float64Array }}
+   */
+  pack(options = {}) {
+    const table = new Map();
+    const tokens = [];
+    const intern = (token) => {
+      if (!table.has(token)) {
+        table.set(token, tokens.length);
+        tokens.push(token);
+      }
+      return table.get(token);
+    };
+
+    const structure = [];
+    const counts = [];
+    const write = (node) => {
+      const outcomes = node.counter ? node.counter.counter : null;
+      structure.push(outcomes ? outcomes.size + 1 : 0, node.children.size);
+      if (outcomes) {
+        for (const [word, count] of outcomes) {
+          structure.push(word === "" ? 0 : intern(word) + 1);
+          counts.push(count);
+        }
+      }
+      for (const [key, child] of node.children) {
+        structure.push(intern(this._token(key)));
+        write(child);
+      }
+    };
+    write(this.root);
+
+    if (!options.typedArrays) return { tokens, structure, counts };
+    return {
+      tokens,
+      structure: Uint32Array.from(structure),
+      counts: Float64Array.from(counts),
+    };
+  }
+
+  /**
+   * Replaces the trie contents with data produced by pack(). Token indices are resolved
+   * through the packed token table, so IDs are remapped into this trie's Vocabulary.
+   * @param {Object} packed - Packed trie ({ tokens, structure, counts })
+   */
+  load(packed) {
+    if (!packed || !Array.isArray(packed.tokens) || !packed.structure || !packed.counts) {
+      throw new Error("GrokJS NgramTrie: packed data must provide tokens, structure and counts");
+    }
+    const { tokens, structure, counts } = packed;
+    let pos = 0;
+    let countPos = 0;
+    const token = (index) => {
+      if (index >= tokens.length) {
+        throw new Error(`GrokJS NgramTrie: token index ${index} is outside the token table`);
+      }
+      return tokens[index];
+    };
+
+    this.clear();
+    const read = (node, depth) => {
+      const outcomeSlots = structure[pos++];
+      const childCount = structure[pos++];
+      if (outcomeSlots > 0) {
+        node.counter = new Counter();
+        for (let i = 0; i < outcomeSlots - 1; i++) {
+          const index = structure[pos++];
+          node.counter.increment(index === 0 ? "" : token(index - 1), counts[countPos++]);
+        }
+        this.sizes[depth] = (this.sizes[depth] || 0) + 1;
+      }
+      for (let i = 0; i < childCount; i++) {
+        read(this._child(node, token(structure[pos++])), depth + 1);
+      }
+    };
+    read(this.root, 0);
+  }
+
+  /**
+   * Returns a Map-like view of the contexts of one length, keyed by space-joined tokens,
+   * so trie-backed levels can sit in `Ngram.ngrams` next to plain Maps.
+   * @param {number} depth - Context length in tokens
+   * @return {Object} - View supporting get/has/set/delete/clear/size and iteration
+   */
+  level(depth) {
+    return new NgramTrieLevel(this, depth);
+  }
+}
+
+/**
+ * Map-compatible view over the contexts of one depth of an NgramTrie.
+ */
+class NgramTrieLevel {
+  constructor(trie, depth) {
+    this.trie = trie;
+    this.depth = depth;
+  }
+
+  _tokens(key) {
+    const tokens = typeof key === "string" ? key.split(" ") : [];
+    return tokens.length === this.depth ? tokens : null;
+  }
+
+  get size() {
+    return this.trie.size(this.depth);
+  }
+
+  get(key) {
+    const tokens = this._tokens(key);
+    return tokens ? this.trie.getCounter(tokens) : undefined;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  set(key, counter) {
+    const tokens = this._tokens(key);
+    if (!tokens) {
+      throw new Error(`GrokJS NgramTrie: "${key}" is not a ${this.depth}-token context`);
+    }
+    this.trie.setCounter(tokens, counter);
+    return this;
+  }
+
+  delete(key) {
+    const tokens = this._tokens(key);
+    return tokens ? this.trie.delete(tokens) : false;
+  }
+
+  clear() {
+    for (const [tokens] of Array.from(this.trie.entries(this.depth))) this.trie.delete(tokens);
+  }
+
+  *entries() {
+    for (const [tokens, counter] of this.trie.entries(this.depth)) {
+      yield [tokens.join(" "), counter];
+    }
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, counter] of this.entries()) yield counter;
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, counter] of this.entries()) callback.call(thisArg, counter, key, this);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = NgramTrie;
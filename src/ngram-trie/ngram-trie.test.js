@@ -0,0 +1,95 @@
+const NgramTrie = require("./ngram-trie");
+const Counter = require("../counter/counter");
+
+describe("NgramTrie", () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new NgramTrie(2);
+    trie.addSequence(["a", "b", "c", "d"], 0, 3);
+    trie.addSequence(["a", "b", "x"], 0, 3);
+  });
+
+  test("addSequence records every context from minDepth along one shared path", () => {
+    expect(trie.getCounter(["a"])).toBeUndefined();
+    expect(trie.getCounter(["a", "b"]).get("c")).toBe(1);
+    expect(trie.getCounter(["a", "b"]).get("x")).toBe(1);
+    expect(trie.getCounter(["a", "b", "c"]).get("d")).toBe(1);
+    expect(trie.getCounter(["a", "b", "x"]).get("")).toBe(1);
+    // a -> b is shared, then c and x branch off
+    expect(trie.nodeCount).toBe(4);
+    expect(trie.size(2)).toBe(1);
+    expect(trie.size(3)).toBe(2);
+  });
+
+  test("entries iterates contexts of one depth", () => {
+    const keys = Array.from(trie.entries(3), ([tokens]) => tokens.join(" "));
+    expect(keys).toEqual(["a b c", "a b x"]);
+  });
+
+  test("delete removes the counter and orphaned prefix nodes", () => {
+    expect(trie.delete(["a", "b", "x"])).toBe(true);
+    expect(trie.getCounter(["a", "b", "x"])).toBeUndefined();
+    expect(trie.nodeCount).toBe(3);
+    expect(trie.delete(["a", "b", "x"])).toBe(false);
+  });
+
+  test("prune drops contexts below a total count", () => {
+    trie.addSequence(["a", "b", "c", "d"], 0, 3);
+    expect(trie.prune(3, 2)).toBe(1);
+    expect(trie.getCounter(["a", "b", "c"]).get("d")).toBe(2);
+    expect(trie.getCounter(["a", "b", "x"])).toBeUndefined();
+  });
+
+  test("level exposes a Map-compatible view keyed by space-joined tokens", () => {
+    const level = trie.level(3);
+    expect(level.size).toBe(2);
+    expect(level.get("a b c").get("d")).toBe(1);
+    expect(level.has("a b")).toBe(false);
+    expect(Array.from(level.keys())).toEqual(["a b c", "a b x"]);
+
+    level.set("q r s", new Counter(["t"]));
+    expect(trie.getCounter(["q", "r", "s"]).get("t")).toBe(1);
+    expect(() => level.set("q r", new Counter())).toThrow(/not a 3-token context/);
+
+    level.clear();
+    expect(level.size).toBe(0);
+    expect(trie.size(2)).toBe(1);
+  });
+
+  test("interns path tokens as Vocabulary IDs when given a vocabulary", () => {
+    const Vocabulary = require("../vocabulary/vocabulary");
+    const vocabulary = new Vocabulary();
+    const interned = new NgramTrie(1, vocabulary);
+    interned.addSequence(["hello", "world"], 0, 2);
+
+    const helloId = vocabulary.lookup("hello");
+    expect(Array.from(interned.root.children.keys())).toEqual([helloId]);
+    expect(interned.getCounter(["hello"]).get("world")).toBe(1);
+    expect(interned.getCounter(["unknown"])).toBeUndefined();
+    expect(Array.from(interned.entries(2), ([tokens]) => tokens)).toEqual([["hello", "world"]]);
+  });
+
+  test("pack and load round-trip counts, end markers and typed arrays", () => {
+    trie.getCounter(["a", "b"]).increment("c", 0.5);
+    const packed = trie.pack();
+    expect(packed.tokens).toEqual(["a", "b", "c", "x", "d"]);
+
+    for (const data of [packed, trie.pack({ typedArrays: true })]) {
+      const copy = new NgramTrie(2);
+      copy.load(data);
+      expect(copy.getCounter(["a", "b"]).get("c")).toBe(1.5);
+      expect(copy.getCounter(["a", "b", "x"]).get("")).toBe(1);
+      expect(copy.nodeCount).toBe(trie.nodeCount);
+      expect(copy.size(3)).toBe(2);
+    }
+    expect(trie.pack({ typedArrays: true }).structure).toBeInstanceOf(Uint32Array);
+  });
+
+  test("load rejects malformed packed data", () => {
+    expect(() => new NgramTrie().load({ tokens: [] })).toThrow(/must provide/);
+    expect(() => new NgramTrie().load({ tokens: [], structure: [0, 1, 7], counts: [] })).toThrow(
+      /outside the token table/
+    );
+  });
+});
@@ -1,14 +1,84 @@
 const Counter = require("../counter/counter");
 const Tokenizer = require("../tokenizer/tokenizer");
+const Vocabulary = require("../vocabulary/vocabulary");
+const Corpus = require("../corpus/corpus");
+const NgramTrie = require("../ngram-trie/ngram-trie");
+
+// Levels at or above this context length are stored in a shared prefix trie by default
+const DEFAULT_TRIE_FROM = 6;
+const DEFAULT_MAX_TRIE_NODES = 100000;
+const STORAGE_BACKENDS = ["map", "trie"];
+
+// With a half-life, stored counts are rescaled once new observations would be weighted
+// above this factor, and decayed counts below MIN_DECAYED_COUNT are dropped
+const DECAY_RESCALE_WEIGHT = 1.1;
+const MIN_DECAYED_COUNT = 1e-3;
 
 class Ngram {
+  /**
+   * Constructs an Ngram instance.
+   * @param {number} [maxN=5] - Maximum n-gram level
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Log model updates and predictions
+   * @param {boolean} [options.sentenceBoundaries=false] - Learn each sentence separately,
+   *   padded with beginning/end-of-sentence tokens
+   * @param {Vocabulary} [options.vocabulary] - Vocabulary supplying the `<s>`/`</s>` tokens
+   * @param {number} [options.trieFrom=6] - First level stored in the shared prefix trie
+   *   instead of a Map keyed by space-joined strings
+   * @param {number} [options.maxTrieNodes=100000] - Trie node budget; when exceeded, the
+   *   least frequent contexts are pruned, highest order first
+   * @param {string} [options.storage="map"] - "map" keeps levels below `trieFrom` in Maps;
+   *   "trie" stores every level in one trie whose tokens are interned as Vocabulary IDs
+   * @param {number} [options.halfLife] - Time in milliseconds after which an observation
+   *   counts half as much as a new one; counts do not decay when omitted
+   * @param {Function} [options.clock=Date.now] - Returns the current time in milliseconds
+   */
   constructor(maxN = 5, options = {}) {
-    // Limit the maximum n-gram size to 5
-    this.maxN = Math.min(maxN, 5);
+    this.maxN = Math.max(1, Math.floor(maxN));
+    this.options = options;
     this.debug = options.debug || false;
+    this.sentenceBoundaries = options.sentenceBoundaries || false;
+
+    this.storage = options.storage || "map";
+    if (!STORAGE_BACKENDS.includes(this.storage)) {
+      throw new Error(`GrokJS Ngram: Unknown storage backend "${this.storage}"`);
+    }
+
+    if (
+      options.halfLife !== undefined &&
+      options.halfLife !== null &&
+      !(typeof options.halfLife === "number" && options.halfLife > 0)
+    ) {
+      throw new Error("GrokJS Ngram: halfLife must be a positive number of milliseconds");
+    }
+    this.halfLife = options.halfLife || null;
+    this.clock = options.clock || Date.now;
+    // Time at which stored counts are exact; later observations are weighted up relative to it
+    this.decayLandmark = this.halfLife ? this.clock() : null;
 
-    // Initialize ngrams as an array of Maps, one for each n-gram level from 1 to maxN
-    this.ngrams = new Array(this.maxN).fill(0).map(() => new Map());
+    this.vocabulary = options.vocabulary || new Vocabulary();
+    this.bosToken = this.vocabulary.bosToken;
+    this.eosToken = this.vocabulary.eosToken;
+
+    // Lower levels are Maps; higher levels share one trie so long contexts reuse their
+    // prefixes, and are exposed through Map-compatible views
+    const trieFrom =
+      this.storage === "trie" ? 1 : Math.max(1, options.trieFrom || DEFAULT_TRIE_FROM);
+    this.maxTrieNodes = options.maxTrieNodes || DEFAULT_MAX_TRIE_NODES;
+    this.trie =
+      this.maxN >= trieFrom
+        ? new NgramTrie(trieFrom, this.storage === "trie" ? this.vocabulary : null)
+        : null;
+    this.ngrams = new Array(this.maxN)
+      .fill(0)
+      .map((_, i) => (this.trie && i + 1 >= trieFrom ? this.trie.level(i + 1) : new Map()));
+
+    // Bumped on every mutation so derived statistics (e.g. smoothing caches) can be invalidated
+    this.revision = 0;
+    this._unigrams = null;
+    // Bumped whenever updateModel() pruned the trie to stay within maxTrieNodes, which can
+    // drop words the owner's vocabulary still lists
+    this.autoPrunes = 0;
 
     this.tokenizer = new Tokenizer();
 
@@ -27,14 +97,38 @@ class Ngram {
     return tokens;
   }
 
+  /**
+   * Tokenizes a prefix into the context used for prediction. With sentence boundaries
+   * enabled, only the last (unfinished) sentence is kept, preceded by the `<s>` token.
+   * @param {string} text - The prefix text
+   * @return {string[]} - Context tokens
+   */
+  tokenizeContext(text) {
+    if (!this.sentenceBoundaries) return this.tokenize(text);
+
+    const sentences = Corpus.splitSentences(text);
+    const finished = sentences.length === 0 || /[.!?]$/.test(text.trim());
+    const tokens = finished ? [] : this.tokenize(sentences[sentences.length - 1]);
+    return [this.bosToken, ...tokens];
+  }
+
   /**
    * Updates the n-gram model with the given tokens.
+   * N-grams ending in the end-of-sentence token are not extended, since nothing follows it.
    * @param {string[]} tokens - Array of tokens to update the model with
+   * @param {number} [count=1] - Number of times the sequence was observed
+   * @param {number} [from=0] - Index of the first new token; the tokens before it are only
+   *   context, so only n-grams whose next word is at or after it are counted, and the first
+   *   new token replaces an end of text or sentence counted after the context
    */
-  updateModel(tokens) {
+  updateModel(tokens, count = 1, from = 0) {
     if (this.debug) console.log("Updating model with tokens:", tokens);
-    for (let n = 1; n <= this.maxN; n++) {
-      for (let i = 0; i <= tokens.length - n; i++) {
+    const weight = count * this.decayWeight();
+    const mapLevels = this.trie ? this.trie.minDepth - 1 : this.maxN;
+    for (let n = 1; n <= mapLevels; n++) {
+      for (let i = Math.max(0, from - n); i <= tokens.length - n; i++) {
+        if (tokens[i + n - 1] === this.eosToken) continue;
+
         // Create the n-gram key by joining n tokens
         let ngram = tokens.slice(i, i + n).join(" ");
         // Determine the next word, or use an empty string if it's the end of the sequence
@@ -46,11 +140,143 @@ class Ngram {
         }
 
         // Increment the count for the next word following this n-gram
-        this.ngrams[n - 1].get(ngram).increment(nextWord);
+        this.ngrams[n - 1].get(ngram).increment(nextWord, weight);
         if (this.debug)
           console.log(`Updated ${n}-gram for "${ngram}" with next word "${nextWord}"`);
       }
     }
+
+    if (from > 0) {
+      // The context was trained as the end of a text or sentence, which the new tokens
+      // continue instead
+      const end = this.sentenceBoundaries ? this.eosToken : "";
+      for (let n = 1; n <= Math.min(this.maxN, from); n++) {
+        const counter = this.getCounter(tokens.slice(from - n, from));
+        if (counter) counter.decrement(end, Math.min(counter.get(end), weight));
+      }
+    }
+
+    if (this.trie) {
+      // One walk per position records every trie level starting there
+      const isEos = (token) => token === this.eosToken;
+      for (let i = Math.max(0, from - this.maxN); i < tokens.length; i++) {
+        this.trie.addSequence(tokens, i, this.maxN, isEos, weight, from);
+      }
+      if (this.trie.nodeCount > this.maxTrieNodes && this.pruneTrie() > 0) this.autoPrunes++;
+    }
+    this.revision++;
+  }
+
+  /**
+   * Returns the weight a new observation is counted with under time decay. Instead of
+   * decaying every stored count continuously, counts are kept as of `decayLandmark` and
+   * new observations are weighted by 2^(elapsed / halfLife), which gives the same
+   * conditional probabilities. Once that weight exceeds DECAY_RESCALE_WEIGHT, stored
+   * counts are decayed to the present (see applyDecay) and the weight returns to 1.
+   * @return {number} - Observation weight (1 without a half-life)
+   */
+  decayWeight() {
+    if (!this.halfLife) return 1;
+    const weight = Math.pow(2, (this.clock() - this.decayLandmark) / this.halfLife);
+    if (weight <= DECAY_RESCALE_WEIGHT) return Math.max(weight, 1);
+    this.applyDecay();
+    return 1;
+  }
+
+  /**
+   * Decays every stored count to the given time and moves the landmark there. Counts that
+   * fall below MIN_DECAYED_COUNT are dropped, along with contexts left without counts.
+   * @param {number} [now=this.clock()] - Time in milliseconds to decay to
+   * @return {number} - Number of contexts removed
+   */
+  applyDecay(now = this.clock()) {
+    if (!this.halfLife || now <= this.decayLandmark) return 0;
+    const factor = Math.pow(2, -(now - this.decayLandmark) / this.halfLife);
+    let removed = 0;
+    for (const level of this.ngrams) {
+      for (const [key, counter] of Array.from(level.entries())) {
+        if (counter.scale(factor, MIN_DECAYED_COUNT).counter.size === 0) {
+          level.delete(key);
+          removed++;
+        }
+      }
+    }
+    this.decayLandmark = now;
+    this.revision++;
+    if (this.debug) console.log(`Applied time decay ${factor}, removed ${removed} contexts`);
+    return removed;
+  }
+
+  /**
+   * Prunes trie-backed levels. With `minCount`, every trie context seen fewer times is
+   * removed. Without it, the threshold is raised step by step, starting at the highest
+   * order, until the trie is back under three quarters of `maxTrieNodes`.
+   * @param {number} [minCount] - Minimum total count a context needs to be kept
+   * @return {number} - Number of contexts removed
+   */
+  pruneTrie(minCount) {
+    if (!this.trie) return 0;
+    let removed = 0;
+
+    if (minCount !== undefined) {
+      for (let depth = this.maxN; depth >= this.trie.minDepth; depth--) {
+        removed += this.trie.prune(depth, minCount);
+      }
+    } else {
+      const target = Math.floor(this.maxTrieNodes * 0.75);
+      for (let threshold = 2; this.trie.nodeCount > target; threshold *= 2) {
+        for (let depth = this.maxN; depth >= this.trie.minDepth; depth--) {
+          if (this.trie.nodeCount <= target) break;
+          removed += this.trie.prune(depth, threshold);
+        }
+      }
+    }
+
+    if (removed > 0) this.revision++;
+    if (this.debug) console.log(`Pruned ${removed} trie contexts`);
+    return removed;
+  }
+
+  /**
+   * Returns the Counter of words observed after the given context tokens.
+   * An empty context yields unigram counts derived from the first n-gram level
+   * (excluding the `<s>` padding token).
+   * @param {string[]} contextTokens - Context tokens (at most maxN)
+   * @return {Counter|undefined} - Counter of following words, or undefined if unseen
+   */
+  getCounter(contextTokens) {
+    const n = contextTokens.length;
+    if (n === 0) {
+      if (!this._unigrams || this._unigrams.revision !== this.revision) {
+        const counter = new Counter();
+        for (const [word, next] of this.ngrams[0]) {
+          const total = next.total();
+          if (word && word !== this.bosToken && total > 0) counter.increment(word, total);
+        }
+        this._unigrams = { revision: this.revision, counter };
+      }
+      return this._unigrams.counter;
+    }
+    if (n > this.maxN) return undefined;
+    if (this.trie && n >= this.trie.minDepth) return this.trie.getCounter(contextTokens);
+    return this.ngrams[n - 1].get(contextTokens.join(" "));
+  }
+
+  /**
+   * Iterates over every stored context of the given length.
+   * @param {number} length - Context length in tokens (1 to maxN)
+   * @yields {Array} - [contextTokens, Counter] pairs
+   */
+  *contexts(length) {
+    if (this.trie && length >= this.trie.minDepth && length <= this.maxN) {
+      yield* this.trie.entries(length);
+      return;
+    }
+    const map = this.ngrams[length - 1];
+    if (!map) return;
+    for (const [key, counter] of map) {
+      yield [key.split(" "), counter];
+    }
   }
 
   /**
@@ -59,13 +285,13 @@ class Ngram {
    * @return {string[]} Array of predicted words
    */
   predictNextWord(prefix) {
-    let tokens = this.tokenize(prefix);
+    let tokens = this.tokenizeContext(prefix);
     if (this.debug) console.log("Predicting next word for prefix:", prefix, "Tokens:", tokens);
 
     // Start from the largest possible n-gram and work downwards
     for (let n = Math.min(tokens.length, this.maxN); n > 0; n--) {
       let ngram = tokens.slice(-n).join(" ");
-      let counter = this.ngrams[n - 1].get(ngram);
+      let counter = this.getCounter(tokens.slice(-n));
 
       if (counter) {
         // Sort predictions by frequency and extract the words
@@ -78,12 +304,28 @@ class Ngram {
     return [];
   }
 
+  /**
+   * Splits text into the token sequences the model learns from: the whole text, or with
+   * sentence boundaries enabled, each sentence as `<s> ... </s>`.
+   * @param {string} text - The text to split
+   * @return {string[][]} - Token sequences
+   */
+  sequences(text) {
+    if (!this.sentenceBoundaries) return [this.tokenize(text)];
+    return Corpus.splitSentences(text)
+      .map((sentence) => this.tokenize(sentence))
+      .filter((tokens) => tokens.length > 0)
+      .map((tokens) => [this.bosToken, ...tokens, this.eosToken]);
+  }
+
   /**
    * Learns from the provided text by updating the model.
+   * With sentence boundaries enabled, each sentence is learned as `<s> ... </s>`
+   * so that no n-gram spans two sentences.
    * @param {string} text - The text to learn from
    */
   learn(text) {
-    this.updateModel(this.tokenize(text));
+    for (const tokens of this.sequences(text)) this.updateModel(tokens);
     if (this.debug) console.log("Learned from text:", text);
   }
 }
@@ -76,4 +76,147 @@ describe("Ngram", () => {
     expect(ngram.ngrams[1].get("hello world").get("how")).toBe(1);
     expect(ngram.ngrams[1].get("hello world").get("again")).toBe(1);
   });
+
+  test("getCounter returns context counters and derived unigram counts", () => {
+    ngram.learn("hello world hello there");
+    expect(ngram.getCounter(["hello"]).get("world")).toBe(1);
+    expect(ngram.getCounter(["hello", "world"]).get("hello")).toBe(1);
+    expect(ngram.getCounter(["missing"])).toBeUndefined();
+    expect(ngram.getCounter([]).get("hello")).toBe(2);
+    expect(ngram.getCounter([]).total()).toBe(4);
+  });
+
+  test("contexts iterates stored contexts of a given length and revision tracks updates", () => {
+    const revision = ngram.revision;
+    ngram.learn("a b c");
+    expect(ngram.revision).toBeGreaterThan(revision);
+    const keys = Array.from(ngram.contexts(2), ([tokens]) => tokens.join(" "));
+    expect(keys).toEqual(["a b", "b c"]);
+    expect(Array.from(ngram.contexts(9))).toEqual([]);
+  });
+
+  test("sentenceBoundaries learns each sentence padded with <s> and </s>", () => {
+    const sentences = new Ngram(3, { sentenceBoundaries: true });
+    sentences.learn("Hello world. Good morning world!");
+
+    expect(sentences.ngrams[0].get("<s>").get("hello")).toBe(1);
+    expect(sentences.ngrams[0].get("<s>").get("good")).toBe(1);
+    expect(sentences.ngrams[0].get("world").get("</s>")).toBe(2);
+    // No n-gram crosses the sentence boundary and nothing follows </s>
+    expect(sentences.ngrams[0].get("world").get("good")).toBe(0);
+    expect(sentences.ngrams[0].has("</s>")).toBe(false);
+    expect(sentences.ngrams[0].get("world").get("")).toBe(0);
+    // <s> is padding, not a word
+    expect(sentences.getCounter([]).get("<s>")).toBe(0);
+  });
+
+  test("tokenizeContext starts predictions at the current sentence", () => {
+    const sentences = new Ngram(3, { sentenceBoundaries: true });
+    sentences.learn("Hello world. Good morning world!");
+
+    expect(sentences.tokenizeContext("")).toEqual(["<s>"]);
+    expect(sentences.tokenizeContext("Hello world. Good")).toEqual(["<s>", "good"]);
+    expect(sentences.tokenizeContext("Hello world.")).toEqual(["<s>"]);
+    expect(sentences.predictNextWord("")).toEqual(["hello", "good"]);
+    expect(ngram.tokenizeContext("Hello world. Good")).toEqual(["hello", "world", "good"]);
+  });
+
+  test("sentence tokens come from the supplied Vocabulary", () => {
+    const Vocabulary = require("../vocabulary/vocabulary");
+    const custom = new Ngram(2, {
+      sentenceBoundaries: true,
+      vocabulary: new Vocabulary({ bosToken: "[BOS]", eosToken: "[EOS]" }),
+    });
+    custom.learn("Hi there.");
+    expect(custom.ngrams[0].get("[BOS]").get("hi")).toBe(1);
+    expect(custom.ngrams[0].get("there").get("[EOS]")).toBe(1);
+  });
+
+  test("maxN is not capped and higher levels are stored in the shared trie", () => {
+    const deep = new Ngram(8);
+    deep.learn("fill in the name field then the email field then submit the form");
+
+    expect(deep.maxN).toBe(8);
+    expect(deep.ngrams).toHaveLength(8);
+    expect(deep.ngrams[4]).toBeInstanceOf(Map);
+    expect(deep.ngrams[5]).not.toBeInstanceOf(Map);
+    expect(deep.ngrams[7].get("the name field then the email field then").get("submit")).toBe(1);
+    expect(deep.getCounter("in the name field then the".split(" ")).get("email")).toBe(1);
+    expect(Array.from(deep.contexts(8))).toHaveLength(6);
+    expect(deep.predictNextWord("fill in the name field then the email field")).toEqual(["then"]);
+  });
+
+  test("trie levels are pruned, highest order first, once over the node budget", () => {
+    const small = new Ngram(7, { trieFrom: 6, maxTrieNodes: 40 });
+    small.learn("a b c d e f g h i j k l m n o p q r s t");
+    expect(small.trie.nodeCount).toBeLessThanOrEqual(40);
+    // Lower Map-backed levels are untouched
+    expect(small.ngrams[0].size).toBe(20);
+
+    const manual = new Ngram(6, { trieFrom: 6 });
+    manual.learn("a b c d e f g");
+    const revision = manual.revision;
+    expect(manual.pruneTrie(2)).toBe(2);
+    expect(manual.ngrams[5].size).toBe(0);
+    expect(manual.revision).toBeGreaterThan(revision);
+    expect(new Ngram(3).pruneTrie(2)).toBe(0);
+  });
+
+  test("trie storage interns every level and predicts like map storage", () => {
+    const text = "the cat sat on the mat the cat ate the fish";
+    const maps = new Ngram(3);
+    const trie = new Ngram(3, { storage: "trie" });
+    maps.learn(text);
+    trie.learn(text);
+
+    expect(trie.storage).toBe("trie");
+    expect(trie.ngrams[0]).not.toBeInstanceOf(Map);
+    expect(trie.trie.root.children.has(trie.vocabulary.lookup("cat"))).toBe(true);
+    expect(trie.predictNextWord("the cat")).toEqual(maps.predictNextWord("the cat"));
+    expect(trie.getCounter(["the"]).counter).toEqual(maps.getCounter(["the"]).counter);
+    expect(trie.getCounter([]).counter).toEqual(maps.getCounter([]).counter);
+    expect(trie.getCounter(["unseen"])).toBeUndefined();
+    expect(() => new Ngram(3, { storage: "disk" })).toThrow(/Unknown storage backend "disk"/);
+  });
+
+  test("halfLife weights recent observations over old ones", () => {
+    const day = 24 * 60 * 60 * 1000;
+    let now = 0;
+    const decaying = new Ngram(2, { halfLife: day, clock: () => now });
+
+    for (let i = 0; i < 4; i++) decaying.learn("good morning");
+    now = 3 * day;
+    decaying.learn("good night");
+
+    // Three half-lives later, 4 old observations weigh as much as 0.5 new ones
+    const counter = decaying.getCounter(["good"]);
+    expect(counter.get("morning")).toBeCloseTo(0.5, 10);
+    expect(counter.get("night")).toBe(1);
+    expect(decaying.predictNextWord("good")[0]).toBe("night");
+    expect(decaying.decayLandmark).toBe(3 * day);
+
+    // Within the rescale window, new observations are weighted up instead
+    now += day / 10;
+    decaying.learn("good night");
+    expect(decaying.decayLandmark).toBe(3 * day);
+    expect(decaying.getCounter(["good"]).get("night")).toBeCloseTo(1 + Math.pow(2, 0.1), 10);
+
+    // Counts that decay to almost nothing are dropped
+    now += 40 * day;
+    decaying.applyDecay();
+    expect(decaying.ngrams[0].size).toBe(0);
+  });
+
+  test("halfLife decays trie-backed levels and is validated", () => {
+    let now = 0;
+    const decaying = new Ngram(2, { storage: "trie", halfLife: 1000, clock: () => now });
+    decaying.learn("a b");
+    now = 1000;
+    decaying.learn("a c");
+    expect(decaying.getCounter(["a"]).get("b")).toBeCloseTo(0.5, 10);
+    expect(decaying.getCounter(["a"]).get("c")).toBe(1);
+
+    expect(new Ngram(2).decayWeight()).toBe(1);
+    expect(() => new Ngram(2, { halfLife: -5 })).toThrow("halfLife");
+  });
 });
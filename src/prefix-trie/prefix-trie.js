@@ -0,0 +1,145 @@
+/**
+ * Frequency-weighted character trie of words. Every node also records the highest word
+ * count in its subtree, so the top-k completions of a prefix are found best-first by
+ * visiting only the branches that can still beat the k-th best word, instead of scanning
+ * the whole vocabulary.
+ */
+class PrefixTrie {
+  /**
+   * Constructs an empty PrefixTrie.
+   */
+  constructor() {
+    this.root = PrefixTrie._node();
+    // Number of distinct words
+    this.size = 0;
+  }
+
+  static _node() {
+    return { children: new Map(), count: 0, best: 0 };
+  }
+
+  /**
+   * Adds occurrences of a word.
+   * @param {string} word - Word to add
+   * @param {number} [count=1] - Number of occurrences (may be fractional, e.g. decayed counts)
+   */
+  add(word, count = 1) {
+    if (typeof word !== "string" || word.length === 0 || !(count > 0)) return;
+    const path = [this.root];
+    let node = this.root;
+    for (const char of word) {
+      let child = node.children.get(char);
+      if (!child) {
+        child = PrefixTrie._node();
+        node.children.set(char, child);
+      }
+      node = child;
+      path.push(node);
+    }
+    if (node.count === 0) this.size++;
+    node.count += count;
+    path.forEach((visited) => {
+      if (node.count > visited.best) visited.best = node.count;
+    });
+  }
+
+  /**
+   * Returns the count of a word.
+   * @param {string} word - Word to look up
+   * @return {number} - Count (0 if absent)
+   */
+  count(word) {
+    const node = this._find(word);
+    return node ? node.count : 0;
+  }
+
+  /**
+   * Returns the k most frequent words starting with a prefix.
+   * @param {string} prefix - Word prefix (the empty prefix matches every word)
+   * @param {number} [k=5] - Number of words to return
+   * @return {string[]} - Words, most frequent first
+   */
+  completePrefix(prefix, k = 5) {
+    const start = this._find(prefix);
+    if (!start || k <= 0) return [];
+
+    // Max-heap of subtrees (ranked by their best count) and words (ranked by their count);
+    // a word popped before every remaining subtree bound is final
+    const heap = [{ node: start, word: prefix, priority: start.best, isWord: false }];
+    const words = [];
+    while (heap.length > 0 && words.length < k) {
+      const item = PrefixTrie._pop(heap);
+      if (item.isWord) {
+        words.push(item.word);
+        continue;
+      }
+      const { node, word } = item;
+      if (node.count > 0) {
+        PrefixTrie._push(heap, { node, word, priority: node.count, isWord: true });
+      }
+      for (const [char, child] of node.children) {
+        if (child.best > 0) {
+          PrefixTrie._push(heap, { node: child, word: word + char, priority: child.best });
+        }
+      }
+    }
+    return words;
+  }
+
+  /**
+   * Removes every word.
+   */
+  clear() {
+    this.root = PrefixTrie._node();
+    this.size = 0;
+  }
+
+  /**
+   * Returns the node reached by a prefix.
+   * @param {string} prefix - Word prefix
+   * @return {Object|undefined} - Trie node, or undefined if no word has the prefix
+   */
+  _find(prefix) {
+    if (typeof prefix !== "string") return undefined;
+    let node = this.root;
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return undefined;
+    }
+    return node;
+  }
+
+  static _push(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].priority >= item.priority) break;
+      heap[i] = heap[parent];
+      i = parent;
+    }
+    heap[i] = item;
+  }
+
+  static _pop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        if (left >= heap.length) break;
+        const right = left + 1;
+        const child =
+          right < heap.length && heap[right].priority > heap[left].priority ? right : left;
+        if (heap[child].priority <= last.priority) break;
+        heap[i] = heap[child];
+        i = child;
+      }
+      heap[i] = last;
+    }
+    return top;
+  }
+}
+
+module.exports = PrefixTrie;
@@ -0,0 +1,52 @@
+const PrefixTrie = require("./prefix-trie");
+
+describe("PrefixTrie", () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new PrefixTrie();
+    trie.add("the", 50);
+    trie.add("then", 5);
+    trie.add("there", 12);
+    trie.add("theory", 2);
+    trie.add("thermal", 1);
+    trie.add("apple", 7);
+  });
+
+  test("accumulates word counts", () => {
+    trie.add("then", 2.5);
+    trie.add("", 3);
+    trie.add("ignored", 0);
+    expect(trie.count("then")).toBe(7.5);
+    expect(trie.count("th")).toBe(0);
+    expect(trie.count("missing")).toBe(0);
+    expect(trie.size).toBe(6);
+  });
+
+  test("completes a prefix with the k most frequent words", () => {
+    expect(trie.completePrefix("the", 3)).toEqual(["the", "there", "then"]);
+    expect(trie.completePrefix("ther", 5)).toEqual(["there", "thermal"]);
+    expect(trie.completePrefix("", 2)).toEqual(["the", "there"]);
+    expect(trie.completePrefix("x", 5)).toEqual([]);
+    expect(trie.completePrefix("the", 0)).toEqual([]);
+  });
+
+  test("re-ranks words as their counts grow", () => {
+    trie.add("theory", 20);
+    expect(trie.completePrefix("ther", 1)).toEqual(["there"]);
+    expect(trie.completePrefix("theo", 1)).toEqual(["theory"]);
+    expect(trie.completePrefix("the", 2)).toEqual(["the", "theory"]);
+  });
+
+  test("handles characters outside the basic multilingual plane", () => {
+    trie.add("😀smile", 4);
+    trie.add("😀sad", 1);
+    expect(trie.completePrefix("😀", 2)).toEqual(["😀smile", "😀sad"]);
+  });
+
+  test("clears every word", () => {
+    trie.clear();
+    expect(trie.size).toBe(0);
+    expect(trie.completePrefix("", 5)).toEqual([]);
+  });
+});
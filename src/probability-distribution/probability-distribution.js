@@ -1,16 +1,49 @@
 const FrequencyDistribution = require("../frequency-distribution/frequency-distribution");
+const MleSmoothing = require("../smoothing/mle");
+const AddKSmoothing = require("../smoothing/add-k");
+const StupidBackoffSmoothing = require("../smoothing/stupid-backoff");
 
 /**
  * ProbabilityDistribution class for estimating probabilities of words given contexts,
  * incorporating Laplace smoothing, Stupid Backoff, MLE, and temperature sampling.
+ * Estimates are computed by the same Smoothing strategies LanguageModel accepts.
  */
 class ProbabilityDistribution {
   /**
    * Constructs a ProbabilityDistribution instance.
    * @param {FrequencyDistribution} [freqDist] - Optional FrequencyDistribution instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {Smoothing} [options.smoothing] - Strategy used by probability(); exact-context MLE by default
    */
-  constructor(freqDist) {
+  constructor(freqDist, options = {}) {
     this.freqDist = freqDist || new FrequencyDistribution();
+    this.smoothing = options.smoothing || new MleSmoothing({ backoff: false });
+    // Strategies of mle(), laplace() and stupidBackoff() by parameters, built once so their
+    // cached statistics are reused across calls
+    this._strategies = new Map();
+  }
+
+  /**
+   * Returns the strategy for a key, building it on first use.
+   * @param {string} key - Strategy name and parameters
+   * @param {Function} create - Builds the strategy
+   * @return {Smoothing} - Strategy
+   */
+  _strategy(key, create) {
+    if (!this._strategies.has(key)) this._strategies.set(key, create());
+    return this._strategies.get(key);
+  }
+
+  /**
+   * Calculates P(word | context) with the configured (or a given) smoothing strategy.
+   * @param {string} context - Space-joined context tokens
+   * @param {string} word - Target word
+   * @param {Smoothing} [smoothing] - Strategy overriding the configured one for this call
+   * @return {number} - Probability or backoff score
+   */
+  probability(context, word, smoothing = this.smoothing) {
+    const tokens = context ? context.trim().split(/\s+/) : [];
+    return smoothing.probability(this.freqDist, word, tokens);
   }
 
   /**
@@ -20,9 +53,8 @@ class ProbabilityDistribution {
    * @return {number} - MLE probability [0, 1]
    */
   mle(context, word) {
-    const total = this.freqDist.contextTotal(context);
-    if (total === 0) return 0;
-    return this.freqDist.count(context, word) / total;
+    const smoothing = this._strategy("mle", () => new MleSmoothing({ backoff: false }));
+    return this.probability(context, word, smoothing);
   }
 
   /**
@@ -34,9 +66,11 @@ class ProbabilityDistribution {
    * @return {number} - Smoothed probability
    */
   laplace(context, word, k = 1, vocabSize = 10000) {
-    const count = this.freqDist.count(context, word);
-    const total = this.freqDist.contextTotal(context);
-    return (count + k) / (total + k * Math.max(1, vocabSize));
+    const smoothing = this._strategy(
+      `laplace:${k}:${vocabSize}`,
+      () => new AddKSmoothing({ k, vocabSize })
+    );
+    return this.probability(context, word, smoothing);
   }
 
   /**
@@ -48,35 +82,11 @@ class ProbabilityDistribution {
    * @return {number} - Backoff probability score
    */
   stupidBackoff(context, word, alpha = 0.4) {
-    const tokens = context ? context.trim().split(/\s+/) : [];
-    let currentContext = tokens.join(" ");
-    let backoffFactor = 1.0;
-
-    while (currentContext.length > 0 || tokens.length > 0) {
-      const count = this.freqDist.count(currentContext, word);
-      const total = this.freqDist.contextTotal(currentContext);
-
-      if (count > 0 && total > 0) {
-        return backoffFactor * (count / total);
-      }
-
-      if (tokens.length <= 1) {
-        backoffFactor *= alpha;
-        // Fall back to unigram count across all contexts
-        const unigramCount = this.freqDist.count("", word);
-        const unigramTotal = this.freqDist.contextTotal("");
-        if (unigramCount > 0 && unigramTotal > 0) {
-          return backoffFactor * (unigramCount / unigramTotal);
-        }
-        return backoffFactor * 0.0001; // Epsilon fallback
-      }
-
-      tokens.shift(); // Backoff to shorter context tail
-      currentContext = tokens.join(" ");
-      backoffFactor *= alpha;
-    }
-
-    return 0.0001;
+    const smoothing = this._strategy(
+      `stupidBackoff:${alpha}`,
+      () => new StupidBackoffSmoothing({ alpha })
+    );
+    return this.probability(context, word, smoothing);
   }
 
   /**
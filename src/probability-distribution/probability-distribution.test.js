@@ -39,10 +39,34 @@ describe("ProbabilityDistribution Class", () => {
     expect(scoreMissing).toBeCloseTo(0.000016, 6);
   });
 
+  test("reuses one strategy per method and parameters and follows count updates", () => {
+    pd.mle("hello", "world");
+    pd.laplace("hello", "world", 1, 100);
+    pd.laplace("hello", "world", 1, 100);
+    pd.laplace("hello", "world", 2, 100);
+    pd.stupidBackoff("hello", "world");
+    expect(pd._strategies.size).toBe(4);
+
+    fd.record("hello", "world", 10);
+    expect(pd.mle("hello", "world")).toBe(0.9);
+    expect(pd._strategies.size).toBe(4);
+  });
+
   test("sample returns deterministic pick for low temperature", () => {
     const sampledGreedy = pd.sample("hello", 0.001);
     expect(sampledGreedy).toBe("world");
 
     expect(pd.sample("nonexistent context")).toBe("");
   });
+
+  test("probability uses the configured or a per-call smoothing strategy", () => {
+    const WittenBellSmoothing = require("../smoothing/witten-bell");
+    expect(pd.probability("hello", "world")).toBe(0.8);
+
+    const smoothed = new ProbabilityDistribution(fd, { smoothing: new WittenBellSmoothing() });
+    expect(smoothed.probability("hello", "missing")).toBeGreaterThan(0);
+    expect(pd.probability("hello", "missing", new WittenBellSmoothing())).toBe(
+      smoothed.probability("hello", "missing")
+    );
+  });
 });
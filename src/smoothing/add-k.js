@@ -0,0 +1,37 @@
+const Smoothing = require("./smoothing");
+
+/**
+ * Additive (add-k) smoothing; k = 1 gives Laplace smoothing. Every word in the vocabulary
+ * receives k pseudo-counts in the exact context.
+ */
+class AddKSmoothing extends Smoothing {
+  /**
+   * Constructs an AddKSmoothing strategy.
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.k=1] - Pseudo-count added to every word
+   * @param {number} [options.vocabSize] - Vocabulary size for the denominator; defaults to
+   *   the number of distinct words in the source plus one slot for unseen words
+   */
+  constructor(options = {}) {
+    super("add-k", options);
+    this.k = options.k !== undefined ? options.k : 1;
+    this.vocabSize = options.vocabSize || null;
+  }
+
+  /**
+   * Returns (count + k) / (total + k * V) for the exact context.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability in (0, 1]
+   */
+  probability(source, word, contextTokens) {
+    const vocabSize = Math.max(1, this.vocabSize || this._stats(source).vocabSize + 1);
+    const counter = source.getCounter(contextTokens);
+    const count = counter ? counter.get(word) : 0;
+    const total = counter ? counter.total() : 0;
+    return (count + this.k) / (total + this.k * vocabSize);
+  }
+}
+
+module.exports = AddKSmoothing;
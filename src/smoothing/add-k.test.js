@@ -0,0 +1,25 @@
+const AddKSmoothing = require("./add-k");
+const Ngram = require("../ngram/ngram");
+
+describe("AddKSmoothing Class", () => {
+  let ngram;
+
+  beforeEach(() => {
+    ngram = new Ngram(2);
+    ngram.learn("a b a c");
+  });
+
+  test("adds k pseudo-counts with an explicit vocabulary size", () => {
+    const addK = new AddKSmoothing({ k: 0.5, vocabSize: 10 });
+    expect(addK.probability(ngram, "b", ["a"])).toBeCloseTo((1 + 0.5) / (2 + 5), 10);
+    expect(addK.probability(ngram, "z", ["a"])).toBeCloseTo(0.5 / 7, 10);
+  });
+
+  test("defaults to Laplace over the source vocabulary plus an unseen slot", () => {
+    const laplace = new AddKSmoothing();
+    // Outcomes: a, b, c and the end marker "", plus one unseen slot
+    const words = ["a", "b", "c", "", "unseen"];
+    const sum = words.reduce((acc, w) => acc + laplace.probability(ngram, w, ["a"]), 0);
+    expect(sum).toBeCloseTo(1, 10);
+  });
+});
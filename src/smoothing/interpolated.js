@@ -0,0 +1,44 @@
+const Smoothing = require("./smoothing");
+
+/**
+ * Jelinek-Mercer linear interpolation. Each observed context level mixes its relative
+ * frequency with the estimate from the next shorter context using a fixed weight lambda,
+ * bottoming out at a uniform distribution. Unseen contexts pass the lower estimate through.
+ */
+class InterpolatedSmoothing extends Smoothing {
+  /**
+   * Constructs an InterpolatedSmoothing strategy.
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.lambda=0.7] - Weight of the higher-order estimate at every level
+   * @param {number[]} [options.lambdas] - Per-level weights indexed by context length
+   */
+  constructor(options = {}) {
+    super("interpolated", options);
+    this.lambda = options.lambda !== undefined ? options.lambda : 0.7;
+    this.lambdas = Array.isArray(options.lambdas) ? options.lambdas : [];
+  }
+
+  /**
+   * Returns the interpolated probability of a word given context tokens.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability in (0, 1]
+   */
+  probability(source, word, contextTokens) {
+    let prob = this._uniform(this._stats(source));
+
+    for (let k = 0; k <= contextTokens.length; k++) {
+      const counter = source.getCounter(contextTokens.slice(contextTokens.length - k));
+      const total = counter ? counter.total() : 0;
+      if (total <= 0) continue;
+
+      const lambda = this.lambdas[k] !== undefined ? this.lambdas[k] : this.lambda;
+      prob = lambda * (counter.get(word) / total) + (1 - lambda) * prob;
+    }
+
+    return prob;
+  }
+}
+
+module.exports = InterpolatedSmoothing;
@@ -0,0 +1,28 @@
+const InterpolatedSmoothing = require("./interpolated");
+const Ngram = require("../ngram/ngram");
+
+describe("InterpolatedSmoothing Class", () => {
+  let ngram;
+
+  beforeEach(() => {
+    ngram = new Ngram(2);
+    ngram.learn("a b a c");
+  });
+
+  test("mixes each observed level with the lower-order estimate", () => {
+    const interp = new InterpolatedSmoothing({ lambda: 0.5 });
+    // Outcomes a, b, c, "" plus one unseen slot -> uniform 1/5
+    const unigram = 0.5 * (1 / 4) + 0.5 * (1 / 5);
+    expect(interp.probability(ngram, "b", [])).toBeCloseTo(unigram, 10);
+    expect(interp.probability(ngram, "b", ["a"])).toBeCloseTo(0.5 * 0.5 + 0.5 * unigram, 10);
+  });
+
+  test("supports per-level lambdas and stays normalized", () => {
+    const interp = new InterpolatedSmoothing({ lambdas: [0.2, 0.9] });
+    const sum = ["a", "b", "c", "", "unseen"].reduce(
+      (acc, w) => acc + interp.probability(ngram, w, ["a"]),
+      0
+    );
+    expect(sum).toBeCloseTo(1, 10);
+  });
+});
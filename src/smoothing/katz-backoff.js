@@ -0,0 +1,142 @@
+const Smoothing = require("./smoothing");
+
+/**
+ * Katz backoff. Counts up to k are discounted with Good-Turing estimates; the freed mass of a
+ * context is redistributed over unseen words in proportion to the next shorter context, and
+ * at the unigram level spread evenly over unseen words. Levels whose count-of-counts are too
+ * sparse for Good-Turing fall back to an absolute discount of 0.5.
+ */
+class KatzBackoffSmoothing extends Smoothing {
+  /**
+   * Constructs a KatzBackoffSmoothing strategy.
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.k=5] - Counts above k are considered reliable and not discounted
+   */
+  constructor(options = {}) {
+    super("katz", options);
+    this.k = options.k !== undefined ? options.k : 5;
+  }
+
+  /**
+   * Returns the Katz backoff probability of a word given context tokens.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability in [0, 1]
+   */
+  probability(source, word, contextTokens) {
+    return this._backoff(source, this._stats(source), word, contextTokens);
+  }
+
+  /**
+   * Returns the probability of a word after a context, backing off to shorter contexts for
+   * words the context did not see.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {string} word - Word to score
+   * @param {string[]} context - Context tokens
+   * @return {number} - Probability in [0, 1]
+   */
+  _backoff(source, stats, word, context) {
+    const counter = source.getCounter(context);
+    const total = counter ? counter.total() : 0;
+
+    if (context.length === 0) {
+      if (total <= 0) return this._uniform(stats);
+      const count = counter.get(word);
+      if (count > 0) return this._discounted(source, stats, 0, count) / total;
+
+      const leftover = this._alpha(source, stats, context, counter, total);
+      const unseenTypes = Math.max(1, stats.vocabSize + 1 - counter.counter.size);
+      return leftover / unseenTypes;
+    }
+
+    if (total <= 0) return this._backoff(source, stats, word, context.slice(1));
+
+    const count = counter.get(word);
+    if (count > 0) return this._discounted(source, stats, context.length, count) / total;
+
+    const alpha = this._alpha(source, stats, context, counter, total);
+    return alpha > 0 ? alpha * this._backoff(source, stats, word, context.slice(1)) : 0;
+  }
+
+  /**
+   * Returns the backoff weight of a context: its freed mass divided by the lower-order mass of
+   * the words it did not see. At the unigram level this is simply the freed mass.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {string[]} context - Context tokens
+   * @param {Counter} counter - Counts following the context
+   * @param {number} total - Total count of the context
+   * @return {number} - Backoff weight
+   */
+  _alpha(source, stats, context, counter, total) {
+    const memoKey = `alpha:${context.length}:${context.join(" ")}`;
+    if (stats.memo.has(memoKey)) return stats.memo.get(memoKey);
+
+    let kept = 0;
+    let lowerSeen = 0;
+    for (const [word, count] of counter.counter) {
+      if (count <= 0) continue;
+      kept += this._discounted(source, stats, context.length, count) / total;
+      if (context.length > 0) lowerSeen += this._backoff(source, stats, word, context.slice(1));
+    }
+
+    const freed = Math.max(0, 1 - kept);
+    const alpha =
+      context.length === 0 ? freed : 1 - lowerSeen > Number.EPSILON ? freed / (1 - lowerSeen) : 0;
+
+    stats.memo.set(memoKey, alpha);
+    return alpha;
+  }
+
+  /**
+   * Returns the Good-Turing discounted count d_r * r for a level.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {number} level - Context length of the level
+   * @param {number} count - Observed count
+   * @return {number} - Discounted count (unchanged above k or for fractional counts)
+   */
+  _discounted(source, stats, level, count) {
+    if (!Number.isInteger(count) || count > this.k) return count;
+    return this._ratios(source, stats, level)[count] * count;
+  }
+
+  /**
+   * Computes discount ratios d_1..d_k for a level from its count-of-counts.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {number} level - Context length of the level
+   * @return {number[]} - Ratios indexed by count, with 1 at index 0
+   */
+  _ratios(source, stats, level) {
+    const memoKey = `gt:${level}`;
+    if (stats.memo.has(memoKey)) return stats.memo.get(memoKey);
+
+    const counters =
+      level === 0
+        ? [source.getCounter([])].filter(Boolean)
+        : Array.from(source.contexts(level), ([, counter]) => counter);
+
+    const n = new Array(this.k + 2).fill(0);
+    for (const counter of counters) {
+      for (const count of counter.counter.values()) {
+        if (Number.isInteger(count) && count >= 1 && count <= this.k + 1) n[count]++;
+      }
+    }
+
+    const tail = ((this.k + 1) * n[this.k + 1]) / n[1];
+    const ratios = [1];
+    for (let r = 1; r <= this.k; r++) {
+      const adjusted = ((r + 1) * n[r + 1]) / n[r];
+      const d = (adjusted / r - tail) / (1 - tail);
+      ratios.push(Number.isFinite(d) && d > 0 && d < 1 ? d : (r - 0.5) / r);
+    }
+
+    stats.memo.set(memoKey, ratios);
+    return ratios;
+  }
+}
+
+module.exports = KatzBackoffSmoothing;
@@ -0,0 +1,36 @@
+const KatzBackoffSmoothing = require("./katz-backoff");
+const Ngram = require("../ngram/ngram");
+
+describe("KatzBackoffSmoothing Class", () => {
+  let ngram, katz;
+
+  beforeEach(() => {
+    ngram = new Ngram(3);
+    ngram.learn(
+      "the cat sat on the mat the cat ate the fish on the mat the dog sat on the log the dog ran"
+    );
+    katz = new KatzBackoffSmoothing();
+  });
+
+  const outcomes = (source) => {
+    const words = new Set(source.getCounter([]).counter.keys());
+    for (const [, counter] of source.contexts(1)) {
+      for (const word of counter.counter.keys()) words.add(word);
+    }
+    return Array.from(words);
+  };
+
+  test("distribution over the vocabulary plus one unseen word sums to 1", () => {
+    for (const context of [[], ["the"], ["the", "cat"], ["sat", "on"], ["unseen"]]) {
+      const sum =
+        outcomes(ngram).reduce((acc, w) => acc + katz.probability(ngram, w, context), 0) +
+        katz.probability(ngram, "zebra", context);
+      expect(sum).toBeCloseTo(1, 10);
+    }
+  });
+
+  test("discounts seen events below their MLE to reserve mass for unseen ones", () => {
+    expect(katz.probability(ngram, "sat", ["the", "cat"])).toBeLessThan(0.5);
+    expect(katz.probability(ngram, "ran", ["the", "cat"])).toBeGreaterThan(0);
+  });
+});
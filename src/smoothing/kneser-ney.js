@@ -0,0 +1,176 @@
+const Smoothing = require("./smoothing");
+const Counter = require("../counter/counter");
+
+const DEFAULT_DISCOUNTS = [0.5, 1.0, 1.5];
+
+/**
+ * Interpolated modified Kneser-Ney smoothing (Chen & Goodman). The longest context uses
+ * discounted raw counts; shorter contexts use continuation counts, i.e. the number of
+ * distinct words seen directly before each n-gram. Three discounts (for counts of 1, 2
+ * and 3+) are estimated per level from count-of-counts unless fixed via options.
+ */
+class KneserNeySmoothing extends Smoothing {
+  /**
+   * Constructs a KneserNeySmoothing strategy.
+   * @param {Object} [options={}] - Configuration options
+   * @param {number[]} [options.discounts] - Fixed [D1, D2, D3+] discounts for every level
+   */
+  constructor(options = {}) {
+    super("kneser-ney", options);
+    this.discounts = Array.isArray(options.discounts) ? options.discounts : null;
+  }
+
+  /**
+   * Returns the interpolated modified Kneser-Ney probability of a word given context tokens.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability in (0, 1]
+   */
+  probability(source, word, contextTokens) {
+    const stats = this._stats(source);
+    const order = contextTokens.length;
+    let prob = this._uniform(stats);
+
+    for (let k = 0; k <= order; k++) {
+      const raw = k === order;
+      const context = contextTokens.slice(order - k);
+      const counter = raw
+        ? source.getCounter(context)
+        : this._continuationCounter(source, stats, context);
+      if (!counter) continue;
+
+      const discounts = this._discounts(source, stats, raw, k);
+      const summary = this._summary(stats, raw, context, counter, discounts);
+      if (summary.total <= 0) continue;
+
+      const count = counter.get(word);
+      const kept = count > 0 ? count - this._discount(discounts, count) : 0;
+      prob = (kept + summary.mass * prob) / summary.total;
+    }
+
+    return prob;
+  }
+
+  /**
+   * Returns the discount applied to a count, never exceeding the count itself.
+   * @param {number[]} discounts - [D1, D2, D3+]
+   * @param {number} count - Observed (or continuation) count
+   * @return {number} - Discount amount
+   */
+  _discount(discounts, count) {
+    const d = count >= 3 ? discounts[2] : count >= 2 ? discounts[1] : discounts[0];
+    return Math.min(d, count);
+  }
+
+  /**
+   * Returns the continuation counts N1+(• context word) for a context shorter than the query.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {string[]} context - Context tokens
+   * @return {Counter|undefined} - Continuation counts keyed by word
+   */
+  _continuationCounter(source, stats, context) {
+    return this._continuationLevel(source, stats, context.length).get(context.join(" "));
+  }
+
+  /**
+   * Builds continuation counters for every context of length k from the level above it.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {number} k - Context length
+   * @return {Map<string, Counter>} - Continuation counters keyed by space-joined context
+   */
+  _continuationLevel(source, stats, k) {
+    const memoKey = `cont:${k}`;
+    let level = stats.memo.get(memoKey);
+
+    if (!level) {
+      level = new Map();
+      for (const [tokens, counter] of source.contexts(k + 1)) {
+        const key = tokens.slice(1).join(" ");
+        if (!level.has(key)) level.set(key, new Counter());
+        const continuation = level.get(key);
+        for (const [word, count] of counter.counter) {
+          if (count > 0) continuation.increment(word);
+        }
+      }
+      stats.memo.set(memoKey, level);
+    }
+
+    return level;
+  }
+
+  /**
+   * Estimates [D1, D2, D3+] for one level from its count-of-counts n1..n4.
+   * Falls back to defaults when a level has too little data for the closed-form estimate.
+   * @param {Object} source - Count source
+   * @param {Object} stats - Cached statistics
+   * @param {boolean} raw - Whether the level uses raw counts (otherwise continuation counts)
+   * @param {number} k - Context length of the level
+   * @return {number[]} - Discounts for counts of 1, 2 and 3+
+   */
+  _discounts(source, stats, raw, k) {
+    if (this.discounts) return this.discounts;
+
+    const memoKey = `disc:${raw ? "r" : "c"}${k}`;
+    if (stats.memo.has(memoKey)) return stats.memo.get(memoKey);
+
+    let counters;
+    if (!raw) {
+      counters = this._continuationLevel(source, stats, k).values();
+    } else if (k === 0) {
+      counters = [source.getCounter([])];
+    } else {
+      counters = Array.from(source.contexts(k), ([, counter]) => counter);
+    }
+
+    const n = [0, 0, 0, 0, 0];
+    for (const counter of counters) {
+      for (const count of counter.counter.values()) {
+        if (count >= 1 && count <= 4 && Number.isInteger(count)) n[count]++;
+      }
+    }
+
+    const y = n[1] / (n[1] + 2 * n[2]);
+    const estimates = [
+      1 - 2 * y * (n[2] / n[1]),
+      2 - 3 * y * (n[3] / n[2]),
+      3 - 4 * y * (n[4] / n[3]),
+    ];
+    const discounts = estimates.map((d, i) =>
+      Number.isFinite(d) && d > 0 && d < i + 1 ? d : DEFAULT_DISCOUNTS[i]
+    );
+
+    stats.memo.set(memoKey, discounts);
+    return discounts;
+  }
+
+  /**
+   * Returns the total count of a context and the probability mass freed by discounting it.
+   * @param {Object} stats - Cached statistics
+   * @param {boolean} raw - Whether the counter holds raw counts
+   * @param {string[]} context - Context tokens
+   * @param {Counter} counter - Counts following the context
+   * @param {number[]} discounts - [D1, D2, D3+]
+   * @return {{ total: number, mass: number }} - Context total and discounted mass
+   */
+  _summary(stats, raw, context, counter, discounts) {
+    const memoKey = `sum:${raw ? "r" : "c"}${context.length}:${context.join(" ")}`;
+    let summary = stats.memo.get(memoKey);
+
+    if (!summary) {
+      summary = { total: 0, mass: 0 };
+      for (const count of counter.counter.values()) {
+        if (count <= 0) continue;
+        summary.total += count;
+        summary.mass += this._discount(discounts, count);
+      }
+      stats.memo.set(memoKey, summary);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = KneserNeySmoothing;
@@ -0,0 +1,58 @@
+const KneserNeySmoothing = require("./kneser-ney");
+const Ngram = require("../ngram/ngram");
+
+describe("KneserNeySmoothing Class", () => {
+  let ngram, kn;
+
+  beforeEach(() => {
+    ngram = new Ngram(3);
+    ngram.learn("the cat sat on the mat the cat ate the fish on the mat");
+    kn = new KneserNeySmoothing();
+  });
+
+  const outcomes = (source) => {
+    const words = new Set(source.getCounter([]).counter.keys());
+    for (const [, counter] of source.contexts(1)) {
+      for (const word of counter.counter.keys()) words.add(word);
+    }
+    return Array.from(words);
+  };
+
+  test("distribution over the vocabulary plus one unseen word sums to 1", () => {
+    for (const context of [[], ["the"], ["the", "cat"], ["unseen", "context"]]) {
+      const sum =
+        outcomes(ngram).reduce((acc, w) => acc + kn.probability(ngram, w, context), 0) +
+        kn.probability(ngram, "zebra", context);
+      expect(sum).toBeCloseTo(1, 10);
+    }
+  });
+
+  test("assigns non-zero probability to unseen words without a magic constant", () => {
+    const unseen = kn.probability(ngram, "zebra", ["the", "cat"]);
+    expect(unseen).toBeGreaterThan(0);
+    expect(unseen).toBeLessThan(kn.probability(ngram, "sat", ["the", "cat"]));
+  });
+
+  test("lower orders use continuation counts rather than raw frequency", () => {
+    // "mat" and "cat" are equally frequent but "the" is the only word preceding either
+    expect(kn.probability(ngram, "mat", [])).toBeCloseTo(kn.probability(ngram, "cat", []), 10);
+    // "on" follows two different words ("sat", "fish") so it gains continuation mass
+    expect(kn.probability(ngram, "on", ["zebra"])).toBeGreaterThan(
+      kn.probability(ngram, "sat", ["zebra"])
+    );
+  });
+
+  test("recomputes statistics after the source is updated", () => {
+    const before = kn.probability(ngram, "dog", ["the"]);
+    ngram.learn("the dog the dog the dog");
+    expect(kn.probability(ngram, "dog", ["the"])).toBeGreaterThan(before);
+  });
+
+  test("supports fixed discounts", () => {
+    const fixed = new KneserNeySmoothing({ discounts: [0.75, 0.75, 0.75] });
+    const sum =
+      outcomes(ngram).reduce((acc, w) => acc + fixed.probability(ngram, w, ["the"]), 0) +
+      fixed.probability(ngram, "zebra", ["the"]);
+    expect(sum).toBeCloseTo(1, 10);
+  });
+});
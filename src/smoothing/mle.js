@@ -0,0 +1,39 @@
+const Smoothing = require("./smoothing");
+
+/**
+ * Maximum likelihood estimation. By default the estimate is taken at the longest context
+ * with observations, matching Ngram.predictNextWord(); with `backoff: false` only the exact
+ * context is consulted and unseen contexts score 0.
+ */
+class MleSmoothing extends Smoothing {
+  /**
+   * Constructs an MleSmoothing strategy.
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.backoff=true] - Fall back to shorter contexts when unseen
+   */
+  constructor(options = {}) {
+    super("mle", options);
+    this.backoff = options.backoff !== false;
+  }
+
+  /**
+   * Returns the relative frequency of a word after the (longest observed) context.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability in [0, 1]
+   */
+  probability(source, word, contextTokens) {
+    const shortest = this.backoff ? 0 : contextTokens.length;
+
+    for (let k = contextTokens.length; k >= shortest; k--) {
+      const counter = source.getCounter(contextTokens.slice(contextTokens.length - k));
+      const total = counter ? counter.total() : 0;
+      if (total > 0) return counter.get(word) / total;
+    }
+
+    return 0;
+  }
+}
+
+module.exports = MleSmoothing;
@@ -0,0 +1,29 @@
+const MleSmoothing = require("./mle");
+const Ngram = require("../ngram/ngram");
+
+describe("MleSmoothing Class", () => {
+  let ngram;
+
+  beforeEach(() => {
+    ngram = new Ngram(3);
+    ngram.learn("the cat sat on the mat the cat ate");
+  });
+
+  test("returns relative frequency at the exact context", () => {
+    const mle = new MleSmoothing();
+    expect(mle.probability(ngram, "sat", ["the", "cat"])).toBe(0.5);
+    expect(mle.probability(ngram, "mat", ["the"])).toBeCloseTo(1 / 3, 10);
+    expect(mle.probability(ngram, "dog", ["the"])).toBe(0);
+  });
+
+  test("backs off to the longest observed context unless disabled", () => {
+    expect(new MleSmoothing().probability(ngram, "cat", ["zebra", "the"])).toBeCloseTo(2 / 3, 10);
+    expect(new MleSmoothing({ backoff: false }).probability(ngram, "cat", ["zebra", "the"])).toBe(
+      0
+    );
+  });
+
+  test("uses unigram frequencies for an empty context", () => {
+    expect(new MleSmoothing().probability(ngram, "the", [])).toBeCloseTo(3 / 9, 10);
+  });
+});
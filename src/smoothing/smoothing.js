@@ -0,0 +1,71 @@
+/**
+ * Base class for smoothing and backoff strategies that estimate P(word | context) from a
+ * count source. A count source exposes `getCounter(contextTokens)`, `contexts(length)` and a
+ * `revision` number that changes whenever its counts change; both Ngram and
+ * FrequencyDistribution implement it, so one strategy instance serves LanguageModel and
+ * ProbabilityDistribution alike.
+ */
+class Smoothing {
+  /**
+   * Constructs a Smoothing strategy.
+   * @param {string} name - Identifier used when selecting or serializing the strategy
+   * @param {Object} [options={}] - Strategy parameters, kept for serialization
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    // Per-source statistics, recomputed whenever the source revision changes
+    this._cache = new WeakMap();
+  }
+
+  /**
+   * Returns the smoothed probability of a word following the given context tokens.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability (or backoff score) in [0, 1]
+   */
+  probability(source, word, contextTokens) {
+    throw new Error(`GrokJS Smoothing: probability() is not implemented by "${this.name}"`);
+  }
+
+  /**
+   * Returns cached statistics for a count source, rebuilding them after the source changes.
+   * @param {Object} source - Count source
+   * @return {Object} - Statistics object with `vocabSize` and a per-strategy `memo` Map
+   */
+  _stats(source) {
+    let stats = this._cache.get(source);
+    if (!stats || stats.revision !== source.revision) {
+      stats = { revision: source.revision, vocabSize: this._vocabSize(source), memo: new Map() };
+      this._cache.set(source, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Counts distinct outcomes a source can predict, including unigrams and end markers.
+   * @param {Object} source - Count source
+   * @return {number} - Number of distinct word types
+   */
+  _vocabSize(source) {
+    const unigrams = source.getCounter([]);
+    const types = new Set(unigrams ? unigrams.counter.keys() : []);
+    for (const [, counter] of source.contexts(1)) {
+      for (const word of counter.counter.keys()) types.add(word);
+    }
+    return types.size;
+  }
+
+  /**
+   * Probability reserved for any single word under the uniform base distribution.
+   * One extra slot is kept for unseen words so the distribution stays normalized.
+   * @param {Object} stats - Statistics from _stats()
+   * @return {number} - Uniform probability
+   */
+  _uniform(stats) {
+    return 1 / (stats.vocabSize + 1);
+  }
+}
+
+module.exports = Smoothing;
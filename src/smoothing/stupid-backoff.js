@@ -0,0 +1,45 @@
+const Smoothing = require("./smoothing");
+
+/**
+ * Stupid Backoff (Brants et al.). Uses the relative frequency at the longest context where
+ * the word was seen, multiplied by alpha for every token dropped from the context. Scores
+ * are not normalized, which makes it cheap but unsuitable for perplexity comparisons.
+ */
+class StupidBackoffSmoothing extends Smoothing {
+  /**
+   * Constructs a StupidBackoffSmoothing strategy.
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.alpha=0.4] - Penalty multiplier per backoff step
+   * @param {number} [options.epsilon=0.0001] - Base score for words never seen at all
+   */
+  constructor(options = {}) {
+    super("stupid-backoff", options);
+    this.alpha = options.alpha !== undefined ? options.alpha : 0.4;
+    this.epsilon = options.epsilon !== undefined ? options.epsilon : 0.0001;
+  }
+
+  /**
+   * Returns the Stupid Backoff score of a word given context tokens.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Backoff score in (0, 1]
+   */
+  probability(source, word, contextTokens) {
+    let factor = 1.0;
+
+    for (let k = contextTokens.length; k >= 0; k--) {
+      const counter = source.getCounter(contextTokens.slice(contextTokens.length - k));
+      const count = counter ? counter.get(word) : 0;
+      if (count > 0) {
+        const total = counter.total();
+        if (total > 0) return factor * (count / total);
+      }
+      if (k > 0) factor *= this.alpha;
+    }
+
+    return factor * this.epsilon;
+  }
+}
+
+module.exports = StupidBackoffSmoothing;
@@ -0,0 +1,23 @@
+const StupidBackoffSmoothing = require("./stupid-backoff");
+const Ngram = require("../ngram/ngram");
+
+describe("StupidBackoffSmoothing Class", () => {
+  let ngram;
+
+  beforeEach(() => {
+    ngram = new Ngram(3);
+    ngram.learn("the cat sat on the mat");
+  });
+
+  test("uses the relative frequency at the longest matching context", () => {
+    const sb = new StupidBackoffSmoothing();
+    expect(sb.probability(ngram, "sat", ["the", "cat"])).toBe(1);
+  });
+
+  test("multiplies by alpha for every backoff step", () => {
+    const sb = new StupidBackoffSmoothing({ alpha: 0.5 });
+    expect(sb.probability(ngram, "mat", ["sat", "the"])).toBe(0.25);
+    expect(sb.probability(ngram, "cat", ["zebra", "on"])).toBeCloseTo(0.25 * (1 / 6), 10);
+    expect(sb.probability(ngram, "dog", ["zebra", "on"])).toBeCloseTo(0.25 * 0.0001, 10);
+  });
+});
@@ -0,0 +1,39 @@
+const Smoothing = require("./smoothing");
+
+/**
+ * Interpolated Witten-Bell smoothing. Each context level reserves probability mass in
+ * proportion to the number of distinct words seen after it, and hands that mass to the
+ * next shorter context, bottoming out at a uniform distribution.
+ */
+class WittenBellSmoothing extends Smoothing {
+  constructor() {
+    super("witten-bell");
+  }
+
+  /**
+   * Returns the interpolated Witten-Bell probability of a word given context tokens.
+   * @param {Object} source - Count source (e.g. an Ngram instance)
+   * @param {string} word - Word to score
+   * @param {string[]} contextTokens - Preceding tokens, most recent last
+   * @return {number} - Probability in (0, 1]
+   */
+  probability(source, word, contextTokens) {
+    const stats = this._stats(source);
+    let prob = this._uniform(stats);
+
+    for (let k = 0; k <= contextTokens.length; k++) {
+      const counter = source.getCounter(contextTokens.slice(contextTokens.length - k));
+      if (!counter) continue;
+
+      const total = counter.total();
+      const types = counter.counter.size;
+      if (total <= 0) continue;
+
+      prob = (counter.get(word) + types * prob) / (total + types);
+    }
+
+    return prob;
+  }
+}
+
+module.exports = WittenBellSmoothing;
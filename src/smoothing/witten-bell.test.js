@@ -0,0 +1,38 @@
+const WittenBellSmoothing = require("./witten-bell");
+const Ngram = require("../ngram/ngram");
+
+describe("WittenBellSmoothing Class", () => {
+  let ngram, wb;
+
+  beforeEach(() => {
+    ngram = new Ngram(3);
+    ngram.learn("the cat sat on the mat the cat ate the fish on the mat");
+    wb = new WittenBellSmoothing();
+  });
+
+  test("distribution over the vocabulary plus one unseen word sums to 1", () => {
+    const words = new Set(ngram.getCounter([]).counter.keys());
+    for (const [, counter] of ngram.contexts(1)) {
+      for (const word of counter.counter.keys()) words.add(word);
+    }
+    for (const context of [[], ["the"], ["cat", "sat"], ["unseen"]]) {
+      let sum = wb.probability(ngram, "zebra", context);
+      for (const word of words) sum += wb.probability(ngram, word, context);
+      expect(sum).toBeCloseTo(1, 10);
+    }
+  });
+
+  test("reserves more mass for contexts followed by many distinct words", () => {
+    // "the" is followed by cat, mat, fish; "cat" by sat, ate
+    const afterThe = wb.probability(ngram, "zebra", ["the"]);
+    const afterOn = wb.probability(ngram, "zebra", ["on"]);
+    expect(afterThe).toBeGreaterThan(afterOn);
+  });
+
+  test("falls back to lower orders for unseen contexts", () => {
+    expect(wb.probability(ngram, "cat", ["zebra"])).toBeCloseTo(
+      wb.probability(ngram, "cat", []),
+      10
+    );
+  });
+});
@@ -0,0 +1,189 @@
+const StorageAdapter = require("./storage-adapter");
+const BinaryFormat = require("../binary-format/binary-format");
+
+// Marks encrypted values: `${PREFIX}${salt}:${iv}:${ciphertext}`, each part base64
+const PREFIX = "grokjs-aes-gcm:1:";
+const DEFAULT_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Storage adapter that encrypts values with AES-GCM (WebCrypto) before handing them to
+ * another adapter, and decrypts them when read. The key is either a `CryptoKey` or derived
+ * from a passphrase with PBKDF2-SHA-256 and a random salt that is stored with each value.
+ * Every value gets a fresh IV and is bound to its storage key, so encrypted values cannot
+ * be swapped between keys. Keys themselves are stored in plaintext.
+ *
+ * Unencrypted values are rejected, since anyone with access to the storage could plant
+ * them. To migrate state saved before encryption was enabled, `allowPlaintext` returns
+ * them as they are; they are encrypted when next written. The passphrase itself is not
+ * kept, only non-extractable key material imported from it.
+ */
+class EncryptedStorageAdapter extends StorageAdapter {
+  /**
+   * Constructs an EncryptedStorageAdapter.
+   * @param {StorageAdapter} adapter - Adapter that stores the encrypted values
+   * @param {Object} options - Encryption options
+   * @param {string} [options.passphrase] - Passphrase to derive the key from
+   * @param {CryptoKey} [options.key] - AES-GCM key usable for encrypt and decrypt, instead
+   *   of a passphrase
+   * @param {number} [options.iterations=600000] - PBKDF2 iterations for passphrases
+   * @param {boolean} [options.allowPlaintext=false] - Read unencrypted values instead of
+   *   rejecting them, to migrate state saved before encryption was enabled
+   * @param {Crypto} [options.crypto] - WebCrypto implementation (defaults to crypto)
+   * @throws {Error} If the adapter is not a StorageAdapter or neither key nor passphrase
+   *   is given
+   */
+  constructor(adapter, options = {}) {
+    super("encrypted");
+    if (!(adapter instanceof StorageAdapter)) {
+      throw new Error("GrokJS EncryptedStorageAdapter: Expected a StorageAdapter to wrap");
+    }
+    if (!options.key && (typeof options.passphrase !== "string" || !options.passphrase)) {
+      throw new Error("GrokJS EncryptedStorageAdapter: A passphrase or CryptoKey is required");
+    }
+    this.adapter = adapter;
+    this.iterations = options.iterations || DEFAULT_ITERATIONS;
+    this.crypto = options.crypto || (typeof crypto !== "undefined" ? crypto : null);
+    this.allowPlaintext = Boolean(options.allowPlaintext);
+    this._key = options.key || null;
+    // PBKDF2 key material of the passphrase, from which a key is derived per salt
+    this._material = null;
+    if (!options.key && this.crypto && this.crypto.subtle) {
+      this._material = this.crypto.subtle.importKey(
+        "raw",
+        BinaryFormat.encodeUtf8(options.passphrase),
+        "PBKDF2",
+        false,
+        ["deriveKey"]
+      );
+      // Failures surface when a value is read or written
+      this._material.catch(() => {});
+    }
+    // Derived keys by salt, and the salt new values are written with
+    this._derivedKeys = new Map();
+    this._salt = null;
+    // Keys whose value was read unencrypted and has not been rewritten since
+    this.plaintextKeys = new Set();
+  }
+
+  isAvailable() {
+    return Boolean(this.crypto && this.crypto.subtle) && this.adapter.isAvailable();
+  }
+
+  async get(key) {
+    const value = await this.adapter.get(key);
+    if (typeof value !== "string" || !value.startsWith(PREFIX)) {
+      if (typeof value !== "string") return value;
+      if (!this.allowPlaintext) {
+        throw new Error(
+          `GrokJS EncryptedStorageAdapter: "${key}" is not encrypted; pass allowPlaintext to read values saved before encryption was enabled`
+        );
+      }
+      this.plaintextKeys.add(key);
+      return value;
+    }
+
+    const [salt, iv, data] = value.slice(PREFIX.length).split(":");
+    let plaintext;
+    try {
+      plaintext = await this.crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(iv), additionalData: BinaryFormat.encodeUtf8(key) },
+        await this._keyFor(salt),
+        fromBase64(data)
+      );
+    } catch (e) {
+      const error = new Error(
+        `GrokJS EncryptedStorageAdapter: Could not decrypt "${key}"; the key or passphrase is wrong or the value is corrupted`
+      );
+      error.cause = e;
+      throw error;
+    }
+    // Keep writing with the stored salt so one derived key serves every value
+    if (!this._key && !this._salt) this._salt = salt;
+    return BinaryFormat.decodeUtf8(new Uint8Array(plaintext));
+  }
+
+  async set(key, value) {
+    if (!this._key && !this._salt) {
+      this._salt = toBase64(this.crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    }
+    const salt = this._key ? "" : this._salt;
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await this.crypto.subtle.encrypt(
+      { name: "AES-GCM", iv, additionalData: BinaryFormat.encodeUtf8(key) },
+      await this._keyFor(salt),
+      BinaryFormat.encodeUtf8(String(value))
+    );
+    await this.adapter.set(key, `${PREFIX}${salt}:${toBase64(iv)}:${toBase64(data)}`);
+    this.plaintextKeys.delete(key);
+  }
+
+  async remove(key) {
+    await this.adapter.remove(key);
+    this.plaintextKeys.delete(key);
+  }
+
+  async keys() {
+    return this.adapter.keys();
+  }
+
+  /**
+   * Returns the AES-GCM key for a value: the CryptoKey, or the key derived from the
+   * passphrase's key material and the value's salt (derived once per salt).
+   * @param {string} salt - Base64 salt of the value
+   * @return {Promise<CryptoKey>} - Key
+   */
+  _keyFor(salt) {
+    if (this._key) return Promise.resolve(this._key);
+    if (!this._derivedKeys.has(salt)) {
+      const subtle = this.crypto.subtle;
+      const derived = this._material.then((material) =>
+        subtle.deriveKey(
+          {
+            name: "PBKDF2",
+            salt: fromBase64(salt),
+            iterations: this.iterations,
+            hash: "SHA-256",
+          },
+          material,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt", "decrypt"]
+        )
+      );
+      derived.catch(() => this._derivedKeys.delete(salt));
+      this._derivedKeys.set(salt, derived);
+    }
+    return this._derivedKeys.get(salt);
+  }
+}
+
+/**
+ * Encodes bytes as base64.
+ * @param {ArrayBuffer|Uint8Array} data - Bytes
+ * @return {string} - Base64 text
+ */
+function toBase64(data) {
+  const bytes = new Uint8Array(data);
+  let binary = "";
+  // Chunked so large models do not exceed the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 text.
+ * @param {string} text - Base64 text
+ * @return {Uint8Array} - Bytes
+ */
+function fromBase64(text) {
+  const binary = atob(text || "");
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+module.exports = EncryptedStorageAdapter;
@@ -0,0 +1,157 @@
+const { webcrypto } = require("crypto");
+const EncryptedStorageAdapter = require("./encrypted");
+const MemoryStorageAdapter = require("./memory");
+const FormAutocompleteEngine = require("../form-autocomplete/form-autocomplete");
+
+// Few PBKDF2 iterations keep the tests fast; jsdom has no WebCrypto, so Node's is passed in
+const encryption = (options) => ({ iterations: 1000, crypto: webcrypto, ...options });
+
+describe("EncryptedStorageAdapter Class", () => {
+  test("encrypts values with a passphrase and decrypts them when read", async () => {
+    const memory = new MemoryStorageAdapter();
+    const adapter = new EncryptedStorageAdapter(memory, encryption({ passphrase: "correct" }));
+    expect(adapter.isAvailable()).toBe(true);
+    expect(Object.values(adapter)).not.toContain("correct");
+
+    await adapter.set("model", "naïve café notes 😀");
+    const stored = memory.entries.get("model");
+    expect(stored.startsWith("grokjs-aes-gcm:1:")).toBe(true);
+    expect(stored).not.toContain("notes");
+    expect(await adapter.get("model")).toBe("naïve café notes 😀");
+    expect(await adapter.keys()).toEqual(["model"]);
+
+    // Another session with the same passphrase reads it; a wrong one cannot
+    const reopened = new EncryptedStorageAdapter(memory, encryption({ passphrase: "correct" }));
+    expect(await reopened.get("model")).toBe("naïve café notes 😀");
+    const wrong = new EncryptedStorageAdapter(memory, encryption({ passphrase: "wrong" }));
+    await expect(wrong.get("model")).rejects.toThrow('Could not decrypt "model"');
+
+    // Values are bound to their key
+    memory.entries.set("copy", stored);
+    await expect(adapter.get("copy")).rejects.toThrow('Could not decrypt "copy"');
+
+    await adapter.remove("model");
+    expect(await adapter.get("model")).toBeNull();
+  });
+
+  test("accepts a CryptoKey and reads unencrypted values only when allowed", async () => {
+    const key = await webcrypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [
+      "encrypt",
+      "decrypt",
+    ]);
+    const memory = new MemoryStorageAdapter();
+    const adapter = new EncryptedStorageAdapter(memory, { key, crypto: webcrypto });
+    await adapter.set("model", "state");
+    expect(memory.entries.get("model")).not.toContain("state");
+    expect(await adapter.get("model")).toBe("state");
+
+    await memory.set("legacy", "plain state");
+    await expect(adapter.get("legacy")).rejects.toThrow('"legacy" is not encrypted');
+    const migrating = new EncryptedStorageAdapter(memory, {
+      key,
+      crypto: webcrypto,
+      allowPlaintext: true,
+    });
+    expect(await migrating.get("legacy")).toBe("plain state");
+    expect(await migrating.get("missing")).toBeNull();
+  });
+
+  test("requires an adapter, a passphrase or key, and WebCrypto", () => {
+    expect(() => new EncryptedStorageAdapter({}, { passphrase: "x" })).toThrow(
+      "Expected a StorageAdapter"
+    );
+    expect(() => new EncryptedStorageAdapter(new MemoryStorageAdapter(), {})).toThrow(
+      "A passphrase or CryptoKey is required"
+    );
+    const adapter = new EncryptedStorageAdapter(new MemoryStorageAdapter(), {
+      passphrase: "x",
+      crypto: {},
+    });
+    expect(adapter.isAvailable()).toBe(false);
+  });
+
+  test("encrypts FormAutocompleteEngine state and keeps it when the passphrase is wrong", async () => {
+    const storageAdapter = new MemoryStorageAdapter();
+    const options = { storageAdapter, storageKey: "secret", namespaces: true };
+    const engine = new FormAutocompleteEngine({
+      ...options,
+      encryption: encryption({ passphrase: "correct" }),
+    });
+    await engine.ready;
+    expect(engine.options.encryption.passphrase).toBeUndefined();
+    expect(engine.options.encryption.iterations).toBe(1000);
+    engine._learn("meet me behind the lighthouse", "memo");
+    expect(await engine.flush()).toBe(true);
+    for (const value of storageAdapter.entries.values()) {
+      expect(value).not.toContain("lighthouse");
+    }
+
+    const reloaded = new FormAutocompleteEngine({
+      ...options,
+      encryption: encryption({ passphrase: "correct" }),
+    });
+    expect(await reloaded.ready).toBe(false);
+    expect(reloaded.predict("behind the ", 1)).toEqual(["lighthouse"]);
+    expect(reloaded._namespaceModel("memo").vocabulary.has("lighthouse")).toBe(true);
+
+    const saved = storageAdapter.entries.get("secret");
+    const onStorageError = jest.fn();
+    const locked = new FormAutocompleteEngine({
+      ...options,
+      encryption: encryption({ passphrase: "wrong" }),
+      onStorageError,
+    });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      await locked.ready;
+      expect(onStorageError).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining("Could not decrypt") })
+      );
+      locked._learn("overwrite attempt");
+      expect(await locked.saveState()).toBe(false);
+      expect(storageAdapter.entries.get("secret")).toBe(saved);
+    } finally {
+      console.warn.mockRestore();
+    }
+  });
+
+  test("enabling encryption migrates plaintext state only when allowed, namespaces included", async () => {
+    const storageAdapter = new MemoryStorageAdapter();
+    const options = { storageAdapter, storageKey: "k", namespaces: true };
+    const plain = new FormAutocompleteEngine(options);
+    await plain.ready;
+    plain._learn("meet me behind the lighthouse", "memo");
+    expect(await plain.flush()).toBe(true);
+    expect(storageAdapter.entries.get("k:memo")).toContain("lighthouse");
+
+    const onStorageError = jest.fn();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const rejecting = new FormAutocompleteEngine({
+        ...options,
+        encryption: encryption({ passphrase: "correct" }),
+        onStorageError,
+      });
+      await rejecting.ready;
+      expect(onStorageError).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining("is not encrypted") })
+      );
+      expect(rejecting.options.autoSave).toBe(false);
+    } finally {
+      console.warn.mockRestore();
+    }
+
+    const encrypted = new FormAutocompleteEngine({
+      ...options,
+      encryption: encryption({ passphrase: "correct", allowPlaintext: true }),
+    });
+    await encrypted.ready;
+    encrypted._learn("an unrelated note");
+    expect(await encrypted.flush()).toBe(true);
+    for (const value of storageAdapter.entries.values()) {
+      expect(value).not.toContain("lighthouse");
+    }
+    expect(encrypted.storageAdapter.plaintextKeys.size).toBe(0);
+    expect(encrypted._namespaceModel("memo").vocabulary.has("lighthouse")).toBe(true);
+  });
+});
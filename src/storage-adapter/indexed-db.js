@@ -0,0 +1,150 @@
+const StorageAdapter = require("./storage-adapter");
+
+const DEFAULT_DATABASE = "grokjs";
+const DEFAULT_STORE = "models";
+// Characters per chunk record
+const DEFAULT_CHUNK_SIZE = 512 * 1024;
+
+/**
+ * Storage adapter over IndexedDB, whose quota is a share of the disk rather than a few
+ * megabytes. A value is split into chunk records keyed `[key, index]` plus a manifest
+ * record under `key`, all written in one transaction, so a failed write (e.g. over quota)
+ * leaves the previous value intact and no single record grows with the model.
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * Constructs an IndexedDBStorageAdapter. The database is opened on first use.
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.databaseName="grokjs"] - Database name
+   * @param {string} [options.storeName="models"] - Object store name
+   * @param {number} [options.chunkSize=524288] - Characters per chunk record
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to indexedDB)
+   */
+  constructor(options = {}) {
+    super("indexedDB");
+    this.databaseName = options.databaseName || DEFAULT_DATABASE;
+    this.storeName = options.storeName || DEFAULT_STORE;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.factory = options.indexedDB || (typeof indexedDB !== "undefined" ? indexedDB : null);
+    this._db = null;
+  }
+
+  isAvailable() {
+    return Boolean(this.factory);
+  }
+
+  async get(key) {
+    let manifest = null;
+    const chunks = [];
+    await this._transaction("readonly", (store) => {
+      store.get(key).onsuccess = (e) => {
+        manifest = e.target.result || null;
+        if (!manifest) return;
+        for (let i = 0; i < manifest.chunks; i++) {
+          store.get([key, i]).onsuccess = (event) => {
+            chunks[i] = event.target.result;
+          };
+        }
+      };
+    });
+    if (!manifest) return null;
+    if (chunks.length !== manifest.chunks || chunks.some((chunk) => typeof chunk !== "string")) {
+      throw new Error(`GrokJS IndexedDBStorageAdapter: Value of "${key}" is missing chunks`);
+    }
+    return chunks.join("");
+  }
+
+  async set(key, value) {
+    const text = String(value);
+    const chunks = [];
+    for (let i = 0; i < text.length; i += this.chunkSize) {
+      chunks.push(text.slice(i, i + this.chunkSize));
+    }
+    await this._transaction("readwrite", (store) => {
+      // Drop the chunks of a longer previous value
+      store.get(key).onsuccess = (e) => {
+        const previous = e.target.result;
+        for (let i = chunks.length; previous && i < previous.chunks; i++) store.delete([key, i]);
+      };
+      chunks.forEach((chunk, i) => store.put(chunk, [key, i]));
+      store.put({ chunks: chunks.length, length: text.length }, key);
+    });
+  }
+
+  async remove(key) {
+    await this._transaction("readwrite", (store) => {
+      store.get(key).onsuccess = (e) => {
+        const manifest = e.target.result;
+        for (let i = 0; manifest && i < manifest.chunks; i++) store.delete([key, i]);
+        store.delete(key);
+      };
+    });
+  }
+
+  async keys() {
+    let keys = [];
+    await this._transaction("readonly", (store) => {
+      store.getAllKeys().onsuccess = (e) => {
+        // Chunk records have array keys; manifests have the value's key
+        keys = e.target.result.filter((key) => typeof key === "string");
+      };
+    });
+    return keys;
+  }
+
+  /**
+   * Opens the database, creating the object store on first use.
+   * @return {Promise<IDBDatabase>} - Open database
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) db.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._db = null;
+          reject(
+            new Error(
+              `GrokJS IndexedDBStorageAdapter: Could not open database "${this.databaseName}": ${IndexedDBStorageAdapter._describe(request.error)}`
+            )
+          );
+        };
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Runs requests in one transaction and resolves once it commits.
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} fn - Receives the object store and issues requests on it
+   * @return {Promise<void>}
+   * @throws {Error} If the transaction aborts, e.g. because the quota is exceeded
+   */
+  async _transaction(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const fail = () =>
+        reject(
+          new Error(
+            `GrokJS IndexedDBStorageAdapter: Transaction failed: ${IndexedDBStorageAdapter._describe(tx.error)}`
+          )
+        );
+      tx.oncomplete = () => resolve();
+      tx.onerror = fail;
+      tx.onabort = fail;
+      fn(tx.objectStore(this.storeName));
+    });
+  }
+
+  static _describe(error) {
+    return error ? `${error.name || "Error"} ${error.message || ""}`.trim() : "unknown error";
+  }
+}
+
+module.exports = IndexedDBStorageAdapter;
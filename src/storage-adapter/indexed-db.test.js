@@ -0,0 +1,112 @@
+const IndexedDBStorageAdapter = require("./indexed-db");
+const FormAutocompleteEngine = require("../form-autocomplete/form-autocomplete");
+
+// Minimal in-memory IDBFactory: requests succeed asynchronously, and a transaction commits
+// once all of its requests ran, or aborts without changes if its store would hold more than
+// `quota` characters
+function fakeIndexedDB({ quota = Infinity } = {}) {
+  const databases = new Map();
+  const id = (key) => JSON.stringify(key);
+  const size = (records) =>
+    Array.from(records.values()).reduce((sum, { value }) => sum + JSON.stringify(value).length, 0);
+
+  function transaction(records) {
+    const staged = new Map(records);
+    const tx = { error: null };
+    let pending = 0;
+    const request = (fn) => {
+      const req = {};
+      pending++;
+      setTimeout(() => {
+        req.result = fn();
+        if (req.onsuccess) req.onsuccess({ target: req });
+        if (--pending > 0) return;
+        if (size(staged) > quota) {
+          tx.error = { name: "QuotaExceededError", message: "Quota exceeded" };
+          tx.onabort();
+          return;
+        }
+        records.clear();
+        staged.forEach((record, key) => records.set(key, record));
+        tx.oncomplete();
+      });
+      return req;
+    };
+    tx.objectStore = () => ({
+      get: (key) => request(() => (staged.has(id(key)) ? staged.get(id(key)).value : undefined)),
+      put: (value, key) => request(() => staged.set(id(key), { key, value }) && key),
+      delete: (key) => request(() => staged.delete(id(key)) && undefined),
+      getAllKeys: () => request(() => Array.from(staged.values(), (record) => record.key)),
+    });
+    return tx;
+  }
+
+  return {
+    stores: new Map(),
+    open(name) {
+      const req = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) {
+          databases.set(name, {
+            objectStoreNames: { contains: (store) => this.stores.has(store) },
+            createObjectStore: (store) => this.stores.set(store, new Map()),
+            transaction: (store) => transaction(this.stores.get(store)),
+          });
+        }
+        req.result = databases.get(name);
+        if (isNew) req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+}
+
+describe("IndexedDBStorageAdapter Class", () => {
+  test("stores values as chunk records under a manifest", async () => {
+    const factory = fakeIndexedDB();
+    const adapter = new IndexedDBStorageAdapter({ indexedDB: factory, chunkSize: 4 });
+    expect(adapter.isAvailable()).toBe(true);
+    expect(await adapter.get("model")).toBeNull();
+
+    await adapter.set("model", "abcdefghij");
+    expect(await adapter.get("model")).toBe("abcdefghij");
+    expect(await adapter.keys()).toEqual(["model"]);
+    expect(factory.stores.get("models").size).toBe(4);
+
+    // A shorter value drops the chunks it no longer needs
+    await adapter.set("model", "abc");
+    expect(await adapter.get("model")).toBe("abc");
+    expect(factory.stores.get("models").size).toBe(2);
+
+    await adapter.remove("model");
+    expect(await adapter.get("model")).toBeNull();
+    expect(factory.stores.get("models").size).toBe(0);
+  });
+
+  test("a write over quota fails and keeps the previous value", async () => {
+    const adapter = new IndexedDBStorageAdapter({ indexedDB: fakeIndexedDB({ quota: 60 }) });
+    await adapter.set("model", "x".repeat(10));
+    await expect(adapter.set("model", "y".repeat(100))).rejects.toThrow(/QuotaExceededError/);
+    expect(await adapter.get("model")).toBe("x".repeat(10));
+  });
+
+  test("persists FormAutocompleteEngine models larger than one chunk", async () => {
+    const factory = fakeIndexedDB();
+    const storageAdapter = new IndexedDBStorageAdapter({ indexedDB: factory, chunkSize: 256 });
+    const engine = new FormAutocompleteEngine({ storageAdapter, storageKey: "idb_model" });
+    expect(await engine.ready).toBe(true);
+    engine._learn("indexed databases hold much larger personal models");
+    expect(await engine.flush()).toBe(true);
+    expect(factory.stores.get("models").size).toBeGreaterThan(3);
+
+    const reloaded = new FormAutocompleteEngine({ storageAdapter, storageKey: "idb_model" });
+    expect(await reloaded.ready).toBe(false);
+    expect(reloaded.predict("much larger ", 1)).toEqual(["personal"]);
+  });
+
+  test("is unavailable without an IndexedDB factory", () => {
+    expect(new IndexedDBStorageAdapter().isAvailable()).toBe(typeof indexedDB !== "undefined");
+  });
+});
@@ -0,0 +1,70 @@
+const StorageAdapter = require("./storage-adapter");
+
+/**
+ * Storage adapter over the Web Storage API (window.localStorage by default). Writes are
+ * synchronous and browsers cap the whole origin at about 5 MB, so exceeding the quota
+ * is reported as an error instead of being ignored.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * Constructs a LocalStorageAdapter.
+   * @param {Object} [options={}] - Configuration options
+   * @param {Storage} [options.storage] - Web Storage object to use (defaults to localStorage)
+   */
+  constructor(options = {}) {
+    super("localStorage");
+    this.storage = options.storage || (typeof localStorage !== "undefined" ? localStorage : null);
+  }
+
+  isAvailable() {
+    return Boolean(this.storage);
+  }
+
+  async get(key) {
+    return this.storage.getItem(key);
+  }
+
+  async set(key, value) {
+    try {
+      this.storage.setItem(key, value);
+    } catch (e) {
+      if (!LocalStorageAdapter._isQuotaError(e)) throw e;
+      const error = new Error(
+        `GrokJS LocalStorageAdapter: Storage quota exceeded while saving "${key}" (${value.length} characters)`
+      );
+      error.cause = e;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  async keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key !== null) keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Returns whether an error thrown by setItem() means the quota is exhausted; browsers
+   * name and number it differently.
+   * @param {Error} error - Error thrown by setItem()
+   * @return {boolean} - True for quota errors
+   */
+  static _isQuotaError(error) {
+    return Boolean(
+      error &&
+      (error.name === "QuotaExceededError" ||
+        error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+        error.code === 22 ||
+        error.code === 1014)
+    );
+  }
+}
+
+module.exports = LocalStorageAdapter;
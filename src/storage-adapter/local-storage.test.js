@@ -0,0 +1,34 @@
+const LocalStorageAdapter = require("./local-storage");
+
+describe("LocalStorageAdapter Class", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("reads, writes, lists and removes localStorage entries", async () => {
+    const adapter = new LocalStorageAdapter();
+    expect(adapter.isAvailable()).toBe(true);
+    await adapter.set("grokjs_a", "1");
+    await adapter.set("grokjs_b", "2");
+    expect(await adapter.get("grokjs_a")).toBe("1");
+    expect((await adapter.keys()).sort()).toEqual(["grokjs_a", "grokjs_b"]);
+
+    await adapter.remove("grokjs_a");
+    expect(await adapter.get("grokjs_a")).toBeNull();
+    expect(localStorage.getItem("grokjs_b")).toBe("2");
+  });
+
+  test("reports an exceeded quota instead of failing silently", async () => {
+    const quotaError = Object.assign(new Error("full"), { name: "QuotaExceededError" });
+    const adapter = new LocalStorageAdapter({
+      storage: {
+        setItem() {
+          throw quotaError;
+        },
+      },
+    });
+    await expect(adapter.set("model", "abc")).rejects.toThrow(
+      'Storage quota exceeded while saving "model" (3 characters)'
+    );
+  });
+});
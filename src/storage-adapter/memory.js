@@ -0,0 +1,33 @@
+const StorageAdapter = require("./storage-adapter");
+
+/**
+ * Storage adapter that keeps values in a Map for the lifetime of the instance, e.g. for
+ * tests or for sessions that must not leave anything behind.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * Constructs an empty MemoryStorageAdapter.
+   */
+  constructor() {
+    super("memory");
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  async remove(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+}
+
+module.exports = MemoryStorageAdapter;
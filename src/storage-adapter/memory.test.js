@@ -0,0 +1,24 @@
+const MemoryStorageAdapter = require("./memory");
+const StorageAdapter = require("./storage-adapter");
+
+describe("MemoryStorageAdapter Class", () => {
+  test("keeps values per instance", async () => {
+    const adapter = new MemoryStorageAdapter();
+    expect(adapter).toBeInstanceOf(StorageAdapter);
+    expect(await adapter.get("model")).toBeNull();
+
+    await adapter.set("model", "state");
+    expect(await adapter.get("model")).toBe("state");
+    expect(await adapter.keys()).toEqual(["model"]);
+    expect(await new MemoryStorageAdapter().get("model")).toBeNull();
+
+    await adapter.remove("model");
+    expect(await adapter.keys()).toEqual([]);
+  });
+
+  test("the base class rejects unimplemented operations", async () => {
+    await expect(new StorageAdapter("custom").get("model")).rejects.toThrow(
+      'get() is not implemented by "custom"'
+    );
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Base class for key-value stores that persist serialized models, such as the saved state
+ * of FormAutocompleteEngine. Every operation is asynchronous so that adapters for
+ * asynchronous backends (IndexedDB) and synchronous ones (localStorage, memory) are
+ * interchangeable. Values are strings; keys are strings.
+ */
+class StorageAdapter {
+  /**
+   * Constructs a StorageAdapter.
+   * @param {string} name - Identifier used in error messages and when selecting the adapter
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Returns whether the backend exists in this environment.
+   * @return {boolean} - True if the adapter can be used
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Reads a value.
+   * @param {string} key - Key to read
+   * @return {Promise<string|null>} - Stored value, or null if there is none
+   */
+  async get(key) {
+    throw new Error(`GrokJS StorageAdapter: get() is not implemented by "${this.name}"`);
+  }
+
+  /**
+   * Writes a value, replacing any previous one.
+   * @param {string} key - Key to write
+   * @param {string} value - Value to store
+   * @return {Promise<void>}
+   * @throws {Error} If the value cannot be stored, e.g. because the quota is exceeded
+   */
+  async set(key, value) {
+    throw new Error(`GrokJS StorageAdapter: set() is not implemented by "${this.name}"`);
+  }
+
+  /**
+   * Deletes a value.
+   * @param {string} key - Key to delete
+   * @return {Promise<void>}
+   */
+  async remove(key) {
+    throw new Error(`GrokJS StorageAdapter: remove() is not implemented by "${this.name}"`);
+  }
+
+  /**
+   * Lists the stored keys.
+   * @return {Promise<string[]>} - Keys
+   */
+  async keys() {
+    throw new Error(`GrokJS StorageAdapter: keys() is not implemented by "${this.name}"`);
+  }
+}
+
+module.exports = StorageAdapter;
@@ -19,6 +19,25 @@ describe("Package Root Exports (index.js)", () => {
     expect(GrokJS.InferenceEngine).toBeDefined();
     expect(GrokJS.FactServer).toBeDefined();
     expect(GrokJS.FormAutocompleteEngine).toBeDefined();
+    expect(GrokJS.NgramTrie).toBeDefined();
+    expect(GrokJS.BinaryFormat).toBeDefined();
+    expect(GrokJS.ModelSchema).toBeDefined();
+    expect(GrokJS.MixtureModel).toBeDefined();
+    expect(GrokJS.CharacterModel).toBeDefined();
+    expect(GrokJS.PrefixTrie).toBeDefined();
+    expect(GrokJS.Smoothing).toBeDefined();
+    expect(GrokJS.MleSmoothing).toBeDefined();
+    expect(GrokJS.AddKSmoothing).toBeDefined();
+    expect(GrokJS.StupidBackoffSmoothing).toBeDefined();
+    expect(GrokJS.KatzBackoffSmoothing).toBeDefined();
+    expect(GrokJS.InterpolatedSmoothing).toBeDefined();
+    expect(GrokJS.KneserNeySmoothing).toBeDefined();
+    expect(GrokJS.WittenBellSmoothing).toBeDefined();
+    expect(GrokJS.StorageAdapter).toBeDefined();
+    expect(GrokJS.LocalStorageAdapter).toBeDefined();
+    expect(GrokJS.IndexedDBStorageAdapter).toBeDefined();
+    expect(GrokJS.MemoryStorageAdapter).toBeDefined();
+    expect(GrokJS.EncryptedStorageAdapter).toBeDefined();
   });
 
   test("Instantiates all exported classes successfully", () => {